@@ -19,7 +19,265 @@ const CONFIG = {
         MAX_HEATMAP_POINTS: 100000,
         MAX_CANVAS_MARKERS: 200000,
         MAX_LOCATION_SAMPLES: 30000,
-        CHUNK_SIZE: 2000
+        CHUNK_SIZE: 2000,
+        MAX_QUERY_BSSIDS: 500, // BSSIDs bound per "IN (...)" query
+        MAX_GPS_FIX_AGE: 5 * 60 * 1000 // ms between a sighting and the track fix used for it
+    },
+    ESTIMATION: {
+        MIN_CONFIDENCE_RADIUS: 10, // meters
+        METERS_PER_DEGREE: 111320
+    },
+    // Sortable metrics for "Most Frequently Sighted"
+    SIGHTING_SORTS: {
+        count: 'Sightings', days: 'Days', spread: 'Spread', maxLevel: 'Signal', lastSeen: 'Last Seen'
+    },
+    CLUSTERING: {
+        CELL_SIZE: 60, // pixels
+        MAX_POPUP_MEMBERS: 25
+    },
+    COMPARISON: {
+        MOVED_DISTANCE: 150, // meters before a network counts as moved
+        MAX_LIST_ITEMS: 50,
+        CATEGORIES: {
+            added: { name: 'New', icon: '🆕', color: '#4CAF50' },
+            removed: { name: 'Disappeared', icon: '❌', color: '#F44336' },
+            changed: { name: 'Changed', icon: '✏️', color: '#FFC107' }
+        }
+    },
+    // Raster tile formats accepted from .mbtiles basemaps
+    MBTILES_FORMATS: {
+        'png': 'image/png', 'jpg': 'image/jpeg', 'jpeg': 'image/jpeg', 'webp': 'image/webp'
+    },
+    STORAGE: {
+        DB_NAME: 'wigle-explorer',
+        DB_VERSION: 1,
+        MBTILES_KEY: 'basemap.mbtiles',
+        BASE_LAYER_KEY: 'wigleExplorer.baseLayer',
+        AREAS_KEY: 'wigleExplorer.areas',
+        SQL_HISTORY_KEY: 'wigleExplorer.sqlHistory',
+        SQL_SAVED_KEY: 'wigleExplorer.sqlSaved',
+        // Recently opened files are kept in IndexedDB under RECENT_FILE_PREFIX + id, their summaries in localStorage
+        RECENT_KEY: 'wigleExplorer.recentDatabases',
+        RECENT_FILE_PREFIX: 'recent.',
+        MAX_RECENT: 5,
+        // Total size of the kept files in bytes - the least recently opened ones are dropped first
+        MAX_RECENT_SIZE: 1024 * 1024 * 1024,
+        PRESETS_KEY: 'wigleExplorer.filterPresets',
+        MAX_PRESETS: 30,
+        RULES_KEY: 'wigleExplorer.findingRules',
+        WATCHLIST_KEY: 'wigleExplorer.watchlist'
+    },
+    // Known devices and SSID patterns checked against every loaded file. Observations further apart
+    // than VISIT_GAP (ms) are separate visits in the hit report.
+    WATCHLIST: {
+        KINDS: { bssid: 'Exact BSSID', prefix: 'BSSID prefix', ssid: 'SSID regex' },
+        MAX_ENTRIES: 500,
+        MARKER_COLOR: '#FF4081',
+        VISIT_GAP: 30 * 60 * 1000,
+        MAX_VISITS: 5,
+        MAX_REPORT: 50
+    },
+    // Devices traveling with the scanner: seen at MIN_PLACES places (PLACE_RADIUS meters apart) over at least
+    // MIN_SPAN ms. Candidates are preselected by the spread of their sightings.
+    TRACKERS: {
+        TYPES: ['E', 'B', 'W'],
+        MIN_SPREAD: 1000,
+        MIN_SPAN: 20 * 60 * 1000,
+        MIN_PLACES: 3,
+        PLACE_RADIUS: 500,
+        MAX_CANDIDATES: 1000,
+        MAX_SUSPECTS: 20,
+        PATH_COLOR: '#FF5252'
+    },
+    // Notable Discoveries rules. "match" and "action" use the search query syntax; every condition in
+    // "when" compares an aggregate over the matched networks, e.g. { "aggregate": "count", "op": ">", "value": 5 }.
+    // Messages can use {count}, {percent}, {ratio}, {distinct}, {avg}, {min}, {max} and {matches}.
+    RULES: {
+        MAX_FINDINGS: 5,
+        AGGREGATES: ['count', 'percent', 'distinct', 'ratio', 'avg', 'min', 'max', 'matches'],
+        NUMERIC_FIELDS: ['level', 'frequency'],
+        TEXT_FIELDS: ['ssid', 'bssid', 'vendor'],
+        OPERATORS: ['>', '>=', '<', '<=', '==', '!='],
+        SEVERITIES: {
+            critical: { order: 0, color: '#F44336' },
+            warning: { order: 1, color: '#FF9800' },
+            notice: { order: 2, color: '#FFC107' },
+            info: { order: 3, color: '#4FC3F7' }
+        },
+        DEFAULTS: [
+            {
+                name: 'Open Wi-Fi', severity: 'warning', icon: '⚠️', match: 'type:W sec:open',
+                when: [{ aggregate: 'count', op: '>', value: 5 }],
+                message: '{count} open Wi-Fi networks detected - potential security risks',
+                action: 'type:W sec:open'
+            },
+            {
+                name: 'WEP', severity: 'critical', icon: '🔓', match: 'type:W sec:wep',
+                when: [{ aggregate: 'count', op: '>', value: 0 }],
+                message: '{count} WEP networks found - easily hackable, recommend avoiding',
+                action: 'type:W sec:wep'
+            },
+            {
+                name: 'WPA3 adoption', severity: 'info', icon: '🛡️', match: 'type:W sec:wpa3',
+                when: [{ aggregate: 'count', op: '>', value: 0 }],
+                message: '{count} WPA3 networks found - latest security standard in use',
+                action: 'type:W sec:wpa3'
+            },
+            {
+                // A phone rotating its address would otherwise count many times
+                name: 'Bluetooth activity', severity: 'notice', icon: '📱', match: 'type:B,E -mac:randomized',
+                when: [{ aggregate: 'count', op: '>', value: 50 }],
+                message: 'High Bluetooth activity: {count} devices discovered (randomized addresses excluded)',
+                action: 'type:B,E -mac:randomized'
+            },
+            {
+                name: 'Low network diversity', severity: 'info', icon: '🏢', match: 'type:W',
+                when: [{ aggregate: 'ratio', field: 'ssid', op: '<', value: 0.3 }],
+                message: 'Low network diversity detected - suggests corporate/institutional area'
+            },
+            {
+                name: 'High network diversity', severity: 'info', icon: '🏘️', match: 'type:W',
+                when: [{ aggregate: 'ratio', field: 'ssid', op: '>', value: 0.8 }],
+                message: 'High network diversity - typical residential area pattern'
+            },
+            {
+                name: 'Common network names', severity: 'info', icon: '🌍', match: 'type:W',
+                when: [{ aggregate: 'matches', field: 'ssid', pattern: 'FRITZ!Box|Vodafone|Telekom|eduroam|Guest', op: '>', value: 2 }],
+                message: 'Common network patterns detected: {matches}'
+            },
+            {
+                name: 'Hidden networks', severity: 'info', icon: '🕵️', enabled: false, match: 'type:W ssid:/^(Hidden Network)?$/',
+                when: [{ aggregate: 'count', op: '>', value: 0 }],
+                message: '{count} hidden networks found ({percent}%) - potentially security-conscious users',
+                action: 'type:W ssid:/^(Hidden Network)?$/'
+            },
+            {
+                name: 'Poor signal', severity: 'notice', icon: '📶', enabled: false, match: 'level<-85',
+                when: [{ aggregate: 'percent', op: '>', value: 40 }],
+                message: '{percent}% networks have poor signal - consider moving closer or better antennas'
+            },
+            {
+                name: 'Strong signal', severity: 'info', icon: '🎯', enabled: false, match: 'level>-50',
+                when: [{ aggregate: 'count', op: '>', value: 0 }],
+                message: '{count} networks with excellent signal strength found',
+                action: 'level>-50'
+            },
+            {
+                name: '2.4 GHz congestion', severity: 'notice', icon: '🚦', enabled: false, match: 'type:W band:2.4',
+                when: [{ aggregate: 'percent', of: 'type:W', op: '>', value: 70 }],
+                message: 'High 2.4GHz congestion detected - 5GHz networks recommended for better performance'
+            }
+        ]
+    },
+    // State kept in the URL hash; security checkbox ids by their short name in the link
+    PERMALINK: {
+        DELAY: 300,
+        VIEWS: ['heatmap', 'markers', 'analysis', 'timeline', 'sql'],
+        SECURITY: { open: 'secOpen', wep: 'secWEP', wpa: 'secWPA', wpa3: 'secWPA3', hidden: 'secHidden' }
+    },
+    SQL_CONSOLE: {
+        PAGE_SIZE: 100,
+        MAX_MAP_ROWS: 5000,
+        MAX_HISTORY: 30,
+        MARKER_COLOR: '#BA68C8'
+    },
+    // Fields understood by the network search query, e.g. "type:W sec:wep level>-60"
+    SEARCH_FIELDS: ['ssid', 'bssid', 'vendor', 'type', 'sec', 'band', 'level', 'seen', 'presence', 'mac'],
+    // Address kinds flagged as randomized by classifyMacAddress
+    MAC_KINDS: {
+        local: 'Locally administered',
+        resolvable: 'BLE resolvable private',
+        nonResolvable: 'BLE non-resolvable private',
+        static: 'BLE random static'
+    },
+    // Wi-Fi channel plans: channels always drawn in the histogram, candidates for recommendations
+    // (all drawn channels when omitted), and how many neighbouring channel numbers a signal overlaps
+    CHANNELS: {
+        BANDS: {
+            '2.4 GHz': {
+                channels: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+                recommend: [1, 6, 11],
+                overlap: 4
+            },
+            '5 GHz': {
+                channels: [36, 40, 44, 48, 52, 56, 60, 64, 100, 104, 108, 112, 116, 120, 124, 128, 132, 136, 140, 144, 149, 153, 157, 161, 165],
+                overlap: 0
+            },
+            '6 GHz': {
+                channels: [],
+                // Preferred scanning channels
+                recommend: [5, 21, 37, 53, 69, 85, 101, 117, 133, 149, 165, 181, 197, 213, 229],
+                overlap: 0
+            }
+        },
+        DFS: [52, 56, 60, 64, 100, 104, 108, 112, 116, 120, 124, 128, 132, 136, 140, 144],
+        RECOMMENDATIONS: 3
+    },
+    CELLULAR: {
+        // Technology named in the capabilities column ("LTE;us"), otherwise the type's default
+        TECHNOLOGIES: ['GSM', 'UMTS', 'WCDMA', 'LTE', 'NR', 'CDMA'],
+        DEFAULT_TECHNOLOGY: { G: 'GSM', L: 'LTE', C: 'CDMA' },
+        TOP_OPERATORS: 8,
+        TOP_SITES: 8
+    },
+    TIMELINE: {
+        // Histogram bucket sizes (ms), the smallest one that fits MAX_BARS is used
+        BUCKETS: [60 * 60 * 1000, 24 * 60 * 60 * 1000, 7 * 24 * 60 * 60 * 1000, 30 * 24 * 60 * 60 * 1000],
+        MAX_BARS: 120
+    },
+    // Drive sessions rebuilt from GPS fixes: a pause longer than MAX_GAP (ms) or a jump of more than
+    // MAX_JUMP meters between fixes splits them
+    ROUTES: {
+        MAX_GAP: 10 * 60 * 1000,
+        MAX_JUMP: 2000,
+        MIN_POINT_DISTANCE: 15,
+        COLORS: ['#4FC3F7', '#FFB74D', '#BA68C8', '#81C784', '#F06292', '#FFF176']
+    },
+    // Presence patterns from the local weekday and hour of every observation. A network needs
+    // MIN_OBSERVATIONS on MIN_DAYS different days; hour ranges are [start, end)
+    PRESENCE: {
+        MIN_OBSERVATIONS: 5,
+        MIN_DAYS: 2,
+        BUSINESS_HOURS: [8, 18],
+        DAYTIME_HOURS: [7, 20],
+        // Share of observations that has to fall inside a window
+        SHARE: 0.9,
+        // Distinct hours of the day for an always-on network
+        ALWAYS_ON_HOURS: 16,
+        TYPES: ['W', 'E', 'B'],
+        PATTERNS: {
+            always: { icon: '🔌', name: 'Always on' },
+            business: { icon: '🏢', name: 'Business hours only' },
+            daytime: { icon: '☀️', name: 'Daytime only' },
+            residential: { icon: '🏠', name: 'Evenings, nights and weekends' },
+            irregular: { icon: '🔀', name: 'Irregular' }
+        },
+        // Display order, Monday first; slots count from Sunday 00:00
+        WEEKDAYS: [1, 2, 3, 4, 5, 6, 0],
+        WEEKDAY_NAMES: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+    },
+    // Manufacturer breakdown covers the types that carry a MAC address
+    VENDORS: {
+        TYPES: ['W', 'B', 'E'],
+        TOP_PER_TYPE: 5
+    },
+    AREAS: {
+        MAX_STRONGEST: 8,
+        SHAPE_STYLE: { color: '#4CAF50', weight: 2, fillOpacity: 0.08 }
+    },
+    SQLJS_URL: 'https://unpkg.com/sql.js@1.8.0/dist/',
+    // WiGLE CSV "Type" column to network type
+    CSV_TYPES: {
+        'WIFI': 'W', 'BT': 'B', 'BLE': 'E',
+        'GSM': 'G', 'WCDMA': 'G', 'LTE': 'L', 'NR': 'L', 'CDMA': 'C'
+    },
+    // Network type to WiGLE CSV "Type" column (for exports)
+    WIGLE_CSV_TYPES: {
+        'W': 'WIFI', 'B': 'BT', 'E': 'BLE', 'G': 'GSM', 'L': 'LTE', 'C': 'CDMA'
+    },
+    // Kismet phy name to network type
+    KISMET_PHY_TYPES: {
+        'IEEE802.11': 'W', 'Bluetooth': 'B', 'BTLE': 'E'
     },
     MAP_LAYERS: {
         'dark': {
@@ -50,21 +308,141 @@ const CONFIG = {
     }
 };
 
+// Database worker - runs sql.js off the main thread so huge files don't freeze the UI.
+// This function is serialized into a Blob worker, so it must not reference anything outside itself.
+function databaseWorkerMain() {
+    let sqlReady = null;
+    let db = null;
+
+    const loadSql = (sqlJsUrl) => {
+        if (!sqlReady) {
+            importScripts(`${sqlJsUrl}sql-wasm.js`);
+            sqlReady = initSqlJs({ locateFile: file => `${sqlJsUrl}${file}` });
+        }
+        return sqlReady;
+    };
+
+    self.onmessage = async ({ data }) => {
+        const { id, action } = data;
+
+        try {
+            switch (action) {
+                case 'open': {
+                    // Without a buffer this creates an empty database for importers to fill
+                    const SQL = await loadSql(data.sqlJsUrl);
+                    if (db) db.close();
+                    db = data.buffer ? new SQL.Database(new Uint8Array(data.buffer)) : new SQL.Database();
+                    self.postMessage({ id, done: true });
+                    break;
+                }
+                case 'insert': {
+                    const stmt = db.prepare(data.sql);
+                    db.exec('BEGIN');
+                    try {
+                        data.rows.forEach(row => stmt.run(row));
+                        db.exec('COMMIT');
+                    } catch (error) {
+                        db.exec('ROLLBACK');
+                        throw error;
+                    } finally {
+                        stmt.free();
+                    }
+                    self.postMessage({ id, done: true });
+                    break;
+                }
+                case 'exec':
+                    self.postMessage({ id, done: true, result: db.exec(data.sql, data.params) });
+                    break;
+                case 'query': {
+                    // SQL console: one statement, read-only, a page of rows plus whether more follow
+                    if (!/^\s*(SELECT|WITH|VALUES|EXPLAIN)\b/i.test(data.sql)) {
+                        throw new Error('Only read-only queries (SELECT, WITH, VALUES, EXPLAIN) are allowed');
+                    }
+                    db.exec('PRAGMA query_only = ON');
+                    let stmt = null;
+                    try {
+                        stmt = db.prepare(data.sql);
+                        const rows = [];
+                        let skipped = 0;
+                        while (rows.length <= data.limit && stmt.step()) {
+                            if (skipped < data.offset) {
+                                skipped++;
+                            } else {
+                                rows.push(stmt.get());
+                            }
+                        }
+                        const hasMore = rows.length > data.limit;
+                        self.postMessage({ id, done: true, result: { columns: stmt.getColumnNames(), rows: rows.slice(0, data.limit), hasMore } });
+                    } finally {
+                        if (stmt) stmt.free();
+                        db.exec('PRAGMA query_only = OFF');
+                    }
+                    break;
+                }
+                case 'stream': {
+                    // Step through the statement and post rows in batches as they come
+                    const stmt = db.prepare(data.sql, data.params);
+                    let rows = [];
+                    try {
+                        while (stmt.step()) {
+                            rows.push(stmt.get());
+                            if (rows.length >= data.batchSize) {
+                                self.postMessage({ id, rows });
+                                rows = [];
+                            }
+                        }
+                    } finally {
+                        stmt.free();
+                    }
+                    self.postMessage({ id, rows, done: true });
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown action: ${action}`);
+            }
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+}
+
 class WigleExplorer {
     constructor() {
         // Core state
-        this.db = null;
         this.map = null;
         this.currentView = 'heatmap';
+        this.positionMode = 'lastSeen';
+        this.sightingsSort = 'count';
         this.loadingCancelled = false;
         this.animationTimer = null;
+        this.comparison = null;
+        this.area = null;
+        this.searchQuery = this.parseSearchQuery('');
+        this.pendingPermalink = null;
+        this.restoringPermalink = false;
+        this.findingActions = [];
+        this.watchReport = [];
+        this.permalinkTimer = null;
+
+        // Database workers (sql.js runs off the main thread), one per loaded database: 'main' and 'compare'
+        this.dbWorkers = {};
+        this.dbWorkerUrl = null;
+        this.loadingTarget = 'main';
+        this.workerRequests = new Map();
+        this.nextRequestId = 1;
 
         // Data storage
         this.data = {
             networks: [],
             locations: [],
+            sessions: [],
+            activity: null,
             timeRange: { min: 0, max: 0 }
         };
+        this.selectedSession = null;
+        this.sessionFilter = null;
+        this.timeWindow = null;
+        this.activityFilter = null;
 
         // Map layers
         this.layers = {
@@ -72,8 +450,30 @@ class WigleExplorer {
             geoJsonLayer: null,
             baseLayers: {},
             overlayLayers: {},
-            layerControl: null
+            layerControl: null,
+            confidenceCircle: null,
+            trailLayer: null,
+            clusterLayer: null,
+            offlineBaseLayer: null,
+            areaLayer: null,
+            sqlLayer: null,
+            towerLayer: null,
+            routeLayer: null,
+            trackerLayer: null
         };
+        this.sqlConsole = null;
+        this.vendorIndex = null;
+        this.channelScope = 'all';
+        this.operatorIndex = null;
+        this.storagePromise = null;
+        this.clusterSource = null;
+        this.clusterCells = null;
+        this.clusterMarkers = new Map();
+        this.clusterHits = [];
+        this.trackers = null;
+        this.selectedTracker = null;
+        this.trailRequestId = 0;
+        this.trackerRequestId = 0;
 
         this.init();
     }
@@ -86,6 +486,16 @@ class WigleExplorer {
         await this.initSQLJS();
         this.initMap();
         this.initEventListeners();
+        this.restoreBasemap();
+        this.updateAreaPanel();
+        this.updateSqlLibrary();
+        this.updateRecentDatabases();
+        this.updatePresetPanel();
+        this.updateRulesEditor();
+        this.updateWatchlistPanel();
+
+        // A shared link is applied once the first database has loaded
+        this.pendingPermalink = window.location.hash;
         
         // Check for test mode
         const urlParams = new URLSearchParams(window.location.search);
@@ -99,7 +509,7 @@ class WigleExplorer {
     async initSQLJS() {
         try {
             const sqlPromise = initSqlJs({
-                locateFile: file => `https://unpkg.com/sql.js@1.8.0/dist/${file}`
+                locateFile: file => `${CONFIG.SQLJS_URL}${file}`
             });
             window.SQL = await sqlPromise;
         } catch (error) {
@@ -136,6 +546,18 @@ class WigleExplorer {
             this.layers.overlayLayers,
             { position: 'topright', collapsed: true }
         ).addTo(this.map);
+
+        // Clusters and the visible-area channel analysis depend on zoom and viewport
+        this.map.on('moveend', () => {
+            this.renderClusters();
+            if (this.channelScope === 'view') this.updateChannelSection();
+            this.schedulePermalinkUpdate();
+        });
+
+        // Remember the chosen base layer across reloads
+        this.map.on('baselayerchange', (e) => localStorage.setItem(CONFIG.STORAGE.BASE_LAYER_KEY, e.name));
+
+        this.initDrawControl();
     }
 
     initEventListeners() {
@@ -143,6 +565,12 @@ class WigleExplorer {
         document.getElementById('fileInput').addEventListener('change', (e) => {
             this.handleFileUpload(e);
         });
+        document.getElementById('compareInput')?.addEventListener('change', (e) => {
+            this.handleCompareUpload(e);
+        });
+        document.getElementById('mbtilesInput')?.addEventListener('change', (e) => {
+            this.handleMbtilesUpload(e);
+        });
 
         // View tabs
         document.querySelectorAll('.tab').forEach(tab => {
@@ -154,6 +582,14 @@ class WigleExplorer {
         // Controls with simple event handling
         this.setupControls();
         this.setupSidebarResize();
+
+        // Any control change may alter the state kept in the link; a pasted link is applied directly
+        ['change', 'input'].forEach(type => {
+            document.getElementById('sidebar')?.addEventListener(type, () => this.schedulePermalinkUpdate());
+        });
+        window.addEventListener('hashchange', () => {
+            if (this.data.networks.length > 0) this.applyPermalink(window.location.hash);
+        });
     }
 
     setupControls() {
@@ -176,20 +612,73 @@ class WigleExplorer {
 
         // Marker controls
         document.getElementById('showMarkers')?.addEventListener('click', () => this.showNetworkMarkers());
-        document.getElementById('networkSearch')?.addEventListener('input', () => this.showNetworkMarkers());
+        document.getElementById('networkSearch')?.addEventListener('input', () => this.updateSearchQuery());
+        document.getElementById('clusterMarkers')?.addEventListener('change', () => this.showNetworkMarkers());
+        document.getElementById('vendorFilter')?.addEventListener('change', () => this.showNetworkMarkers());
+        document.getElementById('hideRandomized')?.addEventListener('change', () => this.showNetworkMarkers());
+        document.getElementById('groupTowers')?.addEventListener('change', () => this.showNetworkMarkers());
+        document.getElementById('useEstimatedPositions')?.addEventListener('change', (e) => {
+            this.positionMode = e.target.checked ? 'estimated' : 'lastSeen';
+            this.applyPositionMode();
+            this.updateView();
+        });
         document.getElementById('signalFilter')?.addEventListener('input', (e) => {
             document.getElementById('signalValue').textContent = e.target.value + ' dBm';
             this.showNetworkMarkers();
         });
 
+        // Watchlist
+        document.getElementById('addWatch')?.addEventListener('click', () => this.addWatchlistEntry());
+        document.getElementById('watchValue')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addWatchlistEntry();
+        });
+
+        // Finding rules
+        document.getElementById('applyRules')?.addEventListener('click', () => this.saveFindingRules());
+        document.getElementById('resetRules')?.addEventListener('click', () => this.resetFindingRules());
+        document.getElementById('exportRules')?.addEventListener('click', () => this.exportFindingRules());
+        document.getElementById('rulesInput')?.addEventListener('change', (e) => this.importFindingRules(e));
+
+        // SQL console
+        document.getElementById('runSql')?.addEventListener('click', () => this.runSqlQuery());
+        document.getElementById('saveSql')?.addEventListener('click', () => this.saveSqlQuery());
+        document.getElementById('clearSqlLayer')?.addEventListener('click', () => this.clearSqlLayer());
+        document.getElementById('sqlEditor')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.runSqlQuery();
+            }
+        });
+
+        // Export buttons
+        document.querySelectorAll('.export-button').forEach(button => {
+            button.addEventListener('click', () => this.exportSelection(button.dataset.format));
+        });
+
         // Security filter checkboxes
         ['secOpen', 'secWEP', 'secWPA', 'secWPA3', 'secHidden'].forEach(id => {
             document.getElementById(id)?.addEventListener('change', () => this.showNetworkMarkers());
         });
 
         // Timeline controls
-        document.getElementById('timeSlider')?.addEventListener('input', (e) => this.updateTimeFilter(e.target.value));
+        // Time window: two-handle slider, date pickers and the histogram brush
+        ['timeStartSlider', 'timeEndSlider'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => {
+                const { min, max } = this.data.timeRange;
+                const sliderTime = sliderId => parseInt(document.getElementById(sliderId).value) / 1000 * (max - min) + min;
+                const [start, end] = [sliderTime('timeStartSlider'), sliderTime('timeEndSlider')].sort((a, b) => a - b);
+                this.setTimeWindow(start, end);
+            });
+        });
+        ['timeStartDate', 'timeEndDate'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.setTimeWindowFromDates());
+        });
+        document.getElementById('resetTimeWindow')?.addEventListener('click', () => {
+            this.setTimeWindow(this.data.timeRange.min, this.data.timeRange.max);
+        });
+        this.setupTimeBrush();
         document.getElementById('animateTime')?.addEventListener('click', () => this.animateTimeline());
+        document.getElementById('showRoute')?.addEventListener('change', (e) => this.showRoute(e.target.checked));
     }
 
     // =================
@@ -197,1017 +686,4998 @@ class WigleExplorer {
     // =================
 
     async handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        const files = [...event.target.files];
+        event.target.value = '';
+        if (files.length === 0) return;
 
+        if (await this.openFiles(files)) await this.rememberDatabase(files);
+    }
+
+    // Resolves to true once the files are loaded and displayed
+    async openFiles(files) {
         this.loadingCancelled = false;
+        this.loadingTarget = 'loading';
         this.showLoading(true);
         this.updateProgress(0, 'Reading file...');
 
         try {
-            // Load file and database
-            const arrayBuffer = await file.arrayBuffer();
-            if (this.loadingCancelled) return;
+            // Load files (a capture can span several), decompressing gzipped exports transparently
+            const sources = [];
+            for (const file of files) {
+                sources.push(await this.readImportFile(file));
+                if (this.loadingCancelled) return false;
+            }
 
+            // Hand the data to a database worker of its own - imported formats are converted to the WiGLE schema.
+            // The database on display stays usable until the new one has loaded, so cancelling keeps it.
             this.updateProgress(15, 'Loading database...');
-            const uint8Array = new Uint8Array(arrayBuffer);
-            this.db = new window.SQL.Database(uint8Array);
+            this.startDatabaseWorker('loading');
+            await this.importSources(sources, 'loading');
+            if (this.loadingCancelled) return false;
 
             // Load data
-            await this.loadData();
-            if (this.loadingCancelled) return;
+            await this.loadData('loading');
+            if (this.loadingCancelled) return false;
+
+            // The new database replaces the previous one - from here on cancelling only hides the progress
+            this.promoteDatabaseWorker('loading');
+            this.loadingTarget = null;
 
             // Process and display
             this.updateProgress(85, 'Generating analytics...');
+            this.clearComparison();
             this.updateStats();
+            this.updateAreaPanel();
+            this.updateVendorFilter();
             this.updateAnalysis();
             this.updateTimeline();
+            await this.checkWatchlist();
+            await this.detectFollowingDevices();
 
             this.updateProgress(95, 'Centering map...');
-            this.centerMapOnData();
-            this.updateView();
+            const permalink = this.pendingPermalink;
+            this.pendingPermalink = null;
+            if (!permalink || !this.applyPermalink(permalink)) {
+                this.centerMapOnData();
+                this.updateView();
+            }
             this.enableControls();
 
             this.updateProgress(100, 'Complete!');
             await this.sleep(500);
+            return true;
 
         } catch (error) {
+            if (this.loadingCancelled) return false;
             console.error('Error loading database:', error);
-            alert('Error loading database file. Please ensure it\'s a valid SQLite file.');
+            alert('Error loading file. Supported: WiGLE SQLite/CSV, Kismet .kismet logs, airodump-ng CSV with .gps/.kismet.netxml.');
+            return false;
         } finally {
+            // Frees a database that failed or was cancelled before replacing the main one
+            this.stopDatabaseWorker('loading', 'Loading stopped');
+            this.loadingTarget = 'main';
             this.showLoading(false);
         }
     }
 
-    async loadData() {
-        this.updateProgress(20, 'Loading networks...');
-        
-        // Load networks with chunked processing
-        const networkQuery = `
-            SELECT type, lastlat as lat, lastlon as lon, bestlevel, ssid, bssid, lasttime, frequency, capabilities
-            FROM network WHERE lastlat != 0 AND lastlon != 0 ORDER BY lasttime DESC
-        `;
-        
-        const networkResults = this.db.exec(networkQuery);
-        if (networkResults.length > 0) {
-            this.data.networks = await this.processInChunks(networkResults[0].values, (row) => ({
-                type: row[0], lat: row[1], lon: row[2], level: row[3],
-                ssid: row[4] || 'Hidden Network', bssid: row[5],
-                lasttime: row[6], frequency: row[7], capabilities: row[8] || ''
-            }), 'networks');
-        }
-
+    async loadData(target = 'main') {
+        const networks = await this.loadNetworks(target);
         if (this.loadingCancelled) return;
 
         this.updateProgress(50, 'Loading observations...');
         
         // Load locations with smart sampling
-        const locationCountQuery = `SELECT COUNT(*) FROM location WHERE lat != 0 AND lon != 0`;
-        const countResult = this.db.exec(locationCountQuery);
-        const locationCount = countResult[0]?.values[0][0] || 0;
+        const locationCount = await this.countRows(`SELECT COUNT(*) FROM location WHERE lat != 0 AND lon != 0`, undefined, target);
+        const maxSamples = CONFIG.LIMITS.MAX_LOCATION_SAMPLES;
 
         let locationQuery;
-        if (locationCount > CONFIG.LIMITS.MAX_LOCATION_SAMPLES) {
-            const sampleRate = Math.ceil(locationCount / CONFIG.LIMITS.MAX_LOCATION_SAMPLES);
+        let expectedLocations = locationCount;
+        if (locationCount > maxSamples) {
+            const sampleRate = Math.ceil(locationCount / maxSamples);
+            expectedLocations = maxSamples;
             locationQuery = `
-                SELECT l.lat, l.lon, l.level, n.type, l.time
+                SELECT l.lat, l.lon, l.level, n.type, l.time, l.bssid
                 FROM location l JOIN network n ON l.bssid = n.bssid
                 WHERE l.lat != 0 AND l.lon != 0 AND l._id % ${sampleRate} = 0
-                LIMIT ${CONFIG.LIMITS.MAX_LOCATION_SAMPLES}
+                LIMIT ${maxSamples}
             `;
         } else {
             locationQuery = `
-                SELECT l.lat, l.lon, l.level, n.type, l.time
+                SELECT l.lat, l.lon, l.level, n.type, l.time, l.bssid
                 FROM location l JOIN network n ON l.bssid = n.bssid
                 WHERE l.lat != 0 AND l.lon != 0
             `;
         }
 
-        const locationResults = this.db.exec(locationQuery);
-        if (locationResults.length > 0) {
-            this.data.locations = await this.processInChunks(locationResults[0].values, (row) => ({
-                lat: row[0], lon: row[1], level: row[2], type: row[3], time: row[4]
-            }), 'observations');
-        }
+        const locations = [];
+        await this.streamQuery(locationQuery, rows => {
+            rows.forEach(row => locations.push({
+                lat: row[0], lon: row[1], level: row[2], type: row[3], time: row[4], bssid: row[5]
+            }));
+            this.updateProgress(50 + this.progressRatio(locations.length, expectedLocations) * 30, `Loading ${locations.length} observations...`);
+        }, undefined, target);
+
+        if (this.loadingCancelled) return;
+
+        this.updateProgress(80, 'Aggregating observations...');
+        await this.aggregateObservations(networks, target);
+
+        if (this.loadingCancelled) return;
+
+        this.updateProgress(83, 'Reconstructing drive route...');
+        const sessions = await this.loadRoute(networks, target);
+
+        if (this.loadingCancelled) return;
+
+        this.updateProgress(86, 'Analyzing presence patterns...');
+        const activity = await this.loadActivity(networks, target);
+
+        if (this.loadingCancelled) return;
+
+        this.data.networks = networks;
+        this.data.locations = locations;
+        this.data.sessions = sessions;
+        this.data.activity = activity;
+        this.selectedSession = null;
+        this.sessionFilter = null;
+        this.activityFilter = null;
+        this.trackers = null;
+        this.selectedTracker = null;
+        // Results of the previous database can no longer be paged
+        this.sqlConsole = null;
+        this.clearSqlLayer();
+        const sqlResults = document.getElementById('sqlResults');
+        if (sqlResults) sqlResults.innerHTML = '';
+        this.showRoute(false);
+        this.applyPositionMode();
 
         // Calculate time range
         this.calculateTimeRange();
     }
 
-    // Helper: Process large arrays in chunks to prevent UI blocking
-    async processInChunks(data, transformer, label) {
-        const result = [];
-        const chunkSize = CONFIG.LIMITS.CHUNK_SIZE;
-
-        for (let i = 0; i < data.length; i += chunkSize) {
-            if (this.loadingCancelled) return [];
+    // Stream networks from a database worker in batches
+    async loadNetworks(target = 'main') {
+        this.updateProgress(20, 'Loading networks...');
 
-            const chunk = data.slice(i, i + chunkSize);
-            result.push(...chunk.map(transformer));
+        const networkFilter = `FROM network WHERE lastlat != 0 AND lastlon != 0`;
+        const networkCount = await this.countRows(`SELECT COUNT(*) ${networkFilter}`, undefined, target);
+        const networks = [];
 
-            const progress = Math.round((i + chunkSize) / data.length * 100);
-            this.updateProgress(20 + progress * 0.3, `Processing ${result.length} ${label}...`);
+        await this.streamQuery(`
+            SELECT type, lastlat as lat, lastlon as lon, bestlevel, ssid, bssid, lasttime, frequency, capabilities
+            ${networkFilter} ORDER BY lasttime DESC
+        `, rows => {
+            rows.forEach(row => {
+                const vendor = this.lookupVendor(row[5]);
+                networks.push({
+                    type: row[0], lat: row[1], lon: row[2], level: row[3],
+                    ssid: row[4] || 'Hidden Network', bssid: row[5],
+                    lasttime: row[6], frequency: row[7], capabilities: row[8] || '',
+                    vendor, macKind: this.classifyMacAddress(row[5], row[0], vendor),
+                    cell: CONFIG.CELLULAR.DEFAULT_TECHNOLOGY[row[0]] ? this.decodeCellId(row[5], row[0], row[8], row[4]) : null
+                });
+            });
+            this.updateProgress(20 + this.progressRatio(networks.length, networkCount) * 30, `Loading ${networks.length} of ${networkCount} networks...`);
+        }, undefined, target);
 
-            if (i % (chunkSize * 2) === 0) await this.sleep(1);
-        }
+        return networks;
+    }
 
-        return result;
+    progressRatio(loaded, total) {
+        return total > 0 ? Math.min(1, loaded / total) : 1;
     }
 
     // =================
-    // VIEW MANAGEMENT
+    // FILE IMPORTERS
     // =================
 
-    switchView(viewName) {
-        this.currentView = viewName;
+    isGzip(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+        return bytes[0] === 0x1f && bytes[1] === 0x8b;
+    }
 
-        // Update UI
-        document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
-        document.querySelector(`[data-view="${viewName}"]`)?.classList.add('active');
+    decompressGzip(buffer) {
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    }
 
-        document.querySelectorAll('.view-panel').forEach(panel => panel.classList.remove('active'));
-        document.getElementById(`${viewName}-panel`)?.classList.add('active');
+    async readImportFile(file) {
+        let buffer = await file.arrayBuffer();
+        if (this.isGzip(buffer)) {
+            this.updateProgress(5, `Decompressing ${file.name}...`);
+            buffer = await this.decompressGzip(buffer);
+        }
+        return { name: file.name, buffer, format: this.detectFileFormat(buffer) };
+    }
 
-        this.updateView();
+    // Sniff the format from the file contents rather than trusting the extension
+    detectFileFormat(buffer) {
+        const header = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(512, buffer.byteLength)))
+            .replace(/^\uFEFF/, '');
+        if (header.startsWith('SQLite format 3\0')) return 'sqlite';
+        if (header.startsWith('WigleWifi-')) return 'wigle-csv';
+        if (header.trimStart().startsWith('BSSID, First time seen')) return 'airodump-csv';
+        if (header.includes('<detection-run')) return 'netxml';
+        if (/^\s*\{.*"(lat|class)"/.test(header)) return 'gps';
+        return 'unknown';
     }
 
-    updateView() {
-        if (this.data.networks.length === 0) return;
+    // Load the sources into the target database worker - 'main' for the viewer, 'compare' for a scan comparison
+    async importSources(sources, target = 'main') {
+        const first = format => sources.find(source => source.format === format);
 
-        this.clearLayers();
+        const database = first('sqlite');
+        if (database) return this.openDatabase(database.buffer, target);
 
-        switch (this.currentView) {
-            case 'heatmap':
-                this.updateHeatmap();
-                break;
-            case 'markers':
-                this.showNetworkMarkers();
-                break;
-            case 'timeline':
-                this.updateTimeFilter(document.getElementById('timeSlider')?.value || 100);
-                break;
+        const wigleCsv = first('wigle-csv');
+        if (wigleCsv) return this.importWigleCsv(wigleCsv.buffer, target);
+
+        if (first('airodump-csv') || first('netxml')) {
+            return this.importAirodump(first('airodump-csv'), first('netxml'), first('gps'), target);
         }
+
+        throw new Error('Unsupported file format');
     }
 
-    // =================
-    // MAP RENDERING
-    // =================
+    // Open a SQLite file as-is when it is a WiGLE database, or convert it when it is a Kismet log
+    async openDatabase(buffer, target = 'main') {
+        await this.workerRequest('open', { buffer, sqlJsUrl: CONFIG.SQLJS_URL }, { transfer: [buffer], target });
 
-    updateHeatmap() {
-        this.clearLayers();
+        const result = await this.queryDatabase(`SELECT name FROM sqlite_master WHERE type = 'table'`, undefined, target);
+        const tables = new Set((result[0]?.values || []).map(([name]) => name));
 
-        const activeTypes = this.getActiveTypes();
-        if (activeTypes.length === 0) return;
+        if (tables.has('network') && tables.has('location')) return;
+        if (tables.has('KISMET') && tables.has('devices')) return this.importKismet(target);
+        throw new Error('Unrecognized SQLite schema');
+    }
 
-        const intensity = parseFloat(document.getElementById('intensitySlider')?.value || 1);
-        const radius = parseInt(document.getElementById('radiusSlider')?.value || 15);
+    // WiGLE CSV upload format: a "WigleWifi-1.x" preamble line, a header line, then one observation per row
+    async importWigleCsv(buffer, target = 'main') {
+        const lines = new TextDecoder().decode(buffer).split(/\r?\n/);
+        const header = this.parseCsvLine(lines[1] || '');
+        const column = name => header.indexOf(name);
+        const cols = {
+            mac: column('MAC'), ssid: column('SSID'), auth: column('AuthMode'), firstSeen: column('FirstSeen'),
+            channel: column('Channel'), frequency: column('Frequency'), rssi: column('RSSI'),
+            lat: column('CurrentLatitude'), lon: column('CurrentLongitude'),
+            altitude: column('AltitudeMeters'), accuracy: column('AccuracyMeters'), type: column('Type')
+        };
+        if (cols.mac < 0 || cols.lat < 0 || cols.lon < 0) throw new Error('Missing WiGLE CSV columns');
 
-        // Smart sampling for performance
-        const allPoints = [];
-        const maxPoints = CONFIG.LIMITS.MAX_HEATMAP_POINTS;
+        const networks = new Map();
+        const locations = [];
+        const chunkSize = CONFIG.LIMITS.CHUNK_SIZE * 5;
 
-        // Sample networks
-        const filteredNetworks = this.data.networks.filter(n => activeTypes.includes(n.type));
-        const networkStep = Math.max(1, Math.ceil(filteredNetworks.length / (maxPoints * 0.3)));
-        for (let i = 0; i < filteredNetworks.length; i += networkStep) {
-            const item = filteredNetworks[i];
-            allPoints.push([item.lat, item.lon, 0.8 * intensity]);
-        }
+        for (let i = 2; i < lines.length; i += chunkSize) {
+            if (this.loadingCancelled) return;
 
-        // Sample locations
-        const filteredLocations = this.data.locations.filter(l => activeTypes.includes(l.type));
-        const locationStep = Math.max(1, Math.ceil(filteredLocations.length / (maxPoints * 0.7)));
-        for (let i = 0; i < filteredLocations.length; i += locationStep) {
-            const item = filteredLocations[i];
-            const pointIntensity = Math.max(0.1, Math.min(1, (item.level + 100) / 70)) * intensity;
-            allPoints.push([item.lat, item.lon, pointIntensity]);
+            lines.slice(i, i + chunkSize).forEach(line => {
+                if (!line.trim()) return;
+                const fields = this.parseCsvLine(line);
+                const value = index => index >= 0 ? fields[index] : undefined;
+                const type = CONFIG.CSV_TYPES[(value(cols.type) || 'WIFI').toUpperCase()];
+                const bssid = value(cols.mac);
+                if (!type || !bssid) return;
+
+                const frequency = parseInt(value(cols.frequency)) || this.channelToFrequency(parseInt(value(cols.channel)), type);
+                const rssi = parseInt(value(cols.rssi));
+                this.addObservation(networks, locations, {
+                    bssid, type, frequency,
+                    ssid: value(cols.ssid) || '',
+                    capabilities: value(cols.auth) || '',
+                    level: Number.isFinite(rssi) ? rssi : -100,
+                    lat: parseFloat(value(cols.lat)) || 0,
+                    lon: parseFloat(value(cols.lon)) || 0,
+                    altitude: parseFloat(value(cols.altitude)) || 0,
+                    accuracy: parseFloat(value(cols.accuracy)) || 0,
+                    time: this.parseUtcTimestamp(value(cols.firstSeen))
+                });
+            });
+
+            this.updateProgress(5 + this.progressRatio(i, lines.length) * 10, `Parsing ${locations.length} CSV rows...`);
+            await this.sleep(1);
         }
 
-        if (allPoints.length > 0) {
-            this.layers.heatmap = L.heatLayer(allPoints, {
-                radius, blur: Math.max(10, radius - 5), maxZoom: 18,
-                gradient: { 0.0: 'blue', 0.2: 'cyan', 0.4: 'lime', 0.6: 'yellow', 0.8: 'orange', 1.0: 'red' }
+        await this.writeWigleDatabase(networks.values(), locations, target);
+    }
+
+    // Kismet log: device summaries (JSON blobs) plus GPS-tagged packets as observations
+    async importKismet(target = 'main') {
+        this.updateProgress(15, 'Reading Kismet devices...');
+        const devices = new Map();
+        await this.streamQuery(`
+            SELECT devmac, phyname, type, strongest_signal, last_time, avg_lat, avg_lon, device FROM devices
+        `, rows => {
+            rows.forEach(row => {
+                const device = this.parseKismetDevice(row);
+                if (device) devices.set(device.bssid, device);
             });
-            
-            // Add to layer control as overlay
-            this.layers.layerControl.addOverlay(this.layers.heatmap, 'Network Heatmap');
-            this.layers.heatmap.addTo(this.map);
+        }, undefined, target);
+        if (this.loadingCancelled) return;
+
+        this.updateProgress(15, 'Reading Kismet packets...');
+        const networks = new Map();
+        const locations = [];
+        await this.streamQuery(`
+            SELECT sourcemac, lat, lon, alt, signal, ts_sec FROM packets WHERE lat != 0 AND lon != 0
+        `, rows => {
+            rows.forEach(([mac, lat, lon, altitude, signal, seconds]) => {
+                const device = devices.get(mac);
+                if (!device) return;
+                this.addObservation(networks, locations, {
+                    ...device, lat, lon, altitude,
+                    level: signal || device.level,
+                    time: seconds * 1000
+                });
+            });
+        }, undefined, target);
+        if (this.loadingCancelled) return;
+
+        // Devices without GPS-tagged packets still get Kismet's averaged position
+        devices.forEach(device => {
+            if (!networks.has(device.bssid)) this.addObservation(networks, locations, device);
+        });
+
+        await this.writeWigleDatabase(networks.values(), locations, target);
+    }
+
+    parseKismetDevice([mac, phy, kind, strongest, lastTime, avgLat, avgLon, blob]) {
+        const type = CONFIG.KISMET_PHY_TYPES[phy];
+        // Wi-Fi clients and bridged devices aren't networks
+        if (!type || (type === 'W' && !/AP|Ad-Hoc/i.test(kind || ''))) return null;
+
+        let device = {};
+        try {
+            device = JSON.parse(typeof blob === 'string' ? blob : new TextDecoder().decode(blob));
+        } catch (error) {
+            // Summary columns are enough without the blob
         }
+
+        return {
+            bssid: mac, type,
+            ssid: device['kismet.device.base.name'] || '',
+            frequency: Math.round((device['kismet.device.base.frequency'] || 0) / 1000), // kHz
+            capabilities: type === 'W' ? this.securityToCapabilities(device['kismet.device.base.crypt']) : '',
+            level: strongest || -100,
+            lat: avgLat || 0, lon: avgLon || 0,
+            time: (lastTime || 0) * 1000
+        };
     }
 
-    showNetworkMarkers() {
-        this.clearLayers();
+    // airodump-ng: the -01.csv network list, positioned from .kismet.netxml GPS info or the .gps track
+    async importAirodump(csvSource, netxmlSource, gpsSource, target = 'main') {
+        this.updateProgress(15, 'Reading airodump-ng capture...');
+        const decode = (source, encoding) => new TextDecoder(encoding).decode(source.buffer);
 
-        const filteredNetworks = this.getFilteredNetworks();
-        const maxNetworks = CONFIG.LIMITS.MAX_CANVAS_MARKERS;
-        const networksToShow = filteredNetworks.slice(0, maxNetworks);
+        const netxml = netxmlSource ? this.parseNetxml(decode(netxmlSource, 'iso-8859-1')) : new Map();
+        const track = gpsSource ? this.parseGpsTrack(decode(gpsSource)) : [];
+        const records = csvSource ? this.parseAirodumpCsv(decode(csvSource)) : [...netxml.values()];
 
-        if (networksToShow.length === 0) return;
+        const networks = new Map();
+        const locations = [];
+        records.forEach(record => {
+            const xmlFixes = netxml.get(record.bssid)?.fixes || [];
+            const fixes = xmlFixes.length > 0 ? xmlFixes : this.fixesFromTrack(track, record);
 
-        // High-performance GeoJSON canvas rendering
-        const geoJsonData = {
-            type: 'FeatureCollection',
-            features: networksToShow.map(network => ({
-                type: 'Feature',
-                geometry: { type: 'Point', coordinates: [network.lon, network.lat] },
-                properties: network
-            }))
-        };
+            if (fixes.length === 0) this.addObservation(networks, locations, { ...record, lat: 0, lon: 0 });
+            fixes.forEach(fix => this.addObservation(networks, locations, { ...record, ...fix }));
+        });
 
-        this.layers.geoJsonLayer = L.geoJSON(geoJsonData, {
-            pointToLayer: (feature, latlng) => {
-                const { type, level } = feature.properties;
-                const radius = this.getMarkerRadius(level);
-                return L.circleMarker(latlng, {
-                    radius: radius,
-                    fillColor: CONFIG.NETWORK_TYPES[type]?.color || '#808080',
-                    color: '#ffffff', 
-                    weight: window.innerWidth < 768 ? 2 : 1, // Thicker borders on mobile
-                    opacity: 0.9, 
-                    fillOpacity: 0.8,
-                    // Make click targets larger
-                    className: 'network-marker'
-                });
-            },
-            onEachFeature: (feature, layer) => {
-                const props = feature.properties;
-                layer.bindTooltip(`${props.ssid} (${props.type})\n${props.level} dBm`);
-                layer.on('click', () => {
-                    layer.bindPopup(this.createNetworkPopup(props)).openPopup();
-                });
+        await this.writeWigleDatabase(networks.values(), locations, target);
+    }
+
+    parseAirodumpCsv(text) {
+        const records = [];
+        let header = null;
+
+        for (const line of text.split(/\r?\n/)) {
+            if (!line.trim()) continue;
+            const fields = line.split(',').map(field => field.trim());
+
+            if (fields[0] === 'BSSID') {
+                header = fields;
+                continue;
             }
+            // Client section follows the access points
+            if (fields[0] === 'Station MAC') break;
+            if (!header || fields.length < header.length) continue;
+
+            const value = name => fields[header.indexOf(name)];
+            // ESSID isn't quoted, so rejoin any commas it contained
+            const essidIndex = header.indexOf('ESSID');
+            const ssid = fields.slice(essidIndex, fields.length - (header.length - essidIndex - 1)).join(',');
+            const power = parseInt(value('Power'));
+
+            records.push({
+                bssid: fields[0], type: 'W', ssid,
+                frequency: this.channelToFrequency(parseInt(value('channel'))),
+                capabilities: this.securityToCapabilities(value('Privacy')),
+                level: power && power !== -1 ? power : -100,
+                firstTime: this.parseLocalTimestamp(value('First time seen')),
+                time: this.parseLocalTimestamp(value('Last time seen'))
+            });
+        }
+
+        return records;
+    }
+
+    parseNetxml(text) {
+        const doc = new DOMParser().parseFromString(text, 'text/xml');
+        const records = new Map();
+
+        doc.querySelectorAll('wireless-network').forEach(node => {
+            if (node.getAttribute('type') === 'probe') return;
+
+            // Direct children only - nested wireless-client elements have their own gps/snr info
+            const get = selector => node.querySelector(`:scope > ${selector}`)?.textContent.trim() || '';
+            const bssid = get('BSSID');
+            if (!bssid) return;
+
+            const encryption = [...node.querySelectorAll(':scope > SSID > encryption')].map(e => e.textContent.trim());
+            const level = parseInt(get('snr-info > max_signal_dbm')) || -100;
+            const time = Date.parse(node.getAttribute('last-time')) || 0;
+            const lat = parseFloat(get('gps-info > peak-lat')) || parseFloat(get('gps-info > avg-lat')) || 0;
+            const lon = parseFloat(get('gps-info > peak-lon')) || parseFloat(get('gps-info > avg-lon')) || 0;
+
+            records.set(bssid, {
+                bssid, type: 'W',
+                ssid: get('SSID > essid'),
+                frequency: parseInt(get('freqmhz')) || this.channelToFrequency(parseInt(get('channel'))),
+                capabilities: this.securityToCapabilities(encryption.filter(e => e !== 'None').join(' ')),
+                level, time,
+                fixes: lat && lon ? [{ lat, lon, level, time }] : []
+            });
         });
-        
-        // Add to layer control as overlay
-        this.layers.layerControl.addOverlay(this.layers.geoJsonLayer, 'Network Markers');
-        this.layers.geoJsonLayer.addTo(this.map);
 
-        if (filteredNetworks.length > maxNetworks) {
-            console.log(`Showing ${networksToShow.length} of ${filteredNetworks.length} networks`);
-        }
+        return records;
     }
 
-    // =================
-    // HELPER FUNCTIONS
-    // =================
+    // gpsd JSON lines as logged by airodump-ng --gpsd, sorted by time
+    parseGpsTrack(text) {
+        const track = [];
 
-    getActiveTypes(prefix = 'filter') {
-        return ['W', 'B', 'E', 'G', 'L', 'C'].filter(type => 
-            document.getElementById(`${prefix}${type}`)?.checked
-        );
+        text.split(/\r?\n/).forEach(line => {
+            if (!line.trim().startsWith('{')) return;
+            try {
+                const fix = JSON.parse(line);
+                const time = typeof fix.time === 'string' ? Date.parse(fix.time) : (fix.time || 0) * 1000;
+                if (typeof fix.lat === 'number' && typeof fix.lon === 'number' && time) {
+                    track.push({ lat: fix.lat, lon: fix.lon, altitude: fix.alt || 0, time });
+                }
+            } catch (error) {
+                // Skip partial or non-JSON lines
+            }
+        });
+
+        return track.sort((a, b) => a.time - b.time);
     }
 
-    getFilteredNetworks() {
-        const activeTypes = this.getActiveTypes('markers');
-        const searchTerm = document.getElementById('networkSearch')?.value?.toLowerCase() || '';
-        const minSignal = parseInt(document.getElementById('signalFilter')?.value || '-100');
+    // Position a network at the track fixes closest to when it was first and last seen
+    fixesFromTrack(track, record) {
+        const fixes = new Set();
+        [record.firstTime, record.time].forEach(time => {
+            const fix = this.findNearestFix(track, time);
+            if (fix) fixes.add(fix);
+        });
+        return [...fixes].map(fix => ({ ...fix, level: record.level }));
+    }
 
-        // Security filters
-        const securityFilters = {
-            open: document.getElementById('secOpen')?.checked ?? true,
-            wep: document.getElementById('secWEP')?.checked ?? true,
-            wpa: document.getElementById('secWPA')?.checked ?? true,
-            wpa3: document.getElementById('secWPA3')?.checked ?? true,
-            hidden: document.getElementById('secHidden')?.checked ?? true
-        };
+    findNearestFix(track, time) {
+        if (track.length === 0 || !time) return null;
 
-        return this.data.networks.filter(network => {
-            // Type filter
-            if (!activeTypes.includes(network.type)) return false;
-            
-            // Signal filter
-            if (network.level < minSignal) return false;
-            
-            // Search filter
-            if (searchTerm && !network.ssid.toLowerCase().includes(searchTerm) && 
-                !network.bssid.toLowerCase().includes(searchTerm)) return false;
-            
-            // Security filter (only for Wi-Fi)
-            if (network.type === 'W') {
-                const security = this.parseSecurityInfo(network.capabilities);
-                const isHidden = !network.ssid || network.ssid === '' || network.ssid === 'Hidden Network';
-                
-                if (isHidden && !securityFilters.hidden) return false;
-                if (!isHidden) {
-                    if (security === 'Open' && !securityFilters.open) return false;
-                    if (security === 'WEP' && !securityFilters.wep) return false;
-                    if ((security === 'WPA' || security === 'WPA2') && !securityFilters.wpa) return false;
-                    if (security === 'WPA3' && !securityFilters.wpa3) return false;
+        // Binary search for the first fix at or after the time
+        let low = 0, high = track.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (track[mid].time < time) low = mid + 1;
+            else high = mid;
+        }
+
+        const candidates = [track[low], track[low - 1]].filter(Boolean);
+        const nearest = candidates.reduce((best, fix) => Math.abs(fix.time - time) < Math.abs(best.time - time) ? fix : best);
+        return Math.abs(nearest.time - time) <= CONFIG.LIMITS.MAX_GPS_FIX_AGE ? nearest : null;
+    }
+
+    // Free-form security text ("WPA2 WPA", "WPA2-PSK", "OPN") to WiGLE-style capabilities
+    securityToCapabilities(security) {
+        const text = (security || '').trim();
+        if (!text || /^(opn|open|none)$/i.test(text)) return '[ESS]';
+        return `[${text.replace(/\s+/g, '-')}][ESS]`;
+    }
+
+    // Merge one observation into the per-BSSID network summary and the location rows. BSSIDs are stored
+    // lowercase like WiGLE does, so a device keeps its key across Kismet, airodump-ng and CSV imports.
+    addObservation(networks, locations, o) {
+        const hasFix = o.lat !== 0 && o.lon !== 0;
+        const bssid = o.bssid.toLowerCase();
+        let network = networks.get(bssid);
+
+        if (!network) {
+            network = {
+                bssid, ssid: o.ssid, frequency: o.frequency || 0, capabilities: o.capabilities, type: o.type,
+                lasttime: 0, lastlat: 0, lastlon: 0, bestlevel: -Infinity, bestlat: 0, bestlon: 0
+            };
+            networks.set(bssid, network);
+        }
+
+        if (!network.ssid && o.ssid) network.ssid = o.ssid;
+        if (!network.frequency && o.frequency) network.frequency = o.frequency;
+        if (!network.capabilities && o.capabilities) network.capabilities = o.capabilities;
+        if (o.time >= network.lasttime) {
+            network.lasttime = o.time;
+            if (hasFix) {
+                network.lastlat = o.lat;
+                network.lastlon = o.lon;
+            }
+        }
+        if (o.level > network.bestlevel && hasFix) {
+            network.bestlevel = o.level;
+            network.bestlat = o.lat;
+            network.bestlon = o.lon;
+        }
+        if (!network.lastlat && hasFix) {
+            network.lastlat = o.lat;
+            network.lastlon = o.lon;
+        }
+
+        if (hasFix) locations.push([bssid, o.level, o.lat, o.lon, o.altitude || 0, o.accuracy || 0, o.time]);
+    }
+
+    // Create the WiGLE network/location schema in the worker so every view works unchanged
+    async writeWigleDatabase(networks, locations, target = 'main') {
+        this.updateProgress(15, 'Building database...');
+        await this.workerRequest('open', { sqlJsUrl: CONFIG.SQLJS_URL }, { target });
+        await this.queryDatabase(`
+            CREATE TABLE network (bssid TEXT PRIMARY KEY, ssid TEXT, frequency INTEGER, capabilities TEXT, lasttime INTEGER,
+                                  lastlat REAL, lastlon REAL, type TEXT, bestlevel INTEGER, bestlat REAL, bestlon REAL);
+            CREATE TABLE location (_id INTEGER PRIMARY KEY AUTOINCREMENT, bssid TEXT, level INTEGER, lat REAL, lon REAL,
+                                   altitude REAL, accuracy REAL, time INTEGER);
+        `, undefined, target);
+
+        const networkRows = [...networks].map(n => [
+            n.bssid, n.ssid, n.frequency, n.capabilities, n.lasttime, n.lastlat, n.lastlon,
+            n.type, Number.isFinite(n.bestlevel) ? n.bestlevel : -100, n.bestlat, n.bestlon
+        ]);
+        await this.insertRows(`
+            INSERT OR REPLACE INTO network (bssid, ssid, frequency, capabilities, lasttime, lastlat, lastlon, type, bestlevel, bestlat, bestlon)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, networkRows, target);
+        await this.insertRows(`
+            INSERT INTO location (bssid, level, lat, lon, altitude, accuracy, time) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, locations, target);
+    }
+
+    async insertRows(sql, rows, target = 'main') {
+        const batchSize = CONFIG.LIMITS.CHUNK_SIZE * 5;
+        for (let i = 0; i < rows.length; i += batchSize) {
+            if (this.loadingCancelled) return;
+            await this.workerRequest('insert', { sql, rows: rows.slice(i, i + batchSize) }, { target });
+        }
+    }
+
+    // Quote-aware split of a single CSV line ("" escapes a quote inside a quoted field)
+    parseCsvLine(line) {
+        const fields = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
                 }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
             }
-            
-            return true;
-        });
+        }
+
+        fields.push(field);
+        return fields;
     }
 
-    getMarkerRadius(signalLevel) {
-        // Larger, more touch-friendly markers
-        const baseSize = window.innerWidth < 768 ? 3 : 2; // Bigger on mobile
-        if (signalLevel > -40) return 8 + baseSize;
-        if (signalLevel > -60) return 7 + baseSize;
-        if (signalLevel > -80) return 6 + baseSize;
-        return 5 + baseSize;
+    // "2024-03-01 12:34:56" in the capturing machine's local time (airodump-ng) to epoch milliseconds
+    parseLocalTimestamp(text) {
+        if (!text) return 0;
+        const time = new Date(text.trim().replace(' ', 'T')).getTime();
+        return Number.isNaN(time) ? 0 : time;
     }
 
-    createNetworkPopup(network) {
-        const lastSeen = new Date(network.lasttime).toLocaleString();
-        const security = this.parseSecurityInfo(network.capabilities);
-        const networkType = CONFIG.NETWORK_TYPES[network.type];
+    // "2024-03-01 12:34:56" (UTC) to epoch milliseconds
+    parseUtcTimestamp(text) {
+        if (!text) return 0;
+        const time = Date.parse(text.trim().replace(' ', 'T') + 'Z');
+        return Number.isNaN(time) ? 0 : time;
+    }
 
-        return `
-            <div class="popup-content">
-                <h4>${this.escapeHtml(network.ssid)}</h4>
-                <div class="popup-field"><strong>Type:</strong> ${networkType?.name || network.type}</div>
-                <div class="popup-field"><strong>BSSID:</strong> ${network.bssid}</div>
-                <div class="popup-field"><strong>Signal:</strong> ${network.level} dBm</div>
-                <div class="popup-field"><strong>Frequency:</strong> ${network.frequency} MHz</div>
-                <div class="popup-field"><strong>Security:</strong> ${security}</div>
-                <div class="popup-field"><strong>Last Seen:</strong> ${lastSeen}</div>
-            </div>
-        `;
+    channelToFrequency(channel, type = 'W') {
+        if (type !== 'W' || !channel) return 0;
+        if (channel === 14) return 2484;
+        if (channel >= 1 && channel <= 13) return 2407 + channel * 5;
+        if (channel >= 32 && channel <= 177) return 5000 + channel * 5;
+        return 0;
     }
 
-    clearLayers() {
-        // Remove heatmap from both map and layer control
-        if (this.layers.heatmap) {
-            this.map.removeLayer(this.layers.heatmap);
-            this.layers.layerControl.removeLayer(this.layers.heatmap);
-            this.layers.heatmap = null;
+    // =================
+    // OFFLINE BASEMAPS
+    // =================
+
+    async handleMbtilesUpload(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            await this.loadMbtiles(file);
+            this.setBaseLayer(this.layers.offlineBaseLayer.name);
+            // Keep the file itself so the basemap survives a reload without network
+            await this.storagePut('files', CONFIG.STORAGE.MBTILES_KEY, file);
+        } catch (error) {
+            console.error('Error loading MBTiles:', error);
+            alert('Error loading basemap. Please select a raster (PNG/JPEG) .mbtiles file.');
         }
-        
-        // Remove markers from both map and layer control
-        if (this.layers.geoJsonLayer) {
-            this.map.removeLayer(this.layers.geoJsonLayer);
-            this.layers.layerControl.removeLayer(this.layers.geoJsonLayer);
-            this.layers.geoJsonLayer = null;
+    }
+
+    async loadMbtiles(file) {
+        this.removeOfflineBaseLayer();
+
+        const buffer = await file.arrayBuffer();
+        this.startDatabaseWorker('mbtiles');
+        let metadata;
+        try {
+            await this.workerRequest('open', { buffer, sqlJsUrl: CONFIG.SQLJS_URL }, { transfer: [buffer], target: 'mbtiles' });
+
+            const result = await this.queryDatabase('SELECT name, value FROM metadata', undefined, 'mbtiles');
+            metadata = Object.fromEntries(result[0]?.values || []);
+            if (metadata.format && !CONFIG.MBTILES_FORMATS[metadata.format]) {
+                throw new Error(`Unsupported tile format: ${metadata.format}`);
+            }
+        } catch (error) {
+            // Free the file that could not be used as a basemap
+            this.stopDatabaseWorker('mbtiles', 'Basemap failed to load');
+            throw error;
+        }
+
+        const name = `Offline: ${metadata.name || file.name}`;
+        const layer = this.createMbtilesLayer(metadata);
+        this.layers.offlineBaseLayer = { name, layer };
+        this.layers.baseLayers[name] = layer;
+        this.layers.layerControl.addBaseLayer(layer, name);
+        this.updateBasemapStatus();
+    }
+
+    createMbtilesLayer(metadata) {
+        const app = this;
+        const mimeType = CONFIG.MBTILES_FORMATS[metadata.format] || 'image/png';
+        const bounds = (metadata.bounds || '').split(',').map(Number);
+
+        const MBTilesLayer = L.GridLayer.extend({
+            createTile(coords, done) {
+                const tile = document.createElement('img');
+                tile.alt = '';
+                app.loadMbtile(coords).then(data => {
+                    if (data) {
+                        const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+                        tile.onload = () => URL.revokeObjectURL(url);
+                        tile.src = url;
+                    }
+                    done(null, tile);
+                }).catch(error => done(error, tile));
+                return tile;
+            }
+        });
+
+        return new MBTilesLayer({
+            attribution: metadata.attribution || '',
+            minZoom: 0,
+            maxZoom: 20,
+            maxNativeZoom: parseInt(metadata.maxzoom) || 18,
+            bounds: bounds.length === 4 && bounds.every(Number.isFinite)
+                ? L.latLngBounds([bounds[1], bounds[0]], [bounds[3], bounds[2]])
+                : undefined
+        });
+    }
+
+    async loadMbtile({ x, y, z }) {
+        // MBTiles rows use TMS numbering - y counts up from the south
+        const tmsRow = (1 << z) - 1 - y;
+        const result = await this.queryDatabase(
+            'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+            [z, x, tmsRow], 'mbtiles'
+        );
+        return result[0]?.values[0][0] || null;
+    }
+
+    // Reopen the basemap kept from the last session, then switch to the base layer picked back then
+    async restoreBasemap() {
+        try {
+            const file = await this.storageGet('files', CONFIG.STORAGE.MBTILES_KEY);
+            if (file) await this.loadMbtiles(file);
+        } catch (error) {
+            console.warn('Could not restore offline basemap:', error);
+        }
+
+        const saved = localStorage.getItem(CONFIG.STORAGE.BASE_LAYER_KEY);
+        if (saved && this.layers.baseLayers[saved]) this.setBaseLayer(saved);
+    }
+
+    setBaseLayer(name) {
+        Object.values(this.layers.baseLayers).forEach(layer => {
+            if (this.map.hasLayer(layer)) this.map.removeLayer(layer);
+        });
+        this.layers.baseLayers[name].addTo(this.map);
+        localStorage.setItem(CONFIG.STORAGE.BASE_LAYER_KEY, name);
+    }
+
+    async clearOfflineBasemap() {
+        this.removeOfflineBaseLayer();
+        try {
+            await this.storageDelete('files', CONFIG.STORAGE.MBTILES_KEY);
+        } catch (error) {
+            console.warn('Could not delete stored basemap:', error);
         }
     }
 
+    removeOfflineBaseLayer() {
+        const offline = this.layers.offlineBaseLayer;
+        if (!offline) return;
+
+        const wasActive = this.map.hasLayer(offline.layer);
+        this.map.removeLayer(offline.layer);
+        this.layers.layerControl.removeLayer(offline.layer);
+        delete this.layers.baseLayers[offline.name];
+        this.layers.offlineBaseLayer = null;
+        this.stopDatabaseWorker('mbtiles', 'Basemap removed');
+
+        if (wasActive) this.setBaseLayer(CONFIG.MAP_LAYERS.dark.name);
+        this.updateBasemapStatus();
+    }
+
+    updateBasemapStatus() {
+        const status = document.getElementById('basemapStatus');
+        if (!status) return;
+
+        const offline = this.layers.offlineBaseLayer;
+        status.innerHTML = offline ? `
+            <div class="stats-item"><span>${this.escapeHtml(offline.name)}</span></div>
+            <button onclick="app.clearOfflineBasemap()">Remove Offline Basemap</button>
+        ` : '';
+    }
 
     // =================
-    // ANALYTICS & UI
+    // AREA FILTER
     // =================
 
-    updateStats() {
-        const networkCounts = {};
-        this.data.networks.forEach(n => {
-            networkCounts[n.type] = (networkCounts[n.type] || 0) + 1;
+    initDrawControl() {
+        this.layers.areaLayer = L.featureGroup().addTo(this.map);
+
+        // leaflet-draw is loaded from the CDN; without it the rest of the map still works
+        if (!L.Control.Draw) return;
+
+        this.map.addControl(new L.Control.Draw({
+            position: 'topleft',
+            draw: {
+                polygon: { allowIntersection: false, shapeOptions: CONFIG.AREAS.SHAPE_STYLE },
+                rectangle: { shapeOptions: CONFIG.AREAS.SHAPE_STYLE },
+                circle: { shapeOptions: CONFIG.AREAS.SHAPE_STYLE },
+                polyline: false,
+                marker: false,
+                circlemarker: false
+            },
+            edit: { featureGroup: this.layers.areaLayer }
+        }));
+
+        this.map.on(L.Draw.Event.CREATED, (e) => this.setArea(this.shapeFromLayer(e.layer, e.layerType)));
+        this.map.on(L.Draw.Event.EDITED, () => {
+            const layer = this.layers.areaLayer.getLayers()[0];
+            if (layer) this.setArea({ ...this.shapeFromLayer(layer, this.area.shape.kind), name: this.area.name, id: this.area.id });
         });
+        this.map.on(L.Draw.Event.DELETED, () => this.clearArea());
+    }
 
-        const statsHtml = `
-            <div class="stats-item"><strong>Networks:</strong> ${this.data.networks.length}</div>
-            <div class="stats-item"><strong>Observations:</strong> ${this.data.locations.length}</div>
-            <hr style="border-color: #555; margin: 10px 0;">
-            ${Object.entries(networkCounts).map(([type, count]) => 
-                `<div class="stats-item">
-                    <span>${CONFIG.NETWORK_TYPES[type]?.name || type}:</span>
-                    <span>${count}</span>
-                </div>`
-            ).join('')}
-        `;
-        
-        document.getElementById('stats').innerHTML = statsHtml;
+    // Areas are kept as plain lat/lon data so they can be stored and redrawn later
+    shapeFromLayer(layer, kind) {
+        if (kind === 'circle') {
+            const center = layer.getLatLng();
+            return { shape: { kind, center: [center.lat, center.lng], radius: layer.getRadius() } };
+        }
+        return { shape: { kind, points: layer.getLatLngs()[0].map(p => [p.lat, p.lng]) } };
     }
 
-    updateAnalysis() {
-        const analysis = this.generateWardrivingAnalysis();
-        
-        // Main discovery insights
-        const insightsHtml = `
-            <div class="insight-card">
-                <h4>🎯 Discovery Summary</h4>
-                <div class="insight-item">📊 <strong>${analysis.totalNetworks}</strong> networks discovered across <strong>${analysis.coverageArea}</strong></div>
-                <div class="insight-item">📡 <strong>${analysis.wifiNetworks}</strong> Wi-Fi networks, <strong>${analysis.bluetoothDevices}</strong> Bluetooth devices</div>
-                <div class="insight-item">🔐 <strong>${analysis.openNetworks}</strong> open networks found (${analysis.openPercentage}% of Wi-Fi)</div>
-                <div class="insight-item">🏢 <strong>${analysis.uniqueSSIDs}</strong> unique network names discovered</div>
-                ${analysis.timeInsight ? `<div class="insight-item">⏱️ ${analysis.timeInsight}</div>` : ''}
-            </div>
-        `;
+    layerFromShape(shape) {
+        return shape.kind === 'circle'
+            ? L.circle(shape.center, { ...CONFIG.AREAS.SHAPE_STYLE, radius: shape.radius })
+            : L.polygon(shape.points, CONFIG.AREAS.SHAPE_STYLE);
+    }
 
-        // Network type breakdown
-        const typeBreakdownHtml = `
-            <div class="analysis-section">
-                <h4>📡 Network Type Discovery</h4>
-                ${Object.entries(analysis.networkTypes).map(([type, data]) => `
-                    <div class="bar-item">
-                        <div class="bar-label">
-                            <span>${CONFIG.NETWORK_TYPES[type]?.name || type}</span>
-                            <span><strong>${data.count}</strong> networks</span>
-                        </div>
-                        <div class="bar-container">
-                            <div class="bar-fill type-${type}" style="width: ${data.percentage}%"></div>
-                        </div>
-                        <div class="bar-insight">${this.getTypeInsight(type, data)}</div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+    setArea(area) {
+        this.area = area;
+        this.layers.areaLayer.clearLayers();
+        this.layers.areaLayer.addLayer(this.layerFromShape(area.shape));
 
-        // Security landscape for Wi-Fi
-        const securityHtml = `
-            <div class="analysis-section">
-                <h4>🔒 Wi-Fi Security Landscape</h4>
-                ${Object.entries(analysis.wifiSecurity).map(([type, data]) => `
-                    <div class="bar-item">
-                        <div class="bar-label">
-                            <span>${type}</span>
-                            <span><strong>${data.count}</strong> networks (${data.percentage}%)</span>
-                        </div>
-                        <div class="bar-container">
-                            <div class="bar-fill ${this.getSecurityColor(type)}" style="width: ${data.percentage}%"></div>
-                        </div>
-                        <div class="bar-insight">${this.getSecurityInsight(type, data)}</div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
+        this.updateView();
+        this.updateAreaPanel();
+        this.updateChannelSection();
+    }
 
-        // Most discovered networks (sighting analysis)
-        const sightingsHtml = `
-            <div class="analysis-section">
-                <h4>📈 Most Frequently Sighted</h4>
-                <div class="sightings-note">Networks you encountered most often during scanning</div>
-                ${analysis.topSightings.map(network => `
+    clearArea() {
+        this.area = null;
+        this.layers.areaLayer.clearLayers();
+        if (this.channelScope === 'area') this.channelScope = 'all';
+        this.updateView();
+        this.updateAreaPanel();
+        this.updateChannelSection();
+    }
+
+    isInArea(lat, lon, area = this.area) {
+        if (!area) return true;
+
+        const shape = area.shape;
+        if (shape.kind === 'circle') {
+            return this.distanceMeters(lat, lon, shape.center[0], shape.center[1]) <= shape.radius;
+        }
+
+        // Ray casting - count polygon edges crossed by a ray heading east from the point
+        let inside = false;
+        for (let i = 0, j = shape.points.length - 1; i < shape.points.length; j = i++) {
+            const [latI, lonI] = shape.points[i];
+            const [latJ, lonJ] = shape.points[j];
+            if ((latI > lat) !== (latJ > lat) &&
+                lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    analyzeArea() {
+        const networks = this.data.networks.filter(n => this.isInArea(n.lat, n.lon));
+
+        const types = {};
+        const security = {};
+        const ssids = new Set();
+        networks.forEach(network => {
+            types[network.type] = (types[network.type] || 0) + 1;
+            if (network.type === 'W') {
+                const type = this.parseSecurityInfo(network.capabilities);
+                security[type] = (security[type] || 0) + 1;
+            }
+            if (network.ssid && network.ssid !== 'Hidden Network') ssids.add(network.ssid);
+        });
+
+        const strongest = [...networks]
+            .sort((a, b) => b.level - a.level)
+            .slice(0, CONFIG.AREAS.MAX_STRONGEST);
+
+        return { total: networks.length, types, security, uniqueSSIDs: ssids.size, strongest };
+    }
+
+    updateAreaPanel() {
+        const container = document.getElementById('areaPanel');
+        if (!container) return;
+
+        const savedAreas = this.getSavedAreas();
+        const savedHtml = savedAreas.length ? `
+            <h4 style="color: #81C784; margin: 10px 0;">Saved Areas</h4>
+            ${savedAreas.map(area => `
+                <div class="stats-item area-item ${area.id === this.area?.id ? 'active' : ''}">
+                    <span onclick="app.useSavedArea('${area.id}')">${this.escapeHtml(area.name)}</span>
+                    <span>
+                        <span class="sort-chip" onclick="app.renameSavedArea('${area.id}')">Rename</span>
+                        <span class="sort-chip" onclick="app.deleteSavedArea('${area.id}')">Delete</span>
+                    </span>
+                </div>
+            `).join('')}
+        ` : '';
+
+        if (!this.area) {
+            container.innerHTML = `
+                <div class="sightings-note">Draw a polygon, rectangle or circle on the map to filter networks to that area</div>
+                ${savedHtml}
+            `;
+            return;
+        }
+
+        const stats = this.analyzeArea();
+        container.innerHTML = `
+            <div class="stats-item"><strong>${this.escapeHtml(this.area.name || 'Drawn area')}:</strong> ${stats.total} networks</div>
+            <div class="stats-item"><span>Unique SSIDs:</span><span>${stats.uniqueSSIDs}</span></div>
+            <hr style="border-color: #555; margin: 10px 0;">
+            ${Object.entries(stats.types).map(([type, count]) => `
+                <div class="stats-item"><span>${CONFIG.NETWORK_TYPES[type]?.name || type}:</span><span>${count}</span></div>
+            `).join('')}
+            ${Object.keys(stats.security).length ? `
+                <h4 style="color: #81C784; margin: 10px 0;">Wi-Fi Security</h4>
+                ${Object.entries(stats.security).sort((a, b) => b[1] - a[1]).map(([type, count]) => {
+                    const percentage = Math.round(count / stats.types.W * 100);
+                    return `
+                        <div class="bar-item">
+                            <div class="bar-label"><span>${type}</span><span><strong>${count}</strong> (${percentage}%)</span></div>
+                            <div class="bar-container">
+                                <div class="bar-fill ${this.getSecurityColor(type)}" style="width: ${percentage}%"></div>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            ` : ''}
+            ${stats.strongest.length ? `
+                <h4 style="color: #81C784; margin: 10px 0;">Strongest Networks</h4>
+                ${stats.strongest.map(network => `
                     <div class="sighting-item" onclick="app.focusOnNetwork('${network.bssid}')">
                         <div class="sighting-main">
-                            <span class="sighting-ssid">${this.escapeHtml(network.ssid)}</span>
-                            <span class="sighting-count">${network.sightings} sightings</span>
-                        </div>
-                        <div class="sighting-details">
-                            ${CONFIG.NETWORK_TYPES[network.type]?.name} • ${this.parseSecurityInfo(network.capabilities)}
+                            <span class="sighting-ssid">${this.escapeHtml(network.ssid || 'Hidden Network')}</span>
+                            <span class="sighting-count">${network.level} dBm</span>
                         </div>
+                        <div class="sighting-details">${CONFIG.NETWORK_TYPES[network.type]?.name} • ${network.bssid}</div>
                     </div>
                 `).join('')}
+            ` : ''}
+            <div class="button-grid">
+                <button onclick="app.saveArea()">${this.area.id ? 'Save Changes' : 'Save Area'}</button>
+                <button onclick="app.clearArea()">Clear Area</button>
             </div>
+            ${savedHtml}
         `;
+    }
+
+    getSavedAreas() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.STORAGE.AREAS_KEY)) || [];
+        } catch (error) {
+            console.warn('Ignoring unreadable saved areas:', error);
+            return [];
+        }
+    }
+
+    storeSavedAreas(areas) {
+        localStorage.setItem(CONFIG.STORAGE.AREAS_KEY, JSON.stringify(areas));
+        this.updateAreaPanel();
+    }
+
+    saveArea() {
+        if (!this.area) return;
+
+        const areas = this.getSavedAreas();
+        const existing = areas.find(area => area.id === this.area.id);
+        if (existing) {
+            existing.shape = this.area.shape;
+        } else {
+            const name = prompt('Name for this area:', `Area ${areas.length + 1}`);
+            if (!name) return;
+            this.area = { ...this.area, id: Date.now().toString(36), name };
+            areas.push(this.area);
+        }
+        this.storeSavedAreas(areas);
+    }
+
+    useSavedArea(id) {
+        const area = this.getSavedAreas().find(a => a.id === id);
+        if (!area) return;
+
+        this.setArea(area);
+        this.map.fitBounds(this.layers.areaLayer.getBounds(), { padding: [20, 20] });
+    }
+
+    renameSavedArea(id) {
+        const areas = this.getSavedAreas();
+        const area = areas.find(a => a.id === id);
+        const name = area && prompt('Rename area:', area.name);
+        if (!name) return;
+
+        area.name = name;
+        if (this.area?.id === id) this.area.name = name;
+        this.storeSavedAreas(areas);
+    }
+
+    deleteSavedArea(id) {
+        const area = this.getSavedAreas().find(a => a.id === id);
+        if (!area || !confirm(`Delete saved area "${area.name}"?`)) return;
+
+        // The area stays drawn, it just is no longer saved
+        if (this.area?.id === id) this.area = { shape: this.area.shape };
+        this.storeSavedAreas(this.getSavedAreas().filter(a => a.id !== id));
+    }
+
+    // =================
+    // SQL CONSOLE
+    // =================
+
+    async runSqlQuery(sql = document.getElementById('sqlEditor')?.value || '') {
+        sql = sql.trim();
+        if (!sql) return;
+        if (!this.hasDatabase()) {
+            this.showSqlError('Load a database first');
+            return;
+        }
+
+        this.addSqlHistory(sql);
+        this.sqlConsole = { sql, page: 0, columns: [], rows: [], hasMore: false };
+        await this.loadSqlPage(0);
+        if (this.sqlConsole?.sql === sql) await this.plotSqlResults();
+    }
+
+    async loadSqlPage(page) {
+        const state = this.sqlConsole;
+        if (!state || page < 0) return;
+
+        const pageSize = CONFIG.SQL_CONSOLE.PAGE_SIZE;
+        document.getElementById('sqlResults').innerHTML = '<div class="sightings-note">Running query...</div>';
+
+        try {
+            const result = await this.workerRequest('query', { sql: state.sql, offset: page * pageSize, limit: pageSize });
+            Object.assign(state, result, { page });
+            this.renderSqlResults();
+        } catch (error) {
+            this.showSqlError(error.message);
+        }
+    }
+
+    renderSqlResults() {
+        const { columns, rows, page, hasMore } = this.sqlConsole;
+        const first = page * CONFIG.SQL_CONSOLE.PAGE_SIZE;
+        const formatCell = value => value instanceof Uint8Array
+            ? `<em>BLOB (${value.length} bytes)</em>`
+            : value === null ? '<em>NULL</em>' : this.escapeHtml(String(value));
+
+        document.getElementById('sqlResults').innerHTML = rows.length === 0 && page === 0
+            ? '<div class="sightings-note">Query returned no rows</div>'
+            : `
+                <div class="sql-pager">
+                    <button onclick="app.loadSqlPage(${page - 1})" ${page === 0 ? 'disabled' : ''}>‹ Prev</button>
+                    <span>Rows ${first + 1}–${first + rows.length}</span>
+                    <button onclick="app.loadSqlPage(${page + 1})" ${hasMore ? '' : 'disabled'}>Next ›</button>
+                </div>
+                <div class="sql-table-wrapper">
+                    <table class="sql-table">
+                        <thead><tr>${columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('')}</tr></thead>
+                        <tbody>
+                            ${rows.map(row => `<tr>${row.map(value => `<td>${formatCell(value)}</td>`).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+    }
+
+    showSqlError(message) {
+        document.getElementById('sqlResults').innerHTML = `<div class="sql-error">${this.escapeHtml(message)}</div>`;
+    }
+
+    // Results with coordinate columns get their own overlay; rows carrying a known BSSID behave like network markers
+    async plotSqlResults() {
+        this.clearSqlLayer();
+
+        const columns = this.sqlConsole.columns.map(column => column.toLowerCase());
+        const latIndex = columns.includes('lat') ? columns.indexOf('lat') : columns.indexOf('lastlat');
+        const lonIndex = columns.includes('lon') ? columns.indexOf('lon') : columns.indexOf('lastlon');
+        if (latIndex === -1 || lonIndex === -1) return;
+
+        const state = this.sqlConsole;
+        let rows;
+        try {
+            ({ rows } = await this.workerRequest('query', {
+                sql: state.sql, offset: 0, limit: CONFIG.SQL_CONSOLE.MAX_MAP_ROWS
+            }));
+        } catch (error) {
+            this.showSqlError(error.message);
+            return;
+        }
+        // Another query was run or another database opened meanwhile
+        if (state !== this.sqlConsole) return;
+
+        const bssidIndex = columns.indexOf('bssid');
+        const networksByBssid = bssidIndex === -1 ? null : new Map(this.data.networks.map(n => [n.bssid, n]));
+        const markers = [];
+
+        rows.forEach(row => {
+            const lat = Number(row[latIndex]);
+            const lon = Number(row[lonIndex]);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || (lat === 0 && lon === 0)) return;
+
+            const network = networksByBssid?.get(row[bssidIndex]);
+            if (network) {
+                const marker = this.createNetworkMarker(network, L.latLng(lat, lon));
+                this.bindNetworkMarker(marker, network);
+                markers.push(marker);
+                return;
+            }
+
+            markers.push(L.circleMarker([lat, lon], {
+                radius: 6, fillColor: CONFIG.SQL_CONSOLE.MARKER_COLOR, color: '#ffffff', weight: 1, fillOpacity: 0.8
+            }).bindPopup(this.sqlConsole.columns.map((column, i) =>
+                `<strong>${this.escapeHtml(column)}:</strong> ${this.escapeHtml(String(row[i]))}`
+            ).join('<br>')));
+        });
+
+        if (markers.length === 0) return;
+
+        this.layers.sqlLayer = L.featureGroup(markers).addTo(this.map);
+        this.layers.layerControl.addOverlay(this.layers.sqlLayer, 'SQL Results');
+        this.map.fitBounds(this.layers.sqlLayer.getBounds(), { padding: [20, 20], maxZoom: 16 });
+    }
+
+    clearSqlLayer() {
+        if (!this.layers.sqlLayer) return;
+        this.map.removeLayer(this.layers.sqlLayer);
+        this.layers.layerControl.removeLayer(this.layers.sqlLayer);
+        this.layers.sqlLayer = null;
+    }
+
+    readSqlList(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+            console.warn('Ignoring unreadable SQL console storage:', error);
+            return [];
+        }
+    }
+
+    addSqlHistory(sql) {
+        const history = [sql, ...this.readSqlList(CONFIG.STORAGE.SQL_HISTORY_KEY).filter(entry => entry !== sql)];
+        localStorage.setItem(CONFIG.STORAGE.SQL_HISTORY_KEY, JSON.stringify(history.slice(0, CONFIG.SQL_CONSOLE.MAX_HISTORY)));
+        this.updateSqlLibrary();
+    }
+
+    saveSqlQuery() {
+        const sql = document.getElementById('sqlEditor')?.value.trim();
+        if (!sql) return;
+
+        const saved = this.readSqlList(CONFIG.STORAGE.SQL_SAVED_KEY);
+        const name = prompt('Name for this query:', `Query ${saved.length + 1}`);
+        if (!name) return;
+
+        localStorage.setItem(CONFIG.STORAGE.SQL_SAVED_KEY, JSON.stringify([...saved.filter(q => q.name !== name), { name, sql }]));
+        this.updateSqlLibrary();
+    }
+
+    deleteSqlQuery(index) {
+        const saved = this.readSqlList(CONFIG.STORAGE.SQL_SAVED_KEY);
+        if (!saved[index] || !confirm(`Delete saved query "${saved[index].name}"?`)) return;
+
+        saved.splice(index, 1);
+        localStorage.setItem(CONFIG.STORAGE.SQL_SAVED_KEY, JSON.stringify(saved));
+        this.updateSqlLibrary();
+    }
+
+    loadSqlQuery(source, index) {
+        const list = this.readSqlList(source === 'saved' ? CONFIG.STORAGE.SQL_SAVED_KEY : CONFIG.STORAGE.SQL_HISTORY_KEY);
+        const entry = list[index];
+        if (!entry) return;
+        document.getElementById('sqlEditor').value = source === 'saved' ? entry.sql : entry;
+    }
+
+    updateSqlLibrary() {
+        const container = document.getElementById('sqlLibrary');
+        if (!container) return;
+
+        const saved = this.readSqlList(CONFIG.STORAGE.SQL_SAVED_KEY);
+        const history = this.readSqlList(CONFIG.STORAGE.SQL_HISTORY_KEY);
+        const preview = sql => this.escapeHtml(sql.replace(/\s+/g, ' ').slice(0, 80));
+
+        container.innerHTML = `
+            ${saved.length ? `
+                <h4 style="color: #81C784; margin: 10px 0;">Saved Queries</h4>
+                ${saved.map((query, i) => `
+                    <div class="stats-item area-item">
+                        <span onclick="app.loadSqlQuery('saved', ${i})" title="${this.escapeAttribute(query.sql)}">${this.escapeHtml(query.name)}</span>
+                        <span class="sort-chip" onclick="app.deleteSqlQuery(${i})">Delete</span>
+                    </div>
+                `).join('')}
+            ` : ''}
+            ${history.length ? `
+                <h4 style="color: #81C784; margin: 10px 0;">History</h4>
+                ${history.map((sql, i) => `
+                    <div class="sql-history-item" onclick="app.loadSqlQuery('history', ${i})">${preview(sql)}</div>
+                `).join('')}
+            ` : ''}
+        `;
+    }
+
+    // =================
+    // LOCAL STORAGE
+    // =================
+
+    openStorage() {
+        if (!this.storagePromise) {
+            this.storagePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(CONFIG.STORAGE.DB_NAME, CONFIG.STORAGE.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('files')) db.createObjectStore('files');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.storagePromise;
+    }
+
+    async storageRequest(storeName, mode, operation) {
+        const db = await this.openStorage();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    storageGet(storeName, key) {
+        return this.storageRequest(storeName, 'readonly', store => store.get(key));
+    }
+
+    storagePut(storeName, key, value) {
+        return this.storageRequest(storeName, 'readwrite', store => store.put(value, key));
+    }
+
+    storageDelete(storeName, key) {
+        return this.storageRequest(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    getRecentDatabases() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.STORAGE.RECENT_KEY)) || [];
+        } catch (error) {
+            console.warn('Ignoring unreadable recent databases:', error);
+            return [];
+        }
+    }
+
+    // The original files are kept (not the converted database), so reopening runs the normal import
+    async rememberDatabase(files) {
+        const { MAX_RECENT, MAX_RECENT_SIZE, RECENT_FILE_PREFIX } = CONFIG.STORAGE;
+        const name = files.map(file => file.name).join(', ');
+        const size = files.reduce((total, file) => total + file.size, 0);
+        const modified = Math.max(...files.map(file => file.lastModified || 0));
+        if (size > MAX_RECENT_SIZE) return;
+
+        // A re-exported file often keeps its name and size, so the stored copy is overwritten unless it is unchanged
+        const previous = this.getRecentDatabases();
+        const existing = previous.find(entry => entry.name === name && entry.size === size);
+        const entry = {
+            id: existing?.id || Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name, size, modified,
+            openedAt: Date.now(),
+            timeRange: this.data.timeRange,
+            networks: this.data.networks.length
+        };
+
+        // Most recent first, within both the count and the size limit
+        const kept = [];
+        let total = 0;
+        [entry, ...previous.filter(e => e.id !== entry.id)].forEach(e => {
+            if (kept.length < MAX_RECENT && total + e.size <= MAX_RECENT_SIZE) {
+                kept.push(e);
+                total += e.size;
+            }
+        });
+
+        try {
+            if (existing?.modified !== modified) await this.storagePut('files', RECENT_FILE_PREFIX + entry.id, files);
+            await Promise.all(previous.filter(e => !kept.includes(e) && e.id !== entry.id)
+                .map(e => this.storageDelete('files', RECENT_FILE_PREFIX + e.id)));
+            localStorage.setItem(CONFIG.STORAGE.RECENT_KEY, JSON.stringify(kept));
+        } catch (error) {
+            // Usually the storage quota - the file still works, it just is not remembered
+            console.warn('Could not keep the database for next time:', error);
+        }
+        this.updateRecentDatabases();
+    }
+
+    async openRecentDatabase(id) {
+        const entry = this.getRecentDatabases().find(e => e.id === id);
+        if (!entry) return;
+
+        let files;
+        try {
+            files = await this.storageGet('files', CONFIG.STORAGE.RECENT_FILE_PREFIX + id);
+        } catch (error) {
+            console.error('Error reading stored database:', error);
+        }
+        if (!files) {
+            alert(`"${entry.name}" is no longer stored in this browser.`);
+            this.storeRecentDatabases(this.getRecentDatabases().filter(e => e.id !== id));
+            return;
+        }
+
+        if (await this.openFiles(files)) await this.rememberDatabase(files);
+    }
+
+    storeRecentDatabases(entries) {
+        localStorage.setItem(CONFIG.STORAGE.RECENT_KEY, JSON.stringify(entries));
+        this.updateRecentDatabases();
+    }
+
+    async forgetRecentDatabase(id) {
+        try {
+            await this.storageDelete('files', CONFIG.STORAGE.RECENT_FILE_PREFIX + id);
+        } catch (error) {
+            console.warn('Error removing stored database:', error);
+        }
+        this.storeRecentDatabases(this.getRecentDatabases().filter(e => e.id !== id));
+    }
+
+    async clearRecentDatabases() {
+        const entries = this.getRecentDatabases();
+        if (entries.length === 0 || !confirm(`Remove ${entries.length} stored database(s) from this browser?`)) return;
+
+        await Promise.all(entries.map(e => this.forgetRecentDatabase(e.id)));
+    }
+
+    updateRecentDatabases() {
+        const container = document.getElementById('recentDatabases');
+        if (!container) return;
+
+        const entries = this.getRecentDatabases();
+        if (entries.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const formatDate = time => new Date(time).toLocaleDateString();
+        const total = entries.reduce((sum, e) => sum + e.size, 0);
+        container.innerHTML = `
+            <h4 style="color: #81C784; margin: 10px 0;">Recent Databases</h4>
+            ${entries.map(entry => `
+                <div class="sighting-item" onclick="app.openRecentDatabase('${entry.id}')">
+                    <div class="sighting-main">
+                        <span class="sighting-ssid">${this.escapeHtml(entry.name)}</span>
+                        <span class="sort-chip" onclick="event.stopPropagation(); app.forgetRecentDatabase('${entry.id}')">✕</span>
+                    </div>
+                    <div class="sighting-details">
+                        ${this.formatBytes(entry.size)} • ${entry.networks} networks<br>
+                        ${entry.timeRange?.min ? `${formatDate(entry.timeRange.min)} – ${formatDate(entry.timeRange.max)}` : 'No timestamps'}
+                    </div>
+                </div>
+            `).join('')}
+            <div class="sightings-note">${this.formatBytes(total)} of ${this.formatBytes(CONFIG.STORAGE.MAX_RECENT_SIZE)} used</div>
+            <button onclick="app.clearRecentDatabases()">Clear Recent Databases</button>
+        `;
+    }
+
+    // Presets hold the filter controls (as in a link) plus the drawn area
+    getFilterPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.STORAGE.PRESETS_KEY)) || [];
+        } catch (error) {
+            console.warn('Ignoring unreadable filter presets:', error);
+            return [];
+        }
+    }
+
+    storeFilterPresets(presets) {
+        localStorage.setItem(CONFIG.STORAGE.PRESETS_KEY, JSON.stringify(presets));
+        this.updatePresetPanel();
+    }
+
+    saveFilterPreset() {
+        const presets = this.getFilterPresets();
+        if (presets.length >= CONFIG.STORAGE.MAX_PRESETS) {
+            alert(`Up to ${CONFIG.STORAGE.MAX_PRESETS} presets can be saved - delete one first.`);
+            return;
+        }
+
+        const name = prompt('Name for this filter preset:', `Preset ${presets.length + 1}`);
+        if (!name) return;
+
+        presets.push({
+            id: Date.now().toString(36),
+            name,
+            filters: this.getFilterParams().toString(),
+            area: this.area ? { shape: this.area.shape, name: this.area.name } : null
+        });
+        this.storeFilterPresets(presets);
+    }
+
+    applyFilterPreset(id) {
+        const preset = this.getFilterPresets().find(p => p.id === id);
+        if (!preset) return;
+
+        this.applyFilterParams(new URLSearchParams(preset.filters));
+        // setArea and clearArea redraw the current view
+        if (preset.area) {
+            this.setArea(preset.area);
+        } else {
+            this.clearArea();
+        }
+        this.schedulePermalinkUpdate();
+    }
+
+    deleteFilterPreset(id) {
+        const preset = this.getFilterPresets().find(p => p.id === id);
+        if (!preset || !confirm(`Delete filter preset "${preset.name}"?`)) return;
+
+        this.storeFilterPresets(this.getFilterPresets().filter(p => p.id !== id));
+    }
+
+    clearFilterPresets() {
+        if (!confirm('Delete all filter presets?')) return;
+        this.storeFilterPresets([]);
+    }
+
+    updatePresetPanel() {
+        const container = document.getElementById('presetPanel');
+        if (!container) return;
+
+        const presets = this.getFilterPresets();
+        container.innerHTML = `
+            ${presets.length === 0 ? '<div class="sightings-note">Save the type, security, signal, search and area filters to reuse them later</div>' : ''}
+            ${presets.map(preset => `
+                <div class="stats-item area-item">
+                    <span onclick="app.applyFilterPreset('${preset.id}')">${this.escapeHtml(preset.name)}${preset.area ? ' 🗺️' : ''}</span>
+                    <span class="sort-chip" onclick="app.deleteFilterPreset('${preset.id}')">Delete</span>
+                </div>
+            `).join('')}
+            <button onclick="app.saveFilterPreset()">Save Current Filters</button>
+            ${presets.length ? '<button onclick="app.clearFilterPresets()">Clear Presets</button>' : ''}
+        `;
+    }
+
+    // =================
+    // PERMALINKS
+    // =================
+
+    // "#view=markers&types=W,E&sec=open&signal=-70&q=vendor:apple&map=52.52,13.40,15"
+    getPermalinkState() {
+        const element = id => document.getElementById(id);
+        const params = new URLSearchParams([['view', this.currentView], ...this.getFilterParams()]);
+        const center = this.map.getCenter();
+
+        params.set('intensity', element('intensitySlider')?.value);
+        params.set('radius', element('radiusSlider')?.value);
+
+        const { min, max } = this.data.timeRange;
+        if (this.timeWindow && (this.timeWindow.start > min || this.timeWindow.end < max)) {
+            params.set('time', `${Math.round(this.timeWindow.start)}..${Math.round(this.timeWindow.end)}`);
+        }
+        params.set('map', `${center.lat.toFixed(5)},${center.lng.toFixed(5)},${this.map.getZoom()}`);
+
+        // Commas are safe in a hash and keep the lists readable
+        return params.toString().replace(/%2C/g, ',');
+    }
+
+    // Type, security, signal, search, vendor and randomized address filters - shared by links and presets
+    getFilterParams() {
+        const element = id => document.getElementById(id);
+        const params = new URLSearchParams();
+
+        params.set('types', this.getActiveTypes().join(','));
+        params.set('markers', this.getActiveTypes('markers').join(','));
+        params.set('sec', Object.keys(CONFIG.PERMALINK.SECURITY).filter(key => element(CONFIG.PERMALINK.SECURITY[key])?.checked).join(','));
+        params.set('signal', element('signalFilter')?.value);
+        if (this.searchQuery.text) params.set('q', this.searchQuery.text);
+        if (element('vendorFilter')?.value) params.set('vendor', element('vendorFilter').value);
+        if (element('hideRandomized')?.checked) params.set('randomized', 'hide');
+        return params;
+    }
+
+    // Debounced: map moves and timeline animation change the state many times per second
+    schedulePermalinkUpdate() {
+        if (this.data.networks.length === 0 || this.restoringPermalink) return;
+
+        clearTimeout(this.permalinkTimer);
+        this.permalinkTimer = setTimeout(() => {
+            const hash = `#${this.getPermalinkState()}`;
+            if (hash !== window.location.hash) history.replaceState(null, '', hash);
+        }, CONFIG.PERMALINK.DELAY);
+    }
+
+    // Returns false when the hash holds no state; unknown or malformed values are skipped
+    applyPermalink(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        if (!params.has('view')) return false;
+
+        // Restoring fires the change handlers - the link is only rewritten once it is fully applied
+        this.restoringPermalink = true;
+        try {
+            this.applyFilterParams(params);
+
+            [['intensity', 'intensitySlider', 'intensityValue', ''], ['radius', 'radiusSlider', 'radiusValue', 'px']]
+                .forEach(([key, id, labelId, unit]) => this.setRangeParam(params, key, id, labelId, unit));
+
+            const { min, max } = this.data.timeRange;
+            if (this.timeWindow && max > 0) {
+                const [start, end] = (params.get('time') || '').split('..').map(Number);
+                this.timeWindow = params.has('time') && start <= end
+                    ? { start: Math.max(min, start), end: Math.min(max, end) }
+                    : { start: min, end: max };
+                this.syncTimeControls();
+            }
+
+            const [lat, lon, zoom] = (params.get('map') || '').split(',').map(Number);
+            if ([lat, lon, zoom].every(Number.isFinite) && params.has('map')) {
+                this.map.setView([lat, lon], zoom, { animate: false });
+            } else {
+                this.centerMapOnData();
+            }
+
+            const view = params.get('view');
+            this.switchView(CONFIG.PERMALINK.VIEWS.includes(view) ? view : this.currentView);
+        } finally {
+            this.restoringPermalink = false;
+        }
+        return true;
+    }
+
+    // Sets the filter controls only; the caller redraws
+    applyFilterParams(params) {
+        const element = id => document.getElementById(id);
+        const list = key => params.get(key).split(',');
+
+        ['W', 'B', 'E', 'G', 'L', 'C'].forEach(type => {
+            if (params.has('types') && element(`filter${type}`)) element(`filter${type}`).checked = list('types').includes(type);
+            if (params.has('markers') && element(`markers${type}`)) element(`markers${type}`).checked = list('markers').includes(type);
+        });
+        if (params.has('sec')) {
+            Object.entries(CONFIG.PERMALINK.SECURITY).forEach(([key, id]) => {
+                if (element(id)) element(id).checked = list('sec').includes(key);
+            });
+        }
+        this.setRangeParam(params, 'signal', 'signalFilter', 'signalValue', ' dBm');
+
+        if (element('vendorFilter')) {
+            const vendor = params.get('vendor') || '';
+            element('vendorFilter').value = [...element('vendorFilter').options].some(option => option.value === vendor) ? vendor : '';
+        }
+        if (element('hideRandomized')) element('hideRandomized').checked = params.get('randomized') === 'hide';
+
+        const search = element('networkSearch');
+        if (search) {
+            search.value = params.get('q') || '';
+            // A broken query from a link or preset shows everything, with the error under the field
+            if (!this.readSearchQuery()) this.searchQuery = this.parseSearchQuery('');
+        }
+    }
+
+    setRangeParam(params, key, id, labelId, unit) {
+        const input = document.getElementById(id);
+        if (!params.has(key) || !input || !Number.isFinite(parseFloat(params.get(key)))) return;
+        input.value = params.get(key);
+        document.getElementById(labelId).textContent = input.value + unit;
+    }
+
+    // =================
+    // SCAN COMPARISON
+    // =================
+
+    async handleCompareUpload(event) {
+        const files = [...event.target.files];
+        if (files.length === 0) return;
+        if (this.data.networks.length === 0) {
+            alert('Load a scan first, then pick a second one to compare against it.');
+            event.target.value = '';
+            return;
+        }
+
+        this.loadingCancelled = false;
+        this.loadingTarget = 'compare';
+        this.showLoading(true);
+        this.updateProgress(0, 'Reading comparison scan...');
+
+        try {
+            const sources = [];
+            for (const file of files) {
+                sources.push(await this.readImportFile(file));
+                if (this.loadingCancelled) return;
+            }
+
+            this.startDatabaseWorker('compare');
+            await this.importSources(sources, 'compare');
+            if (this.loadingCancelled) return;
+
+            const networks = await this.loadNetworks('compare');
+            if (this.loadingCancelled) return;
+
+            // Only the network list is needed - free the second database
+            this.stopDatabaseWorker('compare', 'Comparison loaded');
+            this.updateProgress(90, 'Comparing scans...');
+            this.showComparison(files[0].name, networks);
+
+        } catch (error) {
+            if (this.loadingCancelled) return;
+            console.error('Error loading comparison scan:', error);
+            alert('Error loading the comparison scan. It must be in one of the supported import formats.');
+        } finally {
+            this.loadingTarget = 'main';
+            this.showLoading(false);
+            event.target.value = '';
+        }
+    }
+
+    showComparison(name, otherNetworks) {
+        this.clearComparison();
+
+        // The scan whose data ends earlier is the baseline, whichever order they were loaded in
+        const otherEnd = otherNetworks.reduce((max, n) => Math.max(max, n.lasttime || 0), 0);
+        const otherIsNewer = otherEnd >= this.data.timeRange.max;
+        const [baseline, current] = otherIsNewer ? [this.data.networks, otherNetworks] : [otherNetworks, this.data.networks];
+        const labels = otherIsNewer ? ['Loaded scan', name] : [name, 'Loaded scan'];
+
+        const diff = this.diffScans(baseline, current);
+        const layers = {};
+        Object.entries(CONFIG.COMPARISON.CATEGORIES).forEach(([key, category]) => {
+            layers[key] = this.createComparisonLayer(diff[key], category);
+            this.layers.layerControl.addOverlay(layers[key], `${category.name} (${diff[key].length})`);
+            layers[key].addTo(this.map);
+        });
+
+        this.comparison = { labels, diff, layers };
+        this.renderComparison();
+    }
+
+    // Diff two network lists by BSSID
+    diffScans(baseline, current) {
+        const before = new Map(baseline.map(n => [n.bssid, n]));
+        const after = new Map(current.map(n => [n.bssid, n]));
+        const diff = { added: [], removed: [], changed: [] };
+
+        after.forEach((network, bssid) => {
+            const previous = before.get(bssid);
+            if (!previous) {
+                diff.added.push({ network, changes: [] });
+                return;
+            }
+
+            const changes = this.describeNetworkChanges(previous, network);
+            if (changes.length > 0) diff.changed.push({ network, previous, changes });
+        });
+
+        before.forEach((network, bssid) => {
+            if (!after.has(bssid)) diff.removed.push({ network, changes: [] });
+        });
+
+        return diff;
+    }
+
+    describeNetworkChanges(previous, network) {
+        const changes = [];
+
+        if (previous.ssid !== network.ssid) {
+            changes.push(`SSID: ${previous.ssid} → ${network.ssid}`);
+        }
+
+        const [oldSecurity, newSecurity] = [previous, network].map(n => this.parseSecurityInfo(n.capabilities));
+        if (oldSecurity !== newSecurity) {
+            changes.push(`Security: ${oldSecurity} → ${newSecurity}`);
+        }
+
+        if (previous.frequency && network.frequency && previous.frequency !== network.frequency) {
+            changes.push(`Frequency: ${previous.frequency} → ${network.frequency} MHz`);
+        }
+
+        // Compare actual GPS fixes, not estimated positions
+        const moved = this.distanceMeters(
+            previous.lastlat ?? previous.lat, previous.lastlon ?? previous.lon,
+            network.lastlat ?? network.lat, network.lastlon ?? network.lon
+        );
+        if (moved > CONFIG.COMPARISON.MOVED_DISTANCE) {
+            changes.push(`Moved ${Math.round(moved)} m`);
+        }
+
+        return changes;
+    }
+
+    createComparisonLayer(entries, category) {
+        const layer = L.layerGroup();
+
+        entries.forEach(entry => {
+            const { network, previous } = entry;
+            if (previous && (previous.lat !== network.lat || previous.lon !== network.lon)) {
+                L.polyline([[previous.lat, previous.lon], [network.lat, network.lon]], {
+                    color: category.color, weight: 1, dashArray: '3 3', interactive: false
+                }).addTo(layer);
+            }
+
+            L.circleMarker([network.lat, network.lon], {
+                radius: this.getMarkerRadius(network.level),
+                fillColor: category.color,
+                color: '#ffffff', weight: 1, opacity: 0.9, fillOpacity: 0.8,
+                className: 'network-marker'
+            })
+                .bindTooltip(`${category.name}: ${network.ssid} (${network.type})`)
+                .bindPopup(() => this.createComparisonPopup(entry, category))
+                .addTo(layer);
+        });
+
+        return layer;
+    }
+
+    createComparisonPopup(entry, category) {
+        const changes = entry.changes.map(change => `<div class="popup-field">${this.escapeHtml(change)}</div>`).join('');
+        return `
+            ${this.createNetworkPopup(entry.network)}
+            <div class="popup-content">
+                <div class="popup-field"><strong>Comparison:</strong> ${category.icon} ${category.name}</div>
+                ${changes}
+            </div>
+        `;
+    }
+
+    renderComparison() {
+        const container = document.getElementById('comparisonResults');
+        if (!container) return;
+        if (!this.comparison) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { labels, diff } = this.comparison;
+        const categories = Object.entries(CONFIG.COMPARISON.CATEGORIES);
+        const maxItems = CONFIG.COMPARISON.MAX_LIST_ITEMS;
+
+        const summaryHtml = `
+            <div class="insight-card">
+                <h4>🔄 ${this.escapeHtml(labels[0])} → ${this.escapeHtml(labels[1])}</h4>
+                ${categories.map(([key, category]) => `
+                    <div class="insight-item">${category.icon} <strong>${diff[key].length}</strong> ${category.name.toLowerCase()} networks</div>
+                `).join('')}
+            </div>
+        `;
+
+        const listsHtml = categories.filter(([key]) => diff[key].length > 0).map(([key, category]) => `
+            <div class="analysis-section">
+                <h4>${category.icon} ${category.name}</h4>
+                ${diff[key].slice(0, maxItems).map(({ network, changes }) => `
+                    <div class="sighting-item" style="border-left-color: ${category.color}" onclick="app.focusOnNetwork('${network.bssid}')">
+                        <div class="sighting-main">
+                            <span class="sighting-ssid">${this.escapeHtml(network.ssid)}</span>
+                            <span class="sighting-count">${network.level} dBm</span>
+                        </div>
+                        <div class="sighting-details">
+                            ${CONFIG.NETWORK_TYPES[network.type]?.name || network.type} • ${this.parseSecurityInfo(network.capabilities)}
+                            ${changes.length > 0 ? `<br>${changes.map(change => this.escapeHtml(change)).join(' • ')}` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+                ${diff[key].length > maxItems ? `<div class="sightings-note">and ${diff[key].length - maxItems} more on the map</div>` : ''}
+            </div>
+        `).join('');
+
+        container.innerHTML = summaryHtml + listsHtml + '<button onclick="app.clearComparison()">Clear Comparison</button>';
+    }
+
+    findComparisonNetwork(bssid) {
+        if (!this.comparison) return null;
+        for (const entries of Object.values(this.comparison.diff)) {
+            const entry = entries.find(e => e.network.bssid === bssid);
+            if (entry) return entry.network;
+        }
+        return null;
+    }
+
+    clearComparison() {
+        this.stopDatabaseWorker('compare', 'Comparison cleared');
+        if (this.comparison) {
+            Object.values(this.comparison.layers).forEach(layer => {
+                this.map.removeLayer(layer);
+                this.layers.layerControl.removeLayer(layer);
+            });
+            this.comparison = null;
+        }
+        this.renderComparison();
+    }
+
+    // =================
+    // VENDOR LOOKUP
+    // =================
+
+    // BSSID to manufacturer through the bundled IEEE table (oui.js); non-MAC identifiers such as cell IDs have none
+    lookupVendor(bssid) {
+        const hex = (bssid || '').replace(/[:\-.]/g, '').toUpperCase();
+        if (!/^[0-9A-F]{12}$/.test(hex)) return null;
+
+        const index = this.getVendorIndex();
+        // Longest assignment first: MA-S (36 bit), MA-M (28 bit), MA-L (24 bit)
+        return index.get(hex.slice(0, 9)) || index.get(hex.slice(0, 7)) || index.get(hex.slice(0, 6)) || null;
+    }
+
+    getVendorIndex() {
+        if (!this.vendorIndex) {
+            this.vendorIndex = new Map();
+            if (typeof OUI_TABLE === 'undefined') {
+                console.warn('oui.js not loaded, vendor lookup disabled');
+                return this.vendorIndex;
+            }
+            OUI_TABLE.forEach(entry => {
+                const separator = entry.lastIndexOf('|');
+                const vendor = entry.slice(0, separator);
+                entry.slice(separator + 1).split(',').forEach(prefix => this.vendorIndex.set(prefix, vendor));
+            });
+        }
+        return this.vendorIndex;
+    }
+
+    // Randomized and locally administered addresses: the U/L bit of the first octet, and for BLE
+    // without a registered vendor the random address sub-type in the two most significant bits
+    classifyMacAddress(bssid, type, vendor) {
+        const hex = (bssid || '').replace(/[:\-.]/g, '');
+        if (!/^[0-9a-f]{12}$/i.test(hex)) return null;
+
+        const firstOctet = parseInt(hex.slice(0, 2), 16);
+        if (type === 'E' && !vendor) {
+            const bleKind = ['nonResolvable', 'resolvable', null, 'static'][firstOctet >> 6];
+            if (bleKind) return bleKind;
+        }
+        return firstOctet & 0x02 ? 'local' : null;
+    }
+
+    getTopManufacturers(networks) {
+        const byType = {};
+        networks.forEach(network => {
+            if (!CONFIG.VENDORS.TYPES.includes(network.type)) return;
+            const counts = byType[network.type] ??= { total: 0, known: 0, vendors: {} };
+            counts.total++;
+            if (network.vendor) {
+                counts.known++;
+                counts.vendors[network.vendor] = (counts.vendors[network.vendor] || 0) + 1;
+            }
+        });
+
+        return Object.entries(byType).map(([type, counts]) => ({
+            type,
+            total: counts.total,
+            known: counts.known,
+            vendors: Object.entries(counts.vendors)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, CONFIG.VENDORS.TOP_PER_TYPE)
+                .map(([name, count]) => ({ name, count, percentage: Math.round(count / counts.total * 100) }))
+        }));
+    }
+
+    updateVendorFilter() {
+        const select = document.getElementById('vendorFilter');
+        if (!select) return;
+
+        const counts = {};
+        this.data.networks.forEach(n => {
+            if (n.vendor) counts[n.vendor] = (counts[n.vendor] || 0) + 1;
+        });
+
+        select.innerHTML = `
+            <option value="">All vendors</option>
+            ${Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([vendor, count]) =>
+                `<option value="${this.escapeAttribute(vendor)}">${this.escapeHtml(vendor)} (${count})</option>`
+            ).join('')}
+        `;
+    }
+
+    // =================
+    // CELLULAR DECODING
+    // =================
+
+    // WiGLE cell identifiers: "MCCMNC_LAC_CID" (TAC/ECI for LTE), "MCC_MNC_LAC_CID", or "SID_NID_BSID" for CDMA
+    decodeCellId(bssid, type, capabilities, ssid) {
+        const parts = (bssid || '').split('_');
+        if (!parts.every(part => /^\d+$/.test(part))) return null;
+
+        const technology = this.getCellTechnology(type, capabilities);
+        if (type === 'C') {
+            if (parts.length !== 3) return null;
+            const [sid, nid, bsid] = parts.map(Number);
+            return { technology, operator: ssid || null, sid, nid, cellId: bsid, site: null };
+        }
+
+        let mcc, mnc, area, cellId;
+        if (parts.length === 4) {
+            [mcc, mnc, area, cellId] = parts;
+        } else if (parts.length === 3 && parts[0].length >= 5) {
+            // A five digit MCCMNC has a two digit MNC
+            [mcc, mnc] = [parts[0].slice(0, 3), parts[0].slice(3)];
+            [area, cellId] = parts.slice(1);
+        } else {
+            return null;
+        }
+
+        const operator = this.lookupOperator(mcc, mnc);
+        const cell = {
+            technology, mcc, mnc,
+            operator: operator?.name || ssid || null,
+            country: operator?.country || null,
+            areaLabel: technology === 'LTE' || technology === 'NR' ? 'TAC' : 'LAC',
+            area: Number(area),
+            cellId: Number(cellId),
+            site: null
+        };
+
+        // The 28 bit LTE cell identity is the eNodeB ID followed by an 8 bit local cell ID
+        if (technology === 'LTE' && cell.cellId < 2 ** 28) {
+            cell.enb = Math.floor(cell.cellId / 256);
+            cell.localCell = cell.cellId % 256;
+            cell.site = `${mcc}-${mnc}-${cell.enb}`;
+        }
+        return cell;
+    }
+
+    getCellTechnology(type, capabilities) {
+        const technology = (capabilities || '').split(';')[0].toUpperCase();
+        if (CONFIG.CELLULAR.TECHNOLOGIES.includes(technology)) return technology === 'WCDMA' ? 'UMTS' : technology;
+        return CONFIG.CELLULAR.DEFAULT_TECHNOLOGY[type];
+    }
+
+    // MCC/MNC to operator through the bundled table (mccmnc.js)
+    lookupOperator(mcc, mnc) {
+        if (!this.operatorIndex) {
+            this.operatorIndex = new Map();
+            if (typeof MCC_MNC_TABLE === 'undefined') {
+                console.warn('mccmnc.js not loaded, operator lookup disabled');
+            } else {
+                MCC_MNC_TABLE.forEach(entry => {
+                    const [code, network, name, country] = entry.split('|');
+                    this.operatorIndex.set(`${code}-${network}`, { name, country });
+                });
+            }
+        }
+        return this.operatorIndex.get(`${mcc}-${mnc}`) || null;
+    }
+
+    // Cells of one eNodeB share a site; the tower sits at the mean of their positions
+    groupCellTowers(networks) {
+        const towers = new Map();
+        networks.forEach(network => {
+            const site = network.cell?.site;
+            if (!site) return;
+            if (!towers.has(site)) towers.set(site, { site, cell: network.cell, cells: [] });
+            towers.get(site).cells.push(network);
+        });
+
+        return [...towers.values()].map(tower => ({
+            ...tower,
+            lat: tower.cells.reduce((sum, n) => sum + n.lat, 0) / tower.cells.length,
+            lon: tower.cells.reduce((sum, n) => sum + n.lon, 0) / tower.cells.length
+        }));
+    }
+
+    showTowerMarkers(towers) {
+        if (towers.length === 0) return;
+
+        const markers = towers.map(tower => {
+            const color = CONFIG.NETWORK_TYPES[tower.cells[0].type]?.color || '#808080';
+            return L.marker([tower.lat, tower.lon], {
+                icon: L.divIcon({
+                    className: 'tower-icon',
+                    html: `<div style="border-color: ${color}">📡<span>${tower.cells.length}</span></div>`,
+                    iconSize: [34, 34]
+                })
+            }).bindPopup(() => this.createTowerPopup(tower));
+        });
+
+        this.layers.towerLayer = L.featureGroup(markers);
+        this.layers.layerControl.addOverlay(this.layers.towerLayer, 'Cell Towers');
+        this.layers.towerLayer.addTo(this.map);
+    }
+
+    createTowerPopup(tower) {
+        const cells = [...tower.cells].sort((a, b) => a.cell.localCell - b.cell.localCell);
+        return `
+            <div class="popup-content">
+                <h4>${this.escapeHtml(tower.cell.operator || 'Unknown operator')} eNodeB ${tower.cell.enb}</h4>
+                <div class="popup-field"><strong>MCC/MNC:</strong> ${tower.cell.mcc}/${tower.cell.mnc}${tower.cell.country ? ` (${this.escapeHtml(tower.cell.country)})` : ''}</div>
+                <div class="popup-field"><strong>Cells:</strong> ${cells.length}</div>
+                ${cells.map(n => `
+                    <div class="popup-field cluster-member" onclick="app.focusOnNetwork('${n.bssid}')">
+                        <span class="color-box type-${n.type}"></span>Cell ${n.cell.localCell} • ${n.cell.areaLabel} ${n.cell.area} (${n.level} dBm)
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    analyzeCellular(networks) {
+        const cells = networks.filter(n => n.cell);
+        const count = (items, key) => {
+            const counts = {};
+            items.forEach(item => {
+                const value = key(item);
+                counts[value] = (counts[value] || 0) + 1;
+            });
+            return Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .map(([name, total]) => ({ name, count: total, percentage: Math.round(total / items.length * 100) }));
+        };
+        const towers = this.groupCellTowers(cells).sort((a, b) => b.cells.length - a.cells.length);
+
+        return {
+            total: cells.length,
+            operators: count(cells, n => n.cell.operator || 'Unknown').slice(0, CONFIG.CELLULAR.TOP_OPERATORS),
+            technologies: count(cells, n => n.cell.technology),
+            siteCount: towers.length,
+            topSites: towers.slice(0, CONFIG.CELLULAR.TOP_SITES)
+        };
+    }
+
+    createCellularHtml(cellular) {
+        const bars = (items, className) => items.map(item => `
+            <div class="bar-item">
+                <div class="bar-label">
+                    <span>${this.escapeHtml(item.name)}</span>
+                    <span><strong>${item.count}</strong> cells (${item.percentage}%)</span>
+                </div>
+                <div class="bar-container">
+                    <div class="bar-fill ${className}" style="width: ${item.percentage}%"></div>
+                </div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="analysis-section">
+                <h4>📱 Cellular Networks</h4>
+                <div class="sightings-note">${cellular.total} cells decoded, ${cellular.siteCount} LTE sites (eNodeB)</div>
+                <h4 style="color: #81C784; margin: 10px 0;">Operators</h4>
+                ${bars(cellular.operators, 'type-L')}
+                <h4 style="color: #81C784; margin: 10px 0;">Technologies</h4>
+                ${bars(cellular.technologies, 'type-G')}
+                ${cellular.topSites.length ? `
+                    <h4 style="color: #81C784; margin: 10px 0;">Cells per Site</h4>
+                    ${cellular.topSites.map(tower => `
+                        <div class="sighting-item" onclick="app.focusOnNetwork('${tower.cells[0].bssid}')">
+                            <div class="sighting-main">
+                                <span class="sighting-ssid">${this.escapeHtml(tower.cell.operator || 'Unknown')} eNodeB ${tower.cell.enb}</span>
+                                <span class="sighting-count">${tower.cells.length} cells</span>
+                            </div>
+                            <div class="sighting-details">MCC/MNC ${tower.cell.mcc}/${tower.cell.mnc} • TAC ${tower.cell.area}</div>
+                        </div>
+                    `).join('')}
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // =================
+    // OBSERVATION AGGREGATES
+    // =================
+
+    // One pass over every location row (not just the sampled ones), grouped per BSSID in SQL,
+    // feeding both the position estimate and the sightings statistics
+    async aggregateObservations(networks, target = 'main') {
+        const aggregates = new Map();
+        await this.streamQuery(`
+            SELECT bssid, SUM(w), SUM(w * dlat), SUM(w * dlon), SUM(w * dlat * dlat), SUM(w * dlon * dlon), COUNT(*),
+                   MIN(NULLIF(time, 0)), MAX(NULLIF(time, 0)), COUNT(DISTINCT NULLIF(time, 0) / 86400000), MAX(level),
+                   MIN(lat), MAX(lat), MIN(lon), MAX(lon)
+            FROM (
+                SELECT l.bssid, MAX(1, l.level + 100) * MAX(1, l.level + 100) AS w,
+                       l.lat - n.lastlat AS dlat, l.lon - n.lastlon AS dlon,
+                       l.time, l.level, l.lat, l.lon
+                FROM location l JOIN network n ON l.bssid = n.bssid
+                WHERE l.lat != 0 AND l.lon != 0 AND n.lastlat != 0 AND n.lastlon != 0
+            )
+            GROUP BY bssid
+        `, rows => {
+            rows.forEach(([bssid, ...values]) => aggregates.set(bssid, values));
+        }, undefined, target);
+
+        networks.forEach(network => {
+            network.lastlat = network.lat;
+            network.lastlon = network.lon;
+
+            const values = aggregates.get(network.bssid);
+            network.estimate = values ? this.computePositionEstimate(network, values.slice(0, 6)) : null;
+            network.sightings = values ? this.computeSightings(values.slice(5)) : null;
+        });
+    }
+
+    // Offsets from lastlat/lastlon keep the weighted variance numerically stable
+    computePositionEstimate(network, [weight, latSum, lonSum, latSquares, lonSquares, observations]) {
+        if (!weight) return null;
+
+        const dLat = latSum / weight;
+        const dLon = lonSum / weight;
+        const lat = network.lastlat + dLat;
+        const lon = network.lastlon + dLon;
+
+        // Confidence radius: weighted RMS distance of the observations from the centroid
+        const latMeters = CONFIG.ESTIMATION.METERS_PER_DEGREE;
+        const lonMeters = latMeters * Math.cos(lat * Math.PI / 180);
+        const latVariance = Math.max(0, latSquares / weight - dLat * dLat);
+        const lonVariance = Math.max(0, lonSquares / weight - dLon * dLon);
+        const spread = Math.sqrt(latVariance * latMeters * latMeters + lonVariance * lonMeters * lonMeters);
+
+        return {
+            lat, lon, observations,
+            radius: Math.round(Math.max(CONFIG.ESTIMATION.MIN_CONFIDENCE_RADIUS, spread))
+        };
+    }
+
+    computeSightings([count, firstSeen, lastSeen, days, maxLevel, minLat, maxLat, minLon, maxLon]) {
+        return {
+            count, firstSeen, lastSeen, days, maxLevel,
+            // Diagonal of the bounding box of every observation
+            spread: Math.round(this.distanceMeters(minLat, minLon, maxLat, maxLon))
+        };
+    }
+
+    // =================
+    // POSITION ESTIMATION
+    // =================
+
+    // Point every network at either its last GPS fix or its estimated position
+    applyPositionMode() {
+        const useEstimate = this.positionMode === 'estimated';
+        this.data.networks.forEach(network => {
+            const position = useEstimate && network.estimate ? network.estimate : { lat: network.lastlat, lon: network.lastlon };
+            network.lat = position.lat;
+            network.lon = position.lon;
+        });
+    }
+
+    showConfidenceCircle(network) {
+        this.clearConfidenceCircle();
+        if (this.positionMode !== 'estimated' || !network.estimate) return;
+
+        this.layers.confidenceCircle = L.circle([network.estimate.lat, network.estimate.lon], {
+            radius: network.estimate.radius,
+            color: CONFIG.NETWORK_TYPES[network.type]?.color || '#808080',
+            weight: 1, fillOpacity: 0.1, interactive: false
+        }).addTo(this.map);
+    }
+
+    clearConfidenceCircle() {
+        if (this.layers.confidenceCircle) {
+            this.map.removeLayer(this.layers.confidenceCircle);
+            this.layers.confidenceCircle = null;
+        }
+    }
+
+    // =================
+    // OBSERVATION TRAIL
+    // =================
+
+    // All location rows for one BSSID, oldest first
+    async loadObservations(bssid) {
+        const result = await this.queryDatabase(`
+            SELECT lat, lon, level, time FROM location
+            WHERE bssid = ? AND lat != 0 AND lon != 0 ORDER BY time
+        `, [bssid]);
+
+        return (result[0]?.values || []).map(([lat, lon, level, time]) => ({ lat, lon, level, time }));
+    }
+
+    // Location rows (bssid, time, lat, lon, level) for many BSSIDs, ordered by BSSID and time
+    async streamObservationsFor(bssids, onRows) {
+        const batchSize = CONFIG.LIMITS.MAX_QUERY_BSSIDS;
+        for (let i = 0; i < bssids.length; i += batchSize) {
+            const batch = bssids.slice(i, i + batchSize);
+            await this.streamQuery(`
+                SELECT bssid, time, lat, lon, level FROM location
+                WHERE bssid IN (${batch.map(() => '?').join(',')}) AND lat != 0 AND lon != 0
+                ORDER BY bssid, time
+            `, onRows, batch);
+        }
+    }
+
+    async showObservationTrail(network, markerLayer) {
+        this.clearObservationTrail();
+        if (!this.hasDatabase()) return;
+
+        // Ignore results that arrive after another marker was clicked
+        const requestId = ++this.trailRequestId;
+        let observations;
+        try {
+            observations = await this.loadObservations(network.bssid);
+        } catch (error) {
+            console.error('Error loading observations:', error);
+            return;
+        }
+        if (requestId !== this.trailRequestId || observations.length === 0) return;
+
+        const trail = this.summarizeObservations(observations);
+        const trailLayer = L.layerGroup();
+
+        L.polyline(observations.map(o => [o.lat, o.lon]), {
+            color: '#ffffff', weight: 1, opacity: 0.4, dashArray: '4 4', interactive: false
+        }).addTo(trailLayer);
+
+        observations.forEach(observation => {
+            const isStrongest = observation === trail.strongest;
+            L.circleMarker([observation.lat, observation.lon], {
+                radius: isStrongest ? 8 : 4,
+                fillColor: this.getSignalColor(observation.level),
+                color: isStrongest ? '#ffffff' : this.getSignalColor(observation.level),
+                weight: isStrongest ? 3 : 1,
+                fillOpacity: 0.9
+            }).bindTooltip(`${isStrongest ? 'Strongest: ' : ''}${observation.level} dBm${observation.time ? '\n' + new Date(observation.time).toLocaleString() : ''}`)
+              .addTo(trailLayer);
+        });
+
+        this.layers.trailLayer = trailLayer.addTo(this.map);
+        markerLayer.getPopup()?.setContent(this.createNetworkPopup(network, trail));
+    }
+
+    summarizeObservations(observations) {
+        let strongest = null;
+        let firstSeen = Infinity, lastSeen = -Infinity;
+
+        observations.forEach(o => {
+            if (!strongest || o.level > strongest.level) strongest = o;
+            if (o.time && o.time > 0) {
+                firstSeen = Math.min(firstSeen, o.time);
+                lastSeen = Math.max(lastSeen, o.time);
+            }
+        });
+
+        return {
+            count: observations.length,
+            strongest,
+            firstSeen: firstSeen === Infinity ? null : firstSeen,
+            lastSeen: lastSeen === -Infinity ? null : lastSeen
+        };
+    }
+
+    clearObservationTrail() {
+        this.trailRequestId++; // Drops any trail still loading
+        if (this.layers.trailLayer) {
+            this.map.removeLayer(this.layers.trailLayer);
+            this.layers.trailLayer = null;
+        }
+    }
+
+    // Red (weak) to green (strong) across -100..-30 dBm
+    getSignalColor(level) {
+        const ratio = Math.max(0, Math.min(1, (level + 100) / 70));
+        return `hsl(${Math.round(ratio * 120)}, 90%, 50%)`;
+    }
+
+    // =================
+    // DRIVE ROUTE
+    // =================
+
+    // One fix per distinct observation time; a long pause or an implausible jump starts a new session
+    async loadRoute(networks, target = 'main') {
+        const { MAX_GAP, MAX_JUMP, MIN_POINT_DISTANCE } = CONFIG.ROUTES;
+        const sessions = [];
+        let session = null;
+        let previous = null;
+
+        await this.streamQuery(`
+            SELECT time, AVG(lat), AVG(lon) FROM location
+            WHERE lat != 0 AND lon != 0 AND time > 0
+            GROUP BY time ORDER BY time
+        `, rows => {
+            rows.forEach(([time, lat, lon]) => {
+                if (!previous || time - previous.time > MAX_GAP ||
+                    this.distanceMeters(previous.lat, previous.lon, lat, lon) > MAX_JUMP) {
+                    session = { start: time, end: time, distance: 0, fixes: 0, discovered: 0, points: [[lat, lon]] };
+                    sessions.push(session);
+                }
+
+                // Thin out the polyline and ignore GPS jitter while standing still
+                const [lastLat, lastLon] = session.points[session.points.length - 1];
+                const step = this.distanceMeters(lastLat, lastLon, lat, lon);
+                if (step >= MIN_POINT_DISTANCE) {
+                    session.points.push([lat, lon]);
+                    session.distance += step;
+                }
+
+                session.end = time;
+                session.fixes++;
+                previous = { time, lat, lon };
+            });
+        }, undefined, target);
+
+        const drives = sessions.filter(s => s.points.length > 1);
+        networks.forEach(network => {
+            const drive = this.findSessionAt(drives, network.sightings?.firstSeen);
+            if (drive) drive.discovered++;
+        });
+        return drives;
+    }
+
+    // Sessions are in time order and do not overlap
+    findSessionAt(sessions, time) {
+        if (sessions.length === 0 || !time) return null;
+
+        // Binary search for the last session starting at or before the time
+        let low = 0, high = sessions.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (sessions[mid].start <= time) low = mid;
+            else high = mid - 1;
+        }
+
+        const session = sessions[low];
+        return time >= session.start && time <= session.end ? session : null;
+    }
+
+    updateSessionList() {
+        const container = document.getElementById('sessionList');
+        if (!container) return;
+
+        const sessions = this.data.sessions;
+        if (sessions.length === 0) {
+            container.innerHTML = '<div class="sightings-note">No timestamped GPS fixes to rebuild a route from</div>';
+            return;
+        }
+
+        const formatTime = time => new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        container.innerHTML = `
+            ${this.selectedSession !== null ? '<span class="sort-chip" onclick="app.selectSession(null)">Show all sessions</span>' : ''}
+            ${sessions.map((session, index) => {
+                const hours = (session.end - session.start) / 3600000;
+                const speed = hours > 0 ? session.distance / 1000 / hours : 0;
+                return `
+                    <div class="sighting-item ${index === this.selectedSession ? 'active' : ''}" onclick="app.selectSession(${index})"
+                         style="border-left-color: ${this.getSessionColor(index)}">
+                        <div class="sighting-main">
+                            <span class="sighting-ssid">${formatTime(session.start)}</span>
+                            <span class="sighting-count">${this.formatDistance(session.distance)}</span>
+                        </div>
+                        <div class="sighting-details">
+                            ${this.formatDuration(session.end - session.start)} • ${speed.toFixed(1)} km/h average<br>
+                            ${session.discovered} networks discovered • ${session.fixes} GPS fixes
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    getSessionColor(index) {
+        return CONFIG.ROUTES.COLORS[index % CONFIG.ROUTES.COLORS.length];
+    }
+
+    showRoute(visible = true) {
+        this.clearRoute();
+        const checkbox = document.getElementById('showRoute');
+        if (checkbox) checkbox.checked = visible;
+        if (!visible || this.data.sessions.length === 0) return;
+
+        const selected = this.selectedSession;
+        this.layers.routeLayer = L.layerGroup(this.data.sessions.map((session, index) => {
+            const highlighted = selected === null || selected === index;
+            return L.polyline(session.points, {
+                color: this.getSessionColor(index),
+                weight: selected === index ? 5 : 3,
+                opacity: highlighted ? 0.9 : 0.2,
+                interactive: true
+            }).on('click', () => this.selectSession(index));
+        }));
+        this.layers.layerControl.addOverlay(this.layers.routeLayer, 'Drive Route');
+        this.layers.routeLayer.addTo(this.map);
+    }
+
+    clearRoute() {
+        if (!this.layers.routeLayer) return;
+        this.map.removeLayer(this.layers.routeLayer);
+        this.layers.layerControl.removeLayer(this.layers.routeLayer);
+        this.layers.routeLayer = null;
+    }
+
+    // Selecting a session highlights its route and limits the map to networks observed during it
+    async selectSession(index) {
+        this.selectedSession = index;
+        this.sessionFilter = null;
+
+        if (index !== null) {
+            const session = this.data.sessions[index];
+            try {
+                const result = await this.queryDatabase(
+                    'SELECT DISTINCT bssid FROM location WHERE time BETWEEN ? AND ?', [session.start, session.end]
+                );
+                this.sessionFilter = {
+                    start: session.start,
+                    end: session.end,
+                    bssids: new Set((result[0]?.values || []).map(row => row[0]))
+                };
+            } catch (error) {
+                console.error('Error loading session networks:', error);
+            }
+            this.map.fitBounds(L.latLngBounds(session.points), { padding: [20, 20] });
+        }
+
+        this.showRoute();
+        this.updateSessionList();
+        this.updateView();
+    }
+
+    isInSession(network) {
+        return !this.sessionFilter || this.sessionFilter.bssids.has(network.bssid);
+    }
+
+    isLocationInSession(location) {
+        return !this.sessionFilter || (location.time >= this.sessionFilter.start && location.time <= this.sessionFilter.end);
+    }
+
+    // =================
+    // PRESENCE PATTERNS
+    // =================
+
+    // Slot = local hour of the week, 0 being Sunday 00:00. The epoch began on a Thursday, hence the
+    // 96 hour shift. One UTC offset is used for the whole file, so DST moves slots by an hour.
+    getWeekSlot(time, zoneOffset = this.data.activity.zoneOffset) {
+        return (Math.floor((time - zoneOffset) / 3600000) + 96) % 168;
+    }
+
+    formatWeekSlot(slot) {
+        const hour = slot % 24;
+        const pad = value => String(value).padStart(2, '0');
+        return `${CONFIG.PRESENCE.WEEKDAY_NAMES[Math.floor(slot / 24)]} ${pad(hour)}:00–${pad(hour + 1)}:00`;
+    }
+
+    // Punch card over the full location table, plus a presence pattern per network
+    async loadActivity(networks, target = 'main') {
+        // The offset in effect at the latest observation
+        const latest = networks.reduce((max, n) => Math.max(max, n.sightings?.lastSeen || n.lasttime || 0), 0);
+        const zoneOffset = new Date(latest || Date.now()).getTimezoneOffset() * 60000;
+        const hours = 'SELECT bssid, CAST((time - ?) / 3600000 AS INTEGER) AS hour FROM location WHERE time > 0';
+        const counts = new Array(168).fill(0);
+        const devices = new Array(168).fill(0);
+
+        const punchCard = await this.queryDatabase(`
+            SELECT (hour + 96) % 168 AS slot, COUNT(*), COUNT(DISTINCT bssid) FROM (${hours}) GROUP BY slot
+        `, [zoneOffset], target);
+        (punchCard[0]?.values || []).forEach(([slot, count, distinct]) => {
+            if (counts[slot] === undefined) return;
+            counts[slot] = count;
+            devices[slot] = distinct;
+        });
+
+        const { BUSINESS_HOURS, DAYTIME_HOURS, MIN_OBSERVATIONS } = CONFIG.PRESENCE;
+        const patterns = new Map();
+        await this.streamQuery(`
+            SELECT bssid, COUNT(*), COUNT(DISTINCT hour / 24), COUNT(DISTINCT hour % 24),
+                   SUM((hour / 24 + 4) % 7 BETWEEN 1 AND 5 AND hour % 24 >= ? AND hour % 24 < ?),
+                   SUM(hour % 24 >= ? AND hour % 24 < ?)
+            FROM (${hours})
+            GROUP BY bssid HAVING COUNT(*) >= ?
+        `, rows => {
+            rows.forEach(([bssid, ...values]) => patterns.set(bssid, this.classifyPresence(values)));
+        }, [...BUSINESS_HOURS, ...DAYTIME_HOURS, zoneOffset, MIN_OBSERVATIONS], target);
+
+        networks.forEach(network => {
+            network.presence = patterns.get(network.bssid) || null;
+        });
+        return { zoneOffset, counts, devices };
+    }
+
+    // Patterns describe when a network was observed, which depends on when the scans took place
+    classifyPresence([observations, days, hours, business, daytime]) {
+        const { MIN_DAYS, SHARE, ALWAYS_ON_HOURS } = CONFIG.PRESENCE;
+        if (days < MIN_DAYS) return null;
+
+        let pattern = 'irregular';
+        if (hours >= ALWAYS_ON_HOURS) pattern = 'always';
+        else if (business / observations >= SHARE) pattern = 'business';
+        else if (daytime / observations >= SHARE) pattern = 'daytime';
+        else if (business / observations <= 1 - SHARE) pattern = 'residential';
+
+        return { pattern, observations, days, hours };
+    }
+
+    analyzePresence() {
+        return CONFIG.PRESENCE.TYPES.map(type => {
+            const networks = this.data.networks.filter(n => n.type === type && n.presence);
+            const counts = {};
+            networks.forEach(n => counts[n.presence.pattern] = (counts[n.presence.pattern] || 0) + 1);
+            return {
+                type,
+                total: networks.length,
+                patterns: Object.keys(CONFIG.PRESENCE.PATTERNS).filter(key => counts[key]).map(key => ({
+                    key,
+                    count: counts[key],
+                    percentage: Math.round(counts[key] / networks.length * 100)
+                }))
+            };
+        }).filter(group => group.total > 0);
+    }
+
+    createPunchCardHtml() {
+        const { counts, devices } = this.data.activity;
+        const maxCount = Math.max(1, ...counts);
+        const selected = this.activityFilter?.slot;
+
+        return `
+            <h4>🕐 Activity by Weekday and Hour</h4>
+            <div class="sightings-note">Observations per local weekday and hour - click a cell to show that slot on the map</div>
+            ${selected !== undefined ? `
+                <div class="sort-chips">
+                    <span class="sort-chip active" onclick="app.selectActivitySlot(null)">${this.formatWeekSlot(selected)} ✕</span>
+                </div>
+            ` : ''}
+            <div class="punch-card">
+                <span></span>
+                ${Array.from({ length: 24 }, (_, hour) => `<span class="punch-hour">${hour % 6 === 0 ? hour : ''}</span>`).join('')}
+                ${CONFIG.PRESENCE.WEEKDAYS.map(day => `
+                    <span class="punch-day">${CONFIG.PRESENCE.WEEKDAY_NAMES[day]}</span>
+                    ${Array.from({ length: 24 }, (_, hour) => {
+                        const slot = day * 24 + hour;
+                        const size = counts[slot] ? Math.max(15, Math.sqrt(counts[slot] / maxCount) * 100) : 0;
+                        return `
+                            <span class="punch-cell ${slot === selected ? 'active' : ''}" onclick="app.selectActivitySlot(${slot})"
+                                  title="${this.formatWeekSlot(slot)}: ${counts[slot]} observations, ${devices[slot]} networks">
+                                <span class="punch-dot" style="width: ${size}%; height: ${size}%"></span>
+                            </span>
+                        `;
+                    }).join('')}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    createPresenceHtml(presence) {
+        const { PATTERNS, MIN_OBSERVATIONS, MIN_DAYS } = CONFIG.PRESENCE;
+        return `
+            <div class="analysis-section">
+                <h4>📆 Presence Patterns</h4>
+                <div class="sightings-note">Networks with at least ${MIN_OBSERVATIONS} observations on ${MIN_DAYS}+ days, by when they were seen - click a pattern to search for it</div>
+                ${presence.map(group => `
+                    <h4 style="color: #81C784; margin: 10px 0;">${CONFIG.NETWORK_TYPES[group.type]?.name} (${group.total})</h4>
+                    ${group.patterns.map(pattern => `
+                        <div class="bar-item clickable" onclick="app.applySearch('presence:${pattern.key} type:${group.type}')">
+                            <div class="bar-label">
+                                <span>${PATTERNS[pattern.key].icon} ${PATTERNS[pattern.key].name}</span>
+                                <span><strong>${pattern.count}</strong> (${pattern.percentage}%)</span>
+                            </div>
+                            <div class="bar-container">
+                                <div class="bar-fill type-${group.type}" style="width: ${pattern.percentage}%"></div>
+                            </div>
+                        </div>
+                    `).join('')}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Selecting a slot limits the Analysis heatmap to observations in that weekday hour and the networks seen in
+    // it. The selection is only shown on the punch card, so leaving the Analysis view clears it.
+    async selectActivitySlot(slot) {
+        const previous = this.activityFilter?.slot;
+        this.activityFilter = null;
+
+        if (slot !== null && slot !== previous) {
+            try {
+                const result = await this.queryDatabase(`
+                    SELECT DISTINCT bssid FROM location
+                    WHERE time > 0 AND (CAST((time - ?) / 3600000 AS INTEGER) + 96) % 168 = ?
+                `, [this.data.activity.zoneOffset, slot]);
+                this.activityFilter = { slot, bssids: new Set((result[0]?.values || []).map(row => row[0])) };
+            } catch (error) {
+                console.error('Error loading slot networks:', error);
+            }
+        }
+
+        const section = document.getElementById('punchCardSection');
+        if (section) section.innerHTML = this.createPunchCardHtml();
+        this.updateView();
+    }
+
+    isInActivitySlot(network) {
+        return !this.activityFilter || this.activityFilter.bssids.has(network.bssid);
+    }
+
+    isLocationInActivitySlot(location) {
+        return !this.activityFilter || (location.time > 0 && this.getWeekSlot(location.time) === this.activityFilter.slot);
+    }
+
+
+    // =================
+    // DATABASE WORKER
+    // =================
+
+    startDatabaseWorker(target = 'main') {
+        // One worker per loaded file - terminating it frees the previous database
+        this.stopDatabaseWorker(target, 'Database replaced');
+
+        if (!this.dbWorkerUrl) {
+            const source = `(${databaseWorkerMain.toString()})();`;
+            this.dbWorkerUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        }
+
+        const worker = new Worker(this.dbWorkerUrl);
+        worker.onmessage = ({ data }) => this.handleWorkerMessage(data);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.stopDatabaseWorker(target, event.message || 'Database worker failed');
+        };
+        this.dbWorkers[target] = worker;
+    }
+
+    // Moves a worker to another target, replacing (and freeing) the database loaded there
+    promoteDatabaseWorker(source, target = 'main') {
+        const worker = this.dbWorkers[source];
+        delete this.dbWorkers[source];
+        this.stopDatabaseWorker(target, 'Database replaced');
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.stopDatabaseWorker(target, event.message || 'Database worker failed');
+        };
+        this.dbWorkers[target] = worker;
+    }
+
+    stopDatabaseWorker(target = 'main', reason = 'Database worker stopped') {
+        if (this.dbWorkers[target]) {
+            this.dbWorkers[target].terminate();
+            delete this.dbWorkers[target];
+        }
+
+        // Reject anything still waiting on the old worker
+        this.workerRequests.forEach((request, id) => {
+            if (request.target !== target) return;
+            request.reject(new Error(reason));
+            this.workerRequests.delete(id);
+        });
+    }
+
+    hasDatabase(target = 'main') {
+        return Boolean(this.dbWorkers[target]);
+    }
+
+    workerRequest(action, payload = {}, { onRows = null, transfer = [], target = 'main' } = {}) {
+        const worker = this.dbWorkers[target];
+        if (!worker) return Promise.reject(new Error('No database loaded'));
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.workerRequests.set(id, { resolve, reject, onRows, target });
+            worker.postMessage({ id, action, ...payload }, transfer);
+        });
+    }
+
+    handleWorkerMessage({ id, rows, done, result, error }) {
+        const request = this.workerRequests.get(id);
+        if (!request) return;
+
+        if (error) {
+            this.workerRequests.delete(id);
+            request.reject(new Error(error));
+            return;
+        }
+
+        if (rows && request.onRows) request.onRows(rows);
+
+        if (done) {
+            this.workerRequests.delete(id);
+            request.resolve(result);
+        }
+    }
+
+    // Run a query in the worker - resolves to sql.js exec() results
+    queryDatabase(sql, params, target = 'main') {
+        return this.workerRequest('exec', { sql, params }, { target });
+    }
+
+    // Run a query in the worker, receiving rows in batches as they are read
+    streamQuery(sql, onRows, params, target = 'main') {
+        return this.workerRequest('stream', { sql, params, batchSize: CONFIG.LIMITS.CHUNK_SIZE }, { onRows, target });
+    }
+
+    async countRows(sql, params, target = 'main') {
+        const result = await this.queryDatabase(sql, params, target);
+        return result[0]?.values[0][0] || 0;
+    }
+
+    // =================
+    // VIEW MANAGEMENT
+    // =================
+
+    switchView(viewName) {
+        this.currentView = viewName;
+        if (viewName !== 'analysis' && this.activityFilter) {
+            this.activityFilter = null;
+            const section = document.getElementById('punchCardSection');
+            if (section) section.innerHTML = this.createPunchCardHtml();
+        }
+
+        // Update UI
+        document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
+        document.querySelector(`[data-view="${viewName}"]`)?.classList.add('active');
+
+        document.querySelectorAll('.view-panel').forEach(panel => panel.classList.remove('active'));
+        document.getElementById(`${viewName}-panel`)?.classList.add('active');
+
+        this.updateView();
+        this.schedulePermalinkUpdate();
+    }
+
+    updateView() {
+        if (this.data.networks.length === 0) return;
+
+        this.clearLayers();
+
+        switch (this.currentView) {
+            case 'heatmap':
+                this.updateHeatmap();
+                break;
+            case 'markers':
+                this.showNetworkMarkers();
+                break;
+            case 'timeline':
+                this.updateTimeFilter();
+                break;
+            case 'analysis':
+                // The punch card selection is shown right away
+                if (this.activityFilter) this.updateHeatmap();
+                break;
+        }
+    }
+
+    // =================
+    // MAP RENDERING
+    // =================
+
+    updateHeatmap() {
+        this.clearLayers();
+
+        const activeTypes = this.getActiveTypes();
+        if (activeTypes.length === 0) return;
+
+        const intensity = parseFloat(document.getElementById('intensitySlider')?.value || 1);
+        const radius = parseInt(document.getElementById('radiusSlider')?.value || 15);
+
+        // Smart sampling for performance
+        const allPoints = [];
+        const maxPoints = CONFIG.LIMITS.MAX_HEATMAP_POINTS;
+
+        // Sample networks
+        const filteredNetworks = this.data.networks.filter(n =>
+            activeTypes.includes(n.type) && this.isInArea(n.lat, n.lon) && this.searchQuery.matches(n) &&
+            this.isInSession(n) && this.isInActivitySlot(n)
+        );
+        const networkStep = Math.max(1, Math.ceil(filteredNetworks.length / (maxPoints * 0.3)));
+        for (let i = 0; i < filteredNetworks.length; i += networkStep) {
+            const item = filteredNetworks[i];
+            allPoints.push([item.lat, item.lon, 0.8 * intensity]);
+        }
+
+        // Sample locations
+        const filteredLocations = this.filterLocationsBySearch(this.data.locations)
+            .filter(l => activeTypes.includes(l.type) && this.isInArea(l.lat, l.lon) &&
+                this.isLocationInSession(l) && this.isLocationInActivitySlot(l));
+        const locationStep = Math.max(1, Math.ceil(filteredLocations.length / (maxPoints * 0.7)));
+        for (let i = 0; i < filteredLocations.length; i += locationStep) {
+            const item = filteredLocations[i];
+            const pointIntensity = Math.max(0.1, Math.min(1, (item.level + 100) / 70)) * intensity;
+            allPoints.push([item.lat, item.lon, pointIntensity]);
+        }
+
+        if (allPoints.length > 0) {
+            this.layers.heatmap = L.heatLayer(allPoints, {
+                radius, blur: Math.max(10, radius - 5), maxZoom: 18,
+                gradient: { 0.0: 'blue', 0.2: 'cyan', 0.4: 'lime', 0.6: 'yellow', 0.8: 'orange', 1.0: 'red' }
+            });
+            
+            // Add to layer control as overlay
+            this.layers.layerControl.addOverlay(this.layers.heatmap, 'Network Heatmap');
+            this.layers.heatmap.addTo(this.map);
+        }
+    }
+
+    showNetworkMarkers() {
+        this.clearLayers();
+
+        let filteredNetworks = this.getFilteredNetworks();
+
+        // LTE cells of one eNodeB collapse into a single tower marker
+        if (document.getElementById('groupTowers')?.checked) {
+            this.showTowerMarkers(this.groupCellTowers(filteredNetworks));
+            filteredNetworks = filteredNetworks.filter(n => !n.cell?.site);
+        }
+
+        // Watchlist hits are never cut off and draw on top
+        const maxNetworks = CONFIG.LIMITS.MAX_CANVAS_MARKERS;
+        const hits = filteredNetworks.filter(n => n.watch);
+        const networksToShow = [
+            ...filteredNetworks.filter(n => !n.watch).slice(0, Math.max(0, maxNetworks - hits.length)),
+            ...hits
+        ];
+
+        if (networksToShow.length === 0) return;
+
+        // Clusters only draw what is visible, so they can use every filtered network
+        if (document.getElementById('clusterMarkers')?.checked) {
+            this.showClusteredMarkers(filteredNetworks);
+            return;
+        }
+
+        // High-performance GeoJSON canvas rendering
+        const geoJsonData = this.buildGeoJson(networksToShow, network => network);
+
+        this.layers.geoJsonLayer = L.geoJSON(geoJsonData, {
+            pointToLayer: (feature, latlng) => this.createNetworkMarker(feature.properties, latlng),
+            onEachFeature: (feature, layer) => this.bindNetworkMarker(layer, feature.properties)
+        });
+        
+        // Add to layer control as overlay
+        this.layers.layerControl.addOverlay(this.layers.geoJsonLayer, 'Network Markers');
+        this.layers.geoJsonLayer.addTo(this.map);
+
+        if (filteredNetworks.length > maxNetworks) {
+            console.log(`Showing ${networksToShow.length} of ${filteredNetworks.length} networks`);
+        }
+    }
+
+    createNetworkMarker(network, latlng) {
+        const color = CONFIG.NETWORK_TYPES[network.type]?.color || '#808080';
+        // Watchlist hits: larger, with a thick ring in the watchlist color
+        if (network.watch) {
+            return L.circleMarker(latlng, {
+                radius: this.getMarkerRadius(network.level) + 4,
+                fillColor: color,
+                color: CONFIG.WATCHLIST.MARKER_COLOR,
+                weight: 4,
+                opacity: 1,
+                fillOpacity: 0.9,
+                className: 'network-marker watch-marker'
+            });
+        }
+        // Randomized addresses: faint fill with a dashed ring in the type color
+        return L.circleMarker(latlng, {
+            radius: this.getMarkerRadius(network.level),
+            fillColor: color,
+            color: network.macKind ? color : '#ffffff', 
+            weight: window.innerWidth < 768 ? 2 : 1, // Thicker borders on mobile
+            dashArray: network.macKind ? '3,3' : null,
+            opacity: 0.9, 
+            fillOpacity: network.macKind ? 0.25 : 0.8,
+            // Make click targets larger
+            className: 'network-marker'
+        });
+    }
+
+    bindNetworkMarker(layer, network) {
+        layer.bindTooltip(`${network.ssid} (${network.type})\n${network.level} dBm`);
+        layer.on('click', () => {
+            layer.bindPopup(this.createNetworkPopup(network)).openPopup();
+            this.showConfidenceCircle(network);
+            this.showObservationTrail(network, layer);
+        });
+    }
+
+    // =================
+    // MARKER CLUSTERING
+    // =================
+
+    showClusteredMarkers(networks) {
+        // Watchlist hits stay single markers
+        this.clusterSource = networks.filter(n => !n.watch);
+        this.clusterHits = networks.filter(n => n.watch);
+        this.clusterMarkers = new Map();
+        this.layers.clusterLayer = L.layerGroup();
+        this.layers.layerControl.addOverlay(this.layers.clusterLayer, 'Network Clusters');
+        this.layers.clusterLayer.addTo(this.map);
+
+        this.clusterHits.forEach(network => {
+            const marker = this.createNetworkMarker(network, [network.lat, network.lon]);
+            this.bindNetworkMarker(marker, network);
+            marker.addTo(this.layers.clusterLayer);
+        });
+        this.renderClusters();
+    }
+
+    // Update the cluster markers to the cells in view (runs on every moveend). Cells still in view keep their
+    // marker, so a popup whose auto-pan moved the map stays open.
+    renderClusters() {
+        if (!this.clusterSource || !this.layers.clusterLayer) return;
+
+        const clusters = new Set(this.computeClusters(this.clusterSource));
+        this.clusterMarkers.forEach((marker, cluster) => {
+            if (clusters.has(cluster)) return;
+            this.layers.clusterLayer.removeLayer(marker);
+            this.clusterMarkers.delete(cluster);
+        });
+
+        clusters.forEach(cluster => {
+            if (this.clusterMarkers.has(cluster)) return;
+            const marker = this.createClusterMarker(cluster);
+            marker.addTo(this.layers.clusterLayer);
+            this.clusterMarkers.set(cluster, marker);
+        });
+    }
+
+    createClusterMarker(cluster) {
+        if (cluster.members.length === 1) {
+            const network = cluster.members[0];
+            const marker = this.createNetworkMarker(network, [network.lat, network.lon]);
+            this.bindNetworkMarker(marker, network);
+            return marker;
+        }
+
+        const marker = L.marker([cluster.lat, cluster.lon], { icon: this.createClusterIcon(cluster) });
+        marker.bindTooltip(this.describeClusterTypes(cluster));
+        marker.on('click', () => this.openCluster(cluster, marker));
+        return marker;
+    }
+
+    // Clusters in the padded viewport - panning only picks cells from the bins of the current zoom
+    computeClusters(networks) {
+        const zoom = this.map.getZoom();
+        const bounds = this.map.getBounds().pad(0.2);
+        const cellSize = CONFIG.CLUSTERING.CELL_SIZE;
+        const topLeft = this.map.project(bounds.getNorthWest(), zoom).divideBy(cellSize).floor();
+        const bottomRight = this.map.project(bounds.getSouthEast(), zoom).divideBy(cellSize).floor();
+
+        return this.getClusterCells(networks, zoom).filter(cell =>
+            cell.x >= topLeft.x && cell.x <= bottomRight.x && cell.y >= topLeft.y && cell.y <= bottomRight.y);
+    }
+
+    // Bins every network once per zoom level; the last binning is kept until the zoom or the networks change
+    getClusterCells(networks, zoom) {
+        if (this.clusterCells?.networks === networks && this.clusterCells.zoom === zoom) return this.clusterCells.cells;
+
+        const cellSize = CONFIG.CLUSTERING.CELL_SIZE;
+        const cells = new Map();
+
+        networks.forEach(network => {
+            const point = this.map.project([network.lat, network.lon], zoom);
+            const x = Math.floor(point.x / cellSize);
+            const y = Math.floor(point.y / cellSize);
+            const key = `${x}:${y}`;
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = { x, y, members: [], latSum: 0, lonSum: 0, counts: {} };
+                cells.set(key, cell);
+            }
+
+            cell.members.push(network);
+            cell.latSum += network.lat;
+            cell.lonSum += network.lon;
+            cell.counts[network.type] = (cell.counts[network.type] || 0) + 1;
+        });
+
+        const clusters = [...cells.values()].map(cell => ({
+            x: cell.x,
+            y: cell.y,
+            members: cell.members,
+            counts: cell.counts,
+            lat: cell.latSum / cell.members.length,
+            lon: cell.lonSum / cell.members.length
+        }));
+        this.clusterCells = { networks, zoom, cells: clusters };
+        return clusters;
+    }
+
+    // Donut split by network type, sized by member count
+    createClusterIcon(cluster) {
+        const total = cluster.members.length;
+        const size = Math.round(30 + Math.min(30, Math.log10(total) * 10));
+        const outer = size / 2;
+        const thickness = outer * 0.4;
+        const radius = outer - thickness / 2;
+        const circumference = 2 * Math.PI * radius;
+
+        let offset = 0;
+        const segments = Object.entries(cluster.counts).map(([type, count]) => {
+            const length = (count / total) * circumference;
+            const segment = `<circle r="${radius}" cx="${outer}" cy="${outer}" fill="none"
+                stroke="${CONFIG.NETWORK_TYPES[type]?.color || '#808080'}" stroke-width="${thickness}"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"
+                transform="rotate(-90 ${outer} ${outer})"/>`;
+            offset += length;
+            return segment;
+        });
+
+        const html = `
+            <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+                <circle r="${outer - thickness}" cx="${outer}" cy="${outer}" fill="rgba(26, 26, 26, 0.85)"/>
+                ${segments.join('')}
+                <text x="50%" y="50%" text-anchor="middle" dominant-baseline="central">${total}</text>
+            </svg>
+        `;
+
+        return L.divIcon({ html, className: 'cluster-icon', iconSize: [size, size] });
+    }
+
+    describeClusterTypes(cluster) {
+        return Object.entries(cluster.counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([type, count]) => `${CONFIG.NETWORK_TYPES[type]?.name || type}: ${count}`)
+            .join('\n');
+    }
+
+    // Zoom into the cluster, or list its members once zooming can't split it any further
+    openCluster(cluster, marker) {
+        const bounds = L.latLngBounds(cluster.members.map(n => [n.lat, n.lon]));
+        const targetZoom = this.map.getBoundsZoom(bounds);
+
+        if (this.map.getZoom() < this.map.getMaxZoom() && targetZoom > this.map.getZoom()) {
+            this.map.fitBounds(bounds, { padding: [20, 20] });
+            return;
+        }
+
+        const maxItems = CONFIG.CLUSTERING.MAX_POPUP_MEMBERS;
+        const members = [...cluster.members].sort((a, b) => b.level - a.level);
+        marker.bindPopup(`
+            <div class="popup-content">
+                <h4>${members.length} networks</h4>
+                ${members.slice(0, maxItems).map(n => `
+                    <div class="popup-field cluster-member" onclick="app.focusOnNetwork('${n.bssid}')">
+                        <span class="color-box type-${n.type}"></span>${this.escapeHtml(n.ssid)} (${n.level} dBm)
+                    </div>
+                `).join('')}
+                ${members.length > maxItems ? `<div class="popup-field">and ${members.length - maxItems} more</div>` : ''}
+            </div>
+        `).openPopup();
+    }
+
+    buildGeoJson(networks, toProperties) {
+        return {
+            type: 'FeatureCollection',
+            features: networks.map(network => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [network.lon, network.lat] },
+                properties: toProperties(network)
+            }))
+        };
+    }
+
+    // =================
+    // EXPORT
+    // =================
+
+    // Write the networks matching every active marker filter in the chosen format
+    exportSelection(format) {
+        const networks = this.getFilteredNetworks();
+        if (networks.length === 0) {
+            alert('No networks match the current filters.');
+            return;
+        }
+
+        const exporters = {
+            geojson: () => [JSON.stringify(this.buildGeoJson(networks, n => this.getExportFields(n)), null, 2), 'geojson', 'application/geo+json'],
+            kml: () => [this.buildKml(networks), 'kml', 'application/vnd.google-earth.kml+xml'],
+            gpx: () => [this.buildGpx(networks), 'gpx', 'application/gpx+xml'],
+            csv: () => [this.buildCsv(networks), 'csv', 'text/csv'],
+            wigle: () => [this.buildWigleCsv(networks), 'wiglewifi.csv', 'text/csv']
+        };
+        if (!exporters[format]) return;
+
+        const [content, extension, mimeType] = exporters[format]();
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(content, `wigle-export-${date}.${extension}`, mimeType);
+    }
+
+    // The fields shown in the network popup, as plain values
+    getExportFields(network) {
+        return {
+            ssid: network.ssid,
+            bssid: network.bssid,
+            type: CONFIG.NETWORK_TYPES[network.type]?.name || network.type,
+            signal: network.level,
+            frequency: network.frequency,
+            security: this.parseSecurityInfo(network.capabilities),
+            capabilities: network.capabilities,
+            lastSeen: network.lasttime ? new Date(network.lasttime).toISOString() : ''
+        };
+    }
+
+    buildKml(networks) {
+        // KML colors are aabbggrr
+        const styles = Object.entries(CONFIG.NETWORK_TYPES).map(([type, { color }]) => {
+            const [r, g, b] = [color.slice(1, 3), color.slice(3, 5), color.slice(5, 7)].map(hex => hex.toLowerCase());
+            return `    <Style id="type-${type}"><IconStyle><color>ff${b}${g}${r}</color>` +
+                `<Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>`;
+        });
+
+        const placemarks = networks.map(network => {
+            const data = Object.entries(this.getExportFields(network))
+                .map(([name, value]) => `<Data name="${name}"><value>${this.escapeXml(value)}</value></Data>`)
+                .join('');
+            return `    <Placemark><name>${this.escapeXml(network.ssid)}</name><styleUrl>#type-${network.type}</styleUrl>` +
+                `<ExtendedData>${data}</ExtendedData><Point><coordinates>${network.lon},${network.lat}</coordinates></Point></Placemark>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Wigle Explorer Export</name>
+${styles.join('\n')}
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+    }
+
+    buildGpx(networks) {
+        const waypoints = networks.map(network => {
+            const fields = this.getExportFields(network);
+            const time = fields.lastSeen ? `<time>${fields.lastSeen}</time>` : '';
+            const description = `${fields.bssid} • ${fields.signal} dBm • ${fields.frequency} MHz • ${fields.security}`;
+            return `  <wpt lat="${network.lat}" lon="${network.lon}">${time}<name>${this.escapeXml(network.ssid)}</name>` +
+                `<desc>${this.escapeXml(description)}</desc><type>${this.escapeXml(fields.type)}</type></wpt>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Wigle Explorer" xmlns="http://www.topografix.com/GPX/1/1">
+${waypoints.join('\n')}
+</gpx>
+`;
+    }
+
+    buildCsv(networks) {
+        const columns = ['ssid', 'bssid', 'type', 'signal', 'frequency', 'security', 'capabilities', 'lastSeen'];
+        const rows = networks.map(network => {
+            const fields = this.getExportFields(network);
+            return [...columns.map(column => fields[column]), network.lat, network.lon].map(value => this.csvField(value)).join(',');
+        });
+        return [[...columns, 'lat', 'lon'].join(','), ...rows].join('\n') + '\n';
+    }
+
+    // WiGLE CSV upload format - one row per network at its last GPS fix (never the estimated position)
+    buildWigleCsv(networks) {
+        const preamble = 'WigleWifi-1.4,appRelease=WigleExplorer,model=export,release=1,device=WigleExplorer,display=,board=,brand=';
+        const header = 'MAC,SSID,AuthMode,FirstSeen,Channel,RSSI,CurrentLatitude,CurrentLongitude,AltitudeMeters,AccuracyMeters,Type';
+
+        const rows = networks.map(network => [
+            network.bssid,
+            network.ssid === 'Hidden Network' ? '' : network.ssid,
+            network.capabilities,
+            this.formatUtcTimestamp(network.lasttime),
+            network.type === 'W' ? this.frequencyToChannel(network.frequency) : 0,
+            network.level,
+            network.lastlat ?? network.lat,
+            network.lastlon ?? network.lon,
+            0, 0,
+            CONFIG.WIGLE_CSV_TYPES[network.type] || 'WIFI'
+        ].map(value => this.csvField(value)).join(','));
+
+        return [preamble, header, ...rows].join('\n') + '\n';
+    }
+
+    // Epoch milliseconds to "2024-03-01 12:34:56" (UTC)
+    formatUtcTimestamp(time) {
+        return time ? new Date(time).toISOString().slice(0, 19).replace('T', ' ') : '';
+    }
+
+    frequencyToChannel(frequency) {
+        if (frequency === 2484) return 14;
+        if (frequency === 5935) return 2; // 6 GHz channel 2 sits below the regular 6 GHz raster
+        if (frequency >= 2412 && frequency <= 2472) return (frequency - 2407) / 5;
+        if (frequency >= 5160 && frequency <= 5885) return (frequency - 5000) / 5;
+        if (frequency >= 5955 && frequency <= 7115) return (frequency - 5950) / 5;
+        return 0;
+    }
+
+    csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    escapeXml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+        })[char]);
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // =================
+    // SEARCH QUERY
+    // =================
+
+    updateSearchQuery() {
+        // Keep filtering with the last valid query while the user is still typing
+        if (this.readSearchQuery()) this.updateView();
+    }
+
+    // Parses the search field, or marks it invalid with the error - false leaves the current query in place
+    readSearchQuery() {
+        const input = document.getElementById('networkSearch');
+        const errorBox = document.getElementById('searchError');
+
+        try {
+            this.searchQuery = this.parseSearchQuery(input?.value || '');
+            input?.classList.remove('invalid');
+            if (errorBox) errorBox.textContent = '';
+            return true;
+        } catch (error) {
+            input?.classList.add('invalid');
+            if (errorBox) errorBox.textContent = error.message;
+            return false;
+        }
+    }
+
+    // Shows the networks matching a query on the markers view
+    applySearch(text) {
+        const input = document.getElementById('networkSearch');
+        if (input) input.value = text;
+        this.updateSearchQuery();
+        this.switchView('markers');
+    }
+
+    // Terms are ANDed together; a leading "-" negates a term and bare words match SSID or BSSID
+    parseSearchQuery(text) {
+        const terms = this.tokenizeSearchQuery(text).map(token => this.parseSearchTerm(token));
+
+        return {
+            text,
+            terms,
+            matches: network => terms.every(term => term.test(network) !== term.negate)
+        };
+    }
+
+    tokenizeSearchQuery(text) {
+        const tokens = [];
+        let token = '';
+        let closing = null;
+
+        for (const char of text) {
+            if (closing) {
+                token += char;
+                if (char === closing && token[token.length - 2] !== '\\') closing = null;
+            } else if (/\s/.test(char)) {
+                if (token) tokens.push(token);
+                token = '';
+            } else {
+                // Quotes and slashes open a literal only at the start of a value
+                if ((char === '"' || char === '/') && /(^-?|[:=<>])$/.test(token)) closing = char;
+                token += char;
+            }
+        }
+
+        if (closing) throw new Error(closing === '"' ? 'Missing closing quote' : 'Missing closing / in regular expression');
+        if (token) tokens.push(token);
+        return tokens;
+    }
+
+    parseSearchTerm(token) {
+        const negate = token.startsWith('-') && token.length > 1;
+        const body = negate ? token.slice(1) : token;
+        const match = body.match(/^([a-z]+)(:|>=|<=|>|<|=)(.*)$/i);
+
+        // "aa:bb:cc" is a BSSID fragment, not a field called "aa"
+        if (!match || /^[0-9a-f]{2}$/i.test(match[1])) {
+            const value = this.unquoteSearchValue(body).toLowerCase();
+            return {
+                negate,
+                test: network => network.ssid.toLowerCase().includes(value) || network.bssid.toLowerCase().includes(value)
+            };
+        }
+
+        const [, fieldName, operator, value] = match;
+        const field = fieldName.toLowerCase();
+        if (!CONFIG.SEARCH_FIELDS.includes(field)) {
+            throw new Error(`Unknown field "${fieldName}" - use ${CONFIG.SEARCH_FIELDS.join(', ')}`);
+        }
+        if (value === '') throw new Error(`Missing value for ${field}`);
+        if (field !== 'level' && operator !== ':' && operator !== '=') {
+            throw new Error(`${field} does not support "${operator}"`);
+        }
+
+        return { negate, test: this.createSearchTest(field, operator, value) };
+    }
+
+    createSearchTest(field, operator, value) {
+        const list = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+
+        switch (field) {
+            case 'ssid':
+            case 'bssid':
+            case 'vendor': {
+                const pattern = this.createTextPattern(value, operator === '=');
+                return network => pattern.test(network[field] || '');
+            }
+            case 'type': {
+                const types = list.map(v => v.toUpperCase());
+                const invalid = types.find(type => !CONFIG.NETWORK_TYPES[type]);
+                if (invalid) throw new Error(`Unknown type "${invalid}" - use ${Object.keys(CONFIG.NETWORK_TYPES).join(', ')}`);
+                return network => types.includes(network.type);
+            }
+            case 'sec': {
+                const known = ['open', 'wep', 'wpa', 'wpa2', 'wpa3', 'unknown'];
+                const invalid = list.find(v => !known.includes(v));
+                if (invalid) throw new Error(`Unknown security "${invalid}" - use ${known.join(', ')}`);
+                return network => network.type === 'W' && list.includes(this.parseSecurityInfo(network.capabilities).toLowerCase());
+            }
+            case 'band': {
+                const bands = list.map(v => `${v} GHz`);
+                const invalid = list.find(v => !['2.4', '5', '6'].includes(v));
+                if (invalid) throw new Error(`Unknown band "${invalid}" - use 2.4, 5 or 6`);
+                return network => bands.includes(this.getFrequencyBand(network.frequency));
+            }
+            case 'level': {
+                const level = Number(value);
+                if (!Number.isFinite(level)) throw new Error(`level needs a number in dBm, e.g. level>-60`);
+                const compare = {
+                    '>': a => a > level, '>=': a => a >= level,
+                    '<': a => a < level, '<=': a => a <= level,
+                    ':': a => a === level, '=': a => a === level
+                }[operator];
+                return network => compare(network.level);
+            }
+            case 'seen': {
+                const [from, to] = value.includes('..') ? value.split('..') : [value, value];
+                const start = from ? this.parseQueryDate(from) : -Infinity;
+                // The end date includes the whole day
+                const end = to ? this.parseQueryDate(to) + 24 * 60 * 60 * 1000 : Infinity;
+                return network => network.lasttime >= start && network.lasttime < end;
+            }
+            case 'presence': {
+                const known = Object.keys(CONFIG.PRESENCE.PATTERNS);
+                const invalid = list.find(v => !known.includes(v));
+                if (invalid) throw new Error(`Unknown presence "${invalid}" - use ${known.join(', ')}`);
+                return network => !!network.presence && list.includes(network.presence.pattern);
+            }
+            case 'mac': {
+                const kinds = Object.keys(CONFIG.MAC_KINDS).map(kind => kind.toLowerCase());
+                const invalid = list.find(v => v !== 'randomized' && !kinds.includes(v));
+                if (invalid) throw new Error(`Unknown address kind "${invalid}" - use randomized, ${kinds.join(', ')}`);
+                return network => !!network.macKind && (list.includes('randomized') || list.includes(network.macKind.toLowerCase()));
+            }
+        }
+    }
+
+    // /regex/flags, "quoted text", wild*cards, or a plain substring (whole value with "=")
+    createTextPattern(value, exact) {
+        const regex = value.match(/^\/(.*)\/([a-z]*)$/);
+        // An invalid pattern throws a SyntaxError that describes the problem well enough
+        if (regex) return new RegExp(regex[1], regex[2] || 'i');
+
+        const text = this.unquoteSearchValue(value).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return value.includes('*') || exact ? new RegExp(`^${text}$`, 'i') : new RegExp(text, 'i');
+    }
+
+    unquoteSearchValue(value) {
+        return value.length > 1 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+    }
+
+    // "2024-03-01" as local midnight
+    parseQueryDate(text) {
+        const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        const date = match && new Date(match[1], match[2] - 1, match[3]);
+        // Date() silently rolls 2024-02-31 over into March
+        if (!date || date.getMonth() !== match[2] - 1 || date.getDate() !== Number(match[3])) {
+            throw new Error(`Invalid date "${text}" - use YYYY-MM-DD`);
+        }
+        return date.getTime();
+    }
+
+    // Heatmap observations follow the search query through the network they belong to
+    filterLocationsBySearch(locations) {
+        if (this.searchQuery.terms.length === 0) return locations;
+
+        const matching = new Set(this.data.networks.filter(this.searchQuery.matches).map(n => n.bssid));
+        return locations.filter(l => matching.has(l.bssid));
+    }
+
+    // =================
+    // HELPER FUNCTIONS
+    // =================
+
+    getActiveTypes(prefix = 'filter') {
+        return ['W', 'B', 'E', 'G', 'L', 'C'].filter(type => 
+            document.getElementById(`${prefix}${type}`)?.checked
+        );
+    }
+
+    getFilteredNetworks() {
+        const activeTypes = this.getActiveTypes('markers');
+        const vendor = document.getElementById('vendorFilter')?.value || '';
+        const hideRandomized = document.getElementById('hideRandomized')?.checked;
+        const minSignal = parseInt(document.getElementById('signalFilter')?.value || '-100');
+
+        // Security filters
+        const securityFilters = {
+            open: document.getElementById('secOpen')?.checked ?? true,
+            wep: document.getElementById('secWEP')?.checked ?? true,
+            wpa: document.getElementById('secWPA')?.checked ?? true,
+            wpa3: document.getElementById('secWPA3')?.checked ?? true,
+            hidden: document.getElementById('secHidden')?.checked ?? true
+        };
+
+        return this.data.networks.filter(network => {
+            // Type filter
+            if (!activeTypes.includes(network.type)) return false;
+
+            // Drawn area filter
+            if (!this.isInArea(network.lat, network.lon)) return false;
+            
+            // Signal filter
+            if (network.level < minSignal) return false;
+            
+            // Search query
+            if (!this.searchQuery.matches(network)) return false;
+
+            // Vendor filter
+            if (vendor && network.vendor !== vendor) return false;
+
+            // Randomized address filter
+            if (hideRandomized && network.macKind) return false;
+
+            // Drive session filter
+            if (!this.isInSession(network)) return false;
+            
+            // Security filter (only for Wi-Fi)
+            if (network.type === 'W') {
+                const security = this.parseSecurityInfo(network.capabilities);
+                const isHidden = !network.ssid || network.ssid === '' || network.ssid === 'Hidden Network';
+                
+                if (isHidden && !securityFilters.hidden) return false;
+                if (!isHidden) {
+                    if (security === 'Open' && !securityFilters.open) return false;
+                    if (security === 'WEP' && !securityFilters.wep) return false;
+                    if ((security === 'WPA' || security === 'WPA2') && !securityFilters.wpa) return false;
+                    if (security === 'WPA3' && !securityFilters.wpa3) return false;
+                }
+            }
+            
+            return true;
+        });
+    }
+
+    getMarkerRadius(signalLevel) {
+        // Larger, more touch-friendly markers
+        const baseSize = window.innerWidth < 768 ? 3 : 2; // Bigger on mobile
+        if (signalLevel > -40) return 8 + baseSize;
+        if (signalLevel > -60) return 7 + baseSize;
+        if (signalLevel > -80) return 6 + baseSize;
+        return 5 + baseSize;
+    }
+
+    createNetworkPopup(network, trail = null) {
+        const lastSeen = new Date(network.lasttime).toLocaleString();
+        const security = this.parseSecurityInfo(network.capabilities);
+        const networkType = CONFIG.NETWORK_TYPES[network.type];
+        const estimate = network.estimate;
+
+        return `
+            <div class="popup-content">
+                <h4>${this.escapeHtml(network.ssid)}</h4>
+                <div class="popup-field"><strong>Type:</strong> ${networkType?.name || network.type}</div>
+                <div class="popup-field"><strong>BSSID:</strong> ${network.bssid}</div>
+                ${network.watch ? `<div class="popup-field"><strong>Watchlist:</strong> ${this.escapeHtml(this.describeWatchEntry(network.watch))}</div>` : ''}
+                ${network.vendor ? `<div class="popup-field"><strong>Vendor:</strong> ${this.escapeHtml(network.vendor)}</div>` : ''}
+                ${network.macKind ? `<div class="popup-field"><strong>Address:</strong> ${CONFIG.MAC_KINDS[network.macKind]} (randomized)</div>` : ''}
+                ${network.cell ? this.createCellPopupFields(network.cell) : ''}
+                <div class="popup-field"><strong>Signal:</strong> ${network.level} dBm</div>
+                <div class="popup-field"><strong>Frequency:</strong> ${network.frequency} MHz</div>
+                <div class="popup-field"><strong>Security:</strong> ${security}</div>
+                <div class="popup-field"><strong>Last Seen:</strong> ${lastSeen}</div>
+                ${network.lastlat !== undefined ? `<div class="popup-field"><strong>Last Seen At:</strong> ${network.lastlat.toFixed(6)}, ${network.lastlon.toFixed(6)}</div>` : ''}
+                ${network.presence ? `<div class="popup-field"><strong>Presence:</strong> ${CONFIG.PRESENCE.PATTERNS[network.presence.pattern].icon} ${CONFIG.PRESENCE.PATTERNS[network.presence.pattern].name} (${network.presence.hours} hours of the day, ${network.presence.days} days)</div>` : ''}
+                ${estimate ? `<div class="popup-field"><strong>Estimated Position:</strong> ${estimate.lat.toFixed(6)}, ${estimate.lon.toFixed(6)} (±${estimate.radius} m, ${estimate.observations} observations)</div>` : ''}
+                ${trail ? `
+                    <hr style="border-color: #555; margin: 8px 0;">
+                    <div class="popup-field"><strong>Observations:</strong> ${trail.count}</div>
+                    ${trail.firstSeen ? `<div class="popup-field"><strong>First Observed:</strong> ${new Date(trail.firstSeen).toLocaleString()}</div>` : ''}
+                    ${trail.lastSeen ? `<div class="popup-field"><strong>Last Observed:</strong> ${new Date(trail.lastSeen).toLocaleString()}</div>` : ''}
+                    ${trail.strongest ? `<div class="popup-field"><strong>Strongest:</strong> ${trail.strongest.level} dBm</div>` : ''}
+                ` : ''}
+            </div>
+        `;
+    }
+
+    createCellPopupFields(cell) {
+        if (cell.sid !== undefined) {
+            return `<div class="popup-field"><strong>CDMA:</strong> SID ${cell.sid} • NID ${cell.nid} • BSID ${cell.cellId}</div>`;
+        }
+        return `
+            <div class="popup-field"><strong>Operator:</strong> ${this.escapeHtml(cell.operator || 'Unknown')}${cell.country ? ` (${this.escapeHtml(cell.country)})` : ''}</div>
+            <div class="popup-field"><strong>MCC/MNC:</strong> ${cell.mcc}/${cell.mnc} • ${cell.technology}</div>
+            <div class="popup-field"><strong>${cell.areaLabel}:</strong> ${cell.area} • <strong>Cell ID:</strong> ${cell.cellId}</div>
+            ${cell.enb !== undefined ? `<div class="popup-field"><strong>eNodeB:</strong> ${cell.enb} • cell ${cell.localCell}</div>` : ''}
+        `;
+    }
+
+    clearLayers() {
+        // Remove heatmap from both map and layer control
+        if (this.layers.heatmap) {
+            this.map.removeLayer(this.layers.heatmap);
+            this.layers.layerControl.removeLayer(this.layers.heatmap);
+            this.layers.heatmap = null;
+        }
+        
+        // Remove markers from both map and layer control
+        if (this.layers.geoJsonLayer) {
+            this.map.removeLayer(this.layers.geoJsonLayer);
+            this.layers.layerControl.removeLayer(this.layers.geoJsonLayer);
+            this.layers.geoJsonLayer = null;
+        }
+
+        // Remove cell towers from both map and layer control
+        if (this.layers.towerLayer) {
+            this.map.removeLayer(this.layers.towerLayer);
+            this.layers.layerControl.removeLayer(this.layers.towerLayer);
+            this.layers.towerLayer = null;
+        }
+
+        // Remove clusters from both map and layer control
+        if (this.layers.clusterLayer) {
+            this.map.removeLayer(this.layers.clusterLayer);
+            this.layers.layerControl.removeLayer(this.layers.clusterLayer);
+            this.layers.clusterLayer = null;
+            this.clusterSource = null;
+            this.clusterCells = null;
+            this.clusterMarkers = new Map();
+        }
+
+        this.clearConfidenceCircle();
+        this.clearObservationTrail();
+        this.clearTrackerPath();
+    }
+
+
+    // =================
+    // ANALYTICS & UI
+    // =================
+
+    updateStats() {
+        const networkCounts = {};
+        const randomizedCounts = {};
+        this.data.networks.forEach(n => {
+            networkCounts[n.type] = (networkCounts[n.type] || 0) + 1;
+            if (n.macKind) randomizedCounts[n.type] = (randomizedCounts[n.type] || 0) + 1;
+        });
+        const randomized = Object.values(randomizedCounts).reduce((sum, count) => sum + count, 0);
+
+        const statsHtml = `
+            <div class="stats-item"><strong>Networks:</strong> ${this.data.networks.length}</div>
+            <div class="stats-item"><strong>Without randomized MACs:</strong> ${this.data.networks.length - randomized}</div>
+            <div class="stats-item"><strong>Observations:</strong> ${this.data.locations.length}</div>
+            <hr style="border-color: #555; margin: 10px 0;">
+            ${Object.entries(networkCounts).map(([type, count]) => 
+                `<div class="stats-item">
+                    <span>${CONFIG.NETWORK_TYPES[type]?.name || type}:</span>
+                    <span>${count}${randomizedCounts[type] ? ` (${count - randomizedCounts[type]} excl. randomized)` : ''}</span>
+                </div>`
+            ).join('')}
+        `;
+        
+        document.getElementById('stats').innerHTML = statsHtml;
+    }
+
+    updateAnalysis() {
+        const analysis = this.generateWardrivingAnalysis();
+        
+        // Main discovery insights
+        const insightsHtml = `
+            <div class="insight-card">
+                <h4>🎯 Discovery Summary</h4>
+                <div class="insight-item">📊 <strong>${analysis.totalNetworks}</strong> networks discovered across <strong>${analysis.coverageArea}</strong></div>
+                <div class="insight-item">📡 <strong>${analysis.wifiNetworks}</strong> Wi-Fi networks, <strong>${analysis.bluetoothDevices}</strong> Bluetooth devices</div>
+                <div class="insight-item">🔐 <strong>${analysis.openNetworks}</strong> open networks found (${analysis.openPercentage}% of Wi-Fi)</div>
+                <div class="insight-item">🏢 <strong>${analysis.uniqueSSIDs}</strong> unique network names discovered</div>
+                ${analysis.randomizedDevices ? `<div class="insight-item">🎭 <strong>${analysis.randomizedDevices}</strong> randomized or locally administered addresses - <strong>${analysis.totalNetworks - analysis.randomizedDevices}</strong> networks without them</div>` : ''}
+                ${analysis.timeInsight ? `<div class="insight-item">⏱️ ${analysis.timeInsight}</div>` : ''}
+            </div>
+        `;
+
+        // Network type breakdown
+        const typeBreakdownHtml = `
+            <div class="analysis-section">
+                <h4>📡 Network Type Discovery</h4>
+                ${Object.entries(analysis.networkTypes).map(([type, data]) => `
+                    <div class="bar-item">
+                        <div class="bar-label">
+                            <span>${CONFIG.NETWORK_TYPES[type]?.name || type}</span>
+                            <span><strong>${data.count}</strong> networks${data.randomized ? ` (${data.count - data.randomized} excl. randomized)` : ''}</span>
+                        </div>
+                        <div class="bar-container">
+                            <div class="bar-fill type-${type}" style="width: ${data.percentage}%"></div>
+                        </div>
+                        <div class="bar-insight">${this.getTypeInsight(type, data)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        // Security landscape for Wi-Fi
+        const securityHtml = `
+            <div class="analysis-section">
+                <h4>🔒 Wi-Fi Security Landscape</h4>
+                ${Object.entries(analysis.wifiSecurity).map(([type, data]) => `
+                    <div class="bar-item">
+                        <div class="bar-label">
+                            <span>${type}</span>
+                            <span><strong>${data.count}</strong> networks (${data.percentage}%)</span>
+                        </div>
+                        <div class="bar-container">
+                            <div class="bar-fill ${this.getSecurityColor(type)}" style="width: ${data.percentage}%"></div>
+                        </div>
+                        <div class="bar-insight">${this.getSecurityInsight(type, data)}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        // Manufacturers from the OUI of each BSSID
+        const manufacturersHtml = `
+            <div class="analysis-section">
+                <h4>🏭 Top Manufacturers</h4>
+                ${analysis.topManufacturers.map(group => `
+                    <div class="sightings-note">${CONFIG.NETWORK_TYPES[group.type]?.name}: ${group.known} of ${group.total} with a registered vendor</div>
+                    ${group.vendors.map(vendor => `
+                        <div class="bar-item">
+                            <div class="bar-label">
+                                <span>${this.escapeHtml(vendor.name)}</span>
+                                <span><strong>${vendor.count}</strong> (${vendor.percentage}%)</span>
+                            </div>
+                            <div class="bar-container">
+                                <div class="bar-fill type-${group.type}" style="width: ${vendor.percentage}%"></div>
+                            </div>
+                        </div>
+                    `).join('')}
+                `).join('')}
+            </div>
+        `;
+
+        // Channel occupancy and congestion for Wi-Fi
+        const channelHtml = `
+            <div class="analysis-section" id="channelSection">
+                ${this.createChannelHtml()}
+            </div>
+        `;
+
+        // Operators, technologies and sites decoded from cell identifiers
+        const cellularHtml = analysis.cellular.total > 0 ? this.createCellularHtml(analysis.cellular) : '';
+
+        // When networks were seen: weekday x hour punch card and per-network presence patterns
+        const activityHtml = this.data.activity?.counts.some(Boolean) ? `
+            <div class="analysis-section" id="punchCardSection">
+                ${this.createPunchCardHtml()}
+            </div>
+        ` : '';
+        const presence = this.analyzePresence();
+        const presenceHtml = presence.length > 0 ? this.createPresenceHtml(presence) : '';
+
+        // Most discovered networks (sighting analysis)
+        const sightingsHtml = `
+            <div class="analysis-section" id="sightingsSection">
+                ${this.createSightingsHtml(analysis.topSightings)}
+            </div>
+        `;
+
+        // Devices that moved along with the scanner
+        const trackerHtml = `
+            <div class="analysis-section" id="trackerSection">
+                ${this.createTrackerHtml()}
+            </div>
+        `;
+
+        // Interesting discoveries
+        const findingsHtml = `
+            <div class="analysis-section">
+                <h4>🔍 Notable Discoveries</h4>
+                ${analysis.findings.map(finding => `
+                    <div class="finding-item" style="border-left: 3px solid ${CONFIG.RULES.SEVERITIES[finding.severity].color}" title="${this.escapeAttribute(`${finding.name} (${finding.severity})`)}">
+                        <span class="finding-icon">${this.escapeHtml(finding.icon)}</span>
+                        <span class="finding-text">${this.escapeHtml(finding.text)}</span>
+                        ${finding.action ? `<span class="finding-action" onclick="app.applySearch(app.findingActions[${finding.actionIndex}])">🎯 View</span>` : ''}
+                    </div>
+                `).join('')}
+                ${analysis.findings.length === 0 ? '<div class="sightings-note">No rule matched - see Discovery Rules below</div>' : ''}
+            </div>
+        `;
+
+        document.getElementById('detailedStats').innerHTML = insightsHtml + typeBreakdownHtml + securityHtml + channelHtml + manufacturersHtml + cellularHtml + activityHtml + presenceHtml + sightingsHtml + trackerHtml + findingsHtml;
+
+        // Update categorized networks display
+        this.updateTopNetworksDisplay(analysis);
+    }
+
+    generateWardrivingAnalysis() {
+        const networks = this.data.networks;
+        const totalNetworks = networks.length;
+        
+        // Separate Wi-Fi from other network types
+        const wifiNetworks = networks.filter(n => n.type === 'W');
+        const bluetoothNetworks = networks.filter(n => n.type === 'B' || n.type === 'E');
+        const cellularNetworks = networks.filter(n => n.type === 'G' || n.type === 'L' || n.type === 'C');
+
+        // Network type breakdown
+        const networkTypes = {};
+        ['W', 'B', 'E', 'G', 'L', 'C'].forEach(type => {
+            const ofType = networks.filter(n => n.type === type);
+            if (ofType.length > 0) {
+                networkTypes[type] = {
+                    count: ofType.length,
+                    randomized: ofType.filter(n => n.macKind).length,
+                    percentage: Math.round((ofType.length / totalNetworks) * 100)
+                };
+            }
+        });
+        const randomizedDevices = networks.filter(n => n.macKind).length;
+
+        // Wi-Fi security analysis (only for Wi-Fi networks)
+        const wifiSecurityCounts = {};
+        const uniqueSSIDs = new Set();
+        
+        wifiNetworks.forEach(network => {
+            const security = this.parseSecurityInfo(network.capabilities);
+            wifiSecurityCounts[security] = (wifiSecurityCounts[security] || 0) + 1;
+            
+            if (network.ssid && network.ssid !== '' && network.ssid !== 'Hidden Network') {
+                uniqueSSIDs.add(network.ssid);
+            }
+        });
+
+        const wifiSecurity = {};
+        Object.entries(wifiSecurityCounts).forEach(([type, count]) => {
+            wifiSecurity[type] = {
+                count,
+                percentage: wifiNetworks.length > 0 ? Math.round((count / wifiNetworks.length) * 100) : 0
+            };
+        });
+
+        // Get sighting data from location table
+        const topSightings = this.getTopSightings();
+
+        // Coverage estimation
+        const coverageArea = this.estimateCoverageArea();
+
+        // Notable discoveries from the finding rules
+        const findings = this.evaluateFindingRules(networks);
+
+        // Time insights
+        const timeInsight = this.generateTimeInsight();
+
+        const openNetworks = wifiSecurityCounts['Open'] || 0;
+        const openPercentage = wifiNetworks.length > 0 ? Math.round((openNetworks / wifiNetworks.length) * 100) : 0;
+
+        return {
+            totalNetworks,
+            wifiNetworks: wifiNetworks.length,
+            bluetoothDevices: bluetoothNetworks.length,
+            randomizedDevices,
+            cellularNetworks: cellularNetworks.length,
+            uniqueSSIDs: uniqueSSIDs.size,
+            openNetworks,
+            openPercentage,
+            coverageArea,
+            networkTypes,
+            wifiSecurity,
+            topSightings,
+            topManufacturers: this.getTopManufacturers(networks),
+            cellular: this.analyzeCellular(cellularNetworks),
+            findings,
+            timeInsight
+        };
+    }
+
+    // Top named networks by one of the per-BSSID sightings metrics counted from the location table
+    getTopSightings(metric = this.sightingsSort) {
+        return this.data.networks
+            .filter(n => n.sightings && n.ssid && n.ssid !== '' && n.ssid !== 'Hidden Network')
+            .sort((a, b) => (b.sightings[metric] || 0) - (a.sightings[metric] || 0))
+            .slice(0, 8);
+    }
+
+    createSightingsHtml(topSightings) {
+        const formatDate = time => time ? new Date(time).toLocaleDateString() : '?';
+
+        return `
+            <h4>📈 Most Frequently Sighted</h4>
+            <div class="sightings-note">Networks you encountered most often during scanning</div>
+            <div class="sort-chips">
+                ${Object.entries(CONFIG.SIGHTING_SORTS).map(([metric, label]) => `
+                    <span class="sort-chip ${metric === this.sightingsSort ? 'active' : ''}" onclick="app.sortSightings('${metric}')">${label}</span>
+                `).join('')}
+            </div>
+            ${topSightings.map(network => `
+                <div class="sighting-item" onclick="app.focusOnNetwork('${network.bssid}')">
+                    <div class="sighting-main">
+                        <span class="sighting-ssid">${this.escapeHtml(network.ssid)}</span>
+                        <span class="sighting-count">${this.formatSightingMetric(this.sightingsSort, network.sightings)}</span>
+                    </div>
+                    <div class="sighting-details">
+                        ${CONFIG.NETWORK_TYPES[network.type]?.name} • ${this.parseSecurityInfo(network.capabilities)}<br>
+                        ${network.sightings.count} sightings on ${network.sightings.days} days • ${formatDate(network.sightings.firstSeen)} – ${formatDate(network.sightings.lastSeen)}<br>
+                        Spread ${this.formatDistance(network.sightings.spread)} • Max ${network.sightings.maxLevel} dBm
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    formatSightingMetric(metric, sightings) {
+        switch (metric) {
+            case 'days': return `${sightings.days} days`;
+            case 'spread': return this.formatDistance(sightings.spread);
+            case 'maxLevel': return `${sightings.maxLevel} dBm`;
+            case 'lastSeen': return sightings.lastSeen ? new Date(sightings.lastSeen).toLocaleDateString() : '?';
+            default: return `${sightings.count} sightings`;
+        }
+    }
+
+    sortSightings(metric) {
+        this.sightingsSort = metric;
+        const section = document.getElementById('sightingsSection');
+        if (section) section.innerHTML = this.createSightingsHtml(this.getTopSightings());
+    }
+
+    analyzeSignalDistribution(signalLevels) {
+        const distribution = {
+            excellent: { count: 0, min: -20, max: -50 },
+            good: { count: 0, min: -50, max: -70 },
+            fair: { count: 0, min: -70, max: -85 },
+            poor: { count: 0, min: -200, max: -85 }
+        };
+
+        signalLevels.forEach(level => {
+            if (level >= -50) distribution.excellent.count++;
+            else if (level >= -70) distribution.good.count++;
+            else if (level >= -85) distribution.fair.count++;
+            else distribution.poor.count++;
+        });
+
+        return distribution;
+    }
+
+    determineOverallSignalQuality(distribution) {
+        const total = Object.values(distribution).reduce((sum, cat) => sum + cat.count, 0);
+        if (total === 0) return 'Unknown';
+
+        const excellentPercent = (distribution.excellent.count / total) * 100;
+        const goodPercent = (distribution.good.count / total) * 100;
+
+        if (excellentPercent > 30) return 'Excellent';
+        if (excellentPercent + goodPercent > 60) return 'Good';
+        if (distribution.poor.count / total < 0.5) return 'Fair';
+        return 'Poor';
+    }
+
+    estimateCoverageArea() {
+        if (this.data.networks.length < 10) return 'small area';
+        
+        let minLat = Infinity, maxLat = -Infinity;
+        let minLon = Infinity, maxLon = -Infinity;
+        
+        this.data.networks.forEach(n => {
+            minLat = Math.min(minLat, n.lat);
+            maxLat = Math.max(maxLat, n.lat);
+            minLon = Math.min(minLon, n.lon);
+            maxLon = Math.max(maxLon, n.lon);
+        });
+        
+        const latRange = maxLat - minLat;
+        const lonRange = maxLon - minLon;
+        
+        // Rough area estimation
+        const area = latRange * lonRange * 111 * 111; // Convert to km²
+        
+        if (area < 1) return 'neighborhood';
+        if (area < 10) return 'district';
+        if (area < 100) return 'city area';
+        return 'large region';
+    }
+
+    generateTimeInsight() {
+        if (this.data.timeRange.min === 0) return null;
+        
+        const duration = (this.data.timeRange.max - this.data.timeRange.min) / (1000 * 60 * 60 * 24);
+        const networksPerDay = (this.data.networks.length / duration).toFixed(1);
+        
+        if (duration < 1) return `Discovered ${this.data.networks.length} networks in one session`;
+        if (duration < 7) return `${networksPerDay} networks/day over ${Math.round(duration)} days of scanning`;
+        return `Long-term data: ${Math.round(duration)} days, ${networksPerDay} networks/day average`;
+    }
+
+    updateTopNetworksDisplay(analysis) {
+        // Analyze common network patterns for more detailed insights
+        const commonNetworks = this.analyzeCommonNetworks();
+        
+        const categoriesHtml = `
+            <div class="network-category">
+                <h5>🏢 Common Network Patterns</h5>
+                <div class="pattern-note">Frequently encountered network types in your area</div>
+                ${commonNetworks.map(pattern => `
+                    <div class="pattern-item">
+                        <div class="pattern-header">
+                            <span class="pattern-name">${pattern.name}</span>
+                            <span class="pattern-count">${pattern.count} networks</span>
+                        </div>
+                        <div class="pattern-description">${pattern.description}</div>
+                        ${pattern.examples.length > 0 ? `
+                            <div class="pattern-examples">
+                                <strong>Examples:</strong> ${pattern.examples.slice(0, 3).map(ex => this.escapeHtml(ex)).join(', ')}
+                                ${pattern.examples.length > 3 ? ` and ${pattern.examples.length - 3} more` : ''}
+                            </div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        document.getElementById('topNetworks').innerHTML = categoriesHtml || 'No network pattern data available';
+    }
+
+    analyzeCommonNetworks() {
+        const wifiNetworks = this.data.networks.filter(n => n.type === 'W' && n.ssid && n.ssid !== '' && n.ssid !== 'Hidden Network');
+        const patterns = [];
+
+        // FRITZ!Box analysis
+        const fritzNetworks = wifiNetworks.filter(n => n.ssid.includes('FRITZ!Box'));
+        if (fritzNetworks.length > 0) {
+            patterns.push({
+                name: 'FRITZ!Box Routers',
+                count: fritzNetworks.length,
+                description: 'Popular German home routers by AVM. Commonly found in residential areas across Germany and Europe.',
+                examples: [...new Set(fritzNetworks.map(n => n.ssid))].slice(0, 5)
+            });
+        }
+
+        // Vodafone networks
+        const vodafoneNetworks = wifiNetworks.filter(n => n.ssid.toLowerCase().includes('vodafone'));
+        if (vodafoneNetworks.length > 0) {
+            patterns.push({
+                name: 'Vodafone Networks',
+                count: vodafoneNetworks.length,
+                description: 'Vodafone ISP infrastructure including home routers and public hotspots. Major European telecom provider.',
+                examples: [...new Set(vodafoneNetworks.map(n => n.ssid))].slice(0, 5)
+            });
+        }
+
+        // Educational networks
+        const eduNetworks = wifiNetworks.filter(n => 
+            n.ssid.toLowerCase().includes('eduroam') || 
+            n.ssid.toLowerCase().includes('campus') || 
+            n.ssid.toLowerCase().includes('university') ||
+            n.ssid.toLowerCase().includes('up-') // University of Potsdam pattern
+        );
+        if (eduNetworks.length > 0) {
+            patterns.push({
+                name: 'Educational Networks',
+                count: eduNetworks.length,
+                description: 'University and educational institution networks. Eduroam provides international academic access.',
+                examples: [...new Set(eduNetworks.map(n => n.ssid))].slice(0, 5)
+            });
+        }
+
+        // Public/Guest networks
+        const guestNetworks = wifiNetworks.filter(n => 
+            n.ssid.toLowerCase().includes('guest') || 
+            n.ssid.toLowerCase().includes('public') ||
+            n.ssid.toLowerCase().includes('free') ||
+            n.ssid.toLowerCase().includes('hotspot')
+        );
+        if (guestNetworks.length > 0) {
+            patterns.push({
+                name: 'Guest & Public Networks',
+                count: guestNetworks.length,
+                description: 'Open or guest access networks for visitors. Often found in businesses, hotels, and public spaces.',
+                examples: [...new Set(guestNetworks.map(n => n.ssid))].slice(0, 5)
+            });
+        }
+
+        // Business/Corporate patterns
+        const businessNetworks = wifiNetworks.filter(n => 
+            n.ssid.toLowerCase().includes('office') || 
+            n.ssid.toLowerCase().includes('corp') ||
+            n.ssid.toLowerCase().includes('company') ||
+            n.ssid.toLowerCase().includes('store') ||
+            /^[A-Z]{2,}-[A-Z0-9]+$/.test(n.ssid) // Corporate naming pattern
+        );
+        if (businessNetworks.length > 0) {
+            patterns.push({
+                name: 'Business Networks',
+                count: businessNetworks.length,
+                description: 'Corporate and business networks with structured naming conventions.',
+                examples: [...new Set(businessNetworks.map(n => n.ssid))].slice(0, 5)
+            });
+        }
+
+        // Carrier networks (LTE/Mobile)
+        const carrierNetworks = wifiNetworks.filter(n => 
+            n.ssid.toLowerCase().includes('telekom') || 
+            n.ssid.toLowerCase().includes('o2') ||
+            n.ssid.toLowerCase().includes('lte') ||
+            n.ssid.toLowerCase().includes('4g') ||
+            n.ssid.toLowerCase().includes('5g')
+        );
+        if (carrierNetworks.length > 0) {
+            patterns.push({
+                name: 'Carrier Networks',
+                count: carrierNetworks.length,
+                description: 'Mobile carrier infrastructure and LTE/5G networks providing cellular data services.',
+                examples: [...new Set(carrierNetworks.map(n => n.ssid))].slice(0, 5)
+            });
+        }
+
+        // Generic/Default router names
+        const defaultNetworks = wifiNetworks.filter(n => 
+            /^WiFi-[A-F0-9]+$/i.test(n.ssid) ||
+            /^Network-[0-9]+$/i.test(n.ssid) ||
+            /^Router[0-9]*$/i.test(n.ssid) ||
+            n.ssid.toLowerCase() === 'wifi' ||
+            n.ssid.toLowerCase() === 'internet'
+        );
+        if (defaultNetworks.length > 0) {
+            patterns.push({
+                name: 'Default Router Names',
+                count: defaultNetworks.length,
+                description: 'Networks using default or generic router names, often indicating basic home setups.',
+                examples: [...new Set(defaultNetworks.map(n => n.ssid))].slice(0, 5)
+            });
+        }
+
+        return patterns.sort((a, b) => b.count - a.count).slice(0, 6); // Top 6 patterns
+    }
+
+    // Helper functions for analysis styling
+    getSecurityColor(type) {
+        const colors = {
+            'WPA3': 'security-excellent',
+            'WPA2': 'security-good', 
+            'WPA': 'security-fair',
+            'WEP': 'security-poor',
+            'Open': 'security-danger'
+        };
+        return colors[type] || 'security-unknown';
+    }
+
+    getSecurityInsight(type, data) {
+        const insights = {
+            'WPA3': 'Latest security standard - excellent protection',
+            'WPA2': 'Strong security - widely compatible',
+            'WPA': 'Older standard - consider upgrading',
+            'WEP': 'Deprecated - easily crackable',
+            'Open': 'No encryption - avoid for sensitive data'
+        };
+        return insights[type] || 'Unknown security type';
+    }
+
+    getFrequencyInsight(band, data) {
+        const insights = {
+            '2.4 GHz': 'Longer range but slower speeds, often congested',
+            '5 GHz': 'Faster speeds with less congestion',
+            '6 GHz': 'Latest Wi-Fi 6E standard - highest performance',
+            'Other': 'Non-Wi-Fi frequencies (cellular, etc.)'
+        };
+        return insights[band] || 'Unknown frequency band';
+    }
+
+    // Helper functions for new analysis
+    getTypeInsight(type, data) {
+        const insights = {
+            'W': 'Wi-Fi access points and routers',
+            'B': 'Bluetooth Classic devices (older standard)',
+            'E': 'Bluetooth Low Energy devices (modern)',
+            'G': 'GSM/UMTS cellular towers',
+            'L': 'LTE/5G cellular infrastructure',
+            'C': 'CDMA cellular networks'
+        };
+        return insights[type] || 'Unknown network type';
+    }
+
+    updateTimeline() {
+        if (this.data.timeRange.min === 0) {
+            document.getElementById('timelineInfo').innerHTML = '<div>No timestamp data available</div>';
+            return;
+        }
+
+        const startDate = new Date(this.data.timeRange.min).toLocaleDateString();
+        const endDate = new Date(this.data.timeRange.max).toLocaleDateString();
+        const durationDays = Math.ceil((this.data.timeRange.max - this.data.timeRange.min) / (1000 * 60 * 60 * 24));
 
-        // Interesting discoveries
-        const findingsHtml = `
-            <div class="analysis-section">
-                <h4>🔍 Notable Discoveries</h4>
-                ${analysis.findings.map(finding => `
-                    <div class="finding-item">
-                        <span class="finding-icon">${finding.icon}</span>
-                        <span class="finding-text">${finding.text}</span>
-                        ${finding.action ? `<span class="finding-action" onclick="${finding.action}">🎯 View</span>` : ''}
-                    </div>
-                `).join('')}
-            </div>
+        document.getElementById('timelineInfo').innerHTML = `
+            <div class="analysis-item"><span>Date Range:</span><span>${startDate} - ${endDate}</span></div>
+            <div class="analysis-item"><span>Duration:</span><span>${durationDays} days</span></div>
+            <div class="analysis-item"><span>Networks/Day:</span><span>${(this.data.networks.length / durationDays).toFixed(1)}</span></div>
         `;
 
-        document.getElementById('detailedStats').innerHTML = insightsHtml + typeBreakdownHtml + securityHtml + sightingsHtml + findingsHtml;
+        document.getElementById('timeSliderContainer').style.display = 'block';
+        this.data.timeHistogram = null;
+        this.timeWindow = { start: this.data.timeRange.min, end: this.data.timeRange.max };
+        this.syncTimeControls();
+        this.loadTimeHistogram();
+        this.updateSessionList();
+    }
+
+    // =================
+    // FINDING RULES
+    // =================
 
-        // Update categorized networks display
-        this.updateTopNetworksDisplay(analysis);
+    getFindingRules() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE.RULES_KEY));
+            if (stored) return this.validateFindingRules(stored);
+        } catch (error) {
+            console.warn('Ignoring unreadable finding rules:', error);
+        }
+        return structuredClone(CONFIG.RULES.DEFAULTS);
     }
 
-    generateWardrivingAnalysis() {
-        const networks = this.data.networks;
-        const totalNetworks = networks.length;
-        
-        // Separate Wi-Fi from other network types
-        const wifiNetworks = networks.filter(n => n.type === 'W');
-        const bluetoothNetworks = networks.filter(n => n.type === 'B' || n.type === 'E');
-        const cellularNetworks = networks.filter(n => n.type === 'G' || n.type === 'L' || n.type === 'C');
+    // Throws with the rule that is wrong, so the editor can point at it
+    validateFindingRules(rules) {
+        const { AGGREGATES, NUMERIC_FIELDS, TEXT_FIELDS, OPERATORS, SEVERITIES } = CONFIG.RULES;
+        if (!Array.isArray(rules)) throw new Error('Rules must be a JSON array');
 
-        // Network type breakdown
-        const networkTypes = {};
-        ['W', 'B', 'E', 'G', 'L', 'C'].forEach(type => {
-            const count = networks.filter(n => n.type === type).length;
-            if (count > 0) {
-                networkTypes[type] = {
-                    count,
-                    percentage: Math.round((count / totalNetworks) * 100)
-                };
-            }
-        });
+        rules.forEach((rule, index) => {
+            const label = `Rule ${index + 1}${typeof rule?.name === 'string' && rule.name ? ` (${rule.name})` : ''}`;
+            const fail = message => { throw new Error(`${label}: ${message}`); };
 
-        // Wi-Fi security analysis (only for Wi-Fi networks)
-        const wifiSecurityCounts = {};
-        const uniqueSSIDs = new Set();
-        
-        wifiNetworks.forEach(network => {
-            const security = this.parseSecurityInfo(network.capabilities);
-            wifiSecurityCounts[security] = (wifiSecurityCounts[security] || 0) + 1;
-            
-            if (network.ssid && network.ssid !== '' && network.ssid !== 'Hidden Network') {
-                uniqueSSIDs.add(network.ssid);
-            }
-        });
+            if (!rule || typeof rule !== 'object') fail('must be an object');
+            if (typeof rule.message !== 'string') fail('needs a "message"');
+            if (!SEVERITIES[rule.severity]) fail(`severity must be ${Object.keys(SEVERITIES).join(', ')}`);
+            if (!Array.isArray(rule.when) || rule.when.length === 0) fail('needs a "when" list of conditions');
 
-        const wifiSecurity = {};
-        Object.entries(wifiSecurityCounts).forEach(([type, count]) => {
-            wifiSecurity[type] = {
-                count,
-                percentage: wifiNetworks.length > 0 ? Math.round((count / wifiNetworks.length) * 100) : 0
-            };
+            ['name', 'icon', 'match', 'action'].forEach(key => {
+                if (rule[key] !== undefined && typeof rule[key] !== 'string') fail(`"${key}" must be a string`);
+            });
+            ['match', 'action'].forEach(key => {
+                if (rule[key] === undefined) return;
+                try {
+                    this.parseSearchQuery(rule[key]);
+                } catch (error) {
+                    fail(`${key}: ${error.message}`);
+                }
+            });
+
+            rule.when.forEach(condition => {
+                if (!AGGREGATES.includes(condition?.aggregate)) fail(`aggregate must be ${AGGREGATES.join(', ')}`);
+                if (!OPERATORS.includes(condition.op)) fail(`op must be ${OPERATORS.join(' ')}`);
+                if (!Number.isFinite(condition.value)) fail('condition value must be a number');
+
+                const fields = ['avg', 'min', 'max'].includes(condition.aggregate) ? NUMERIC_FIELDS : TEXT_FIELDS;
+                if (['avg', 'min', 'max', 'distinct', 'ratio', 'matches'].includes(condition.aggregate) && !fields.includes(condition.field)) {
+                    fail(`${condition.aggregate} needs a field: ${fields.join(', ')}`);
+                }
+                ['of', 'pattern'].forEach(key => {
+                    if (condition[key] !== undefined && typeof condition[key] !== 'string') fail(`"${key}" must be a string`);
+                });
+                if (condition.aggregate === 'matches') {
+                    if (!condition.pattern) fail('matches needs a "pattern"');
+                    try {
+                        new RegExp(condition.pattern, 'i');
+                    } catch (error) {
+                        fail(`pattern: ${error.message}`);
+                    }
+                }
+                if (condition.of !== undefined) {
+                    try {
+                        this.parseSearchQuery(condition.of);
+                    } catch (error) {
+                        fail(`of: ${error.message}`);
+                    }
+                }
+            });
         });
+        return rules;
+    }
 
-        // Get sighting data from location table
-        const topSightings = this.getTopSightings();
+    // A rule fires when all its conditions hold; findings are ordered by severity
+    evaluateFindingRules(networks) {
+        const { SEVERITIES, MAX_FINDINGS } = CONFIG.RULES;
+        this.findingActions = [];
+
+        const findings = this.getFindingRules()
+            .filter(rule => rule.enabled !== false)
+            .map(rule => {
+                const matched = networks.filter(this.parseSearchQuery(rule.match || '').matches);
+                const values = { count: matched.length };
+                const holds = rule.when.every(condition => {
+                    const value = this.computeRuleAggregate(condition, matched, networks, values);
+                    return this.compareRuleValue(value, condition.op, condition.value);
+                });
+                if (!holds) return null;
+
+                const finding = {
+                    name: rule.name || '',
+                    icon: rule.icon || '🔍',
+                    // Rules are validated, but the markup and the ordering must not depend on it
+                    severity: SEVERITIES[rule.severity] ? rule.severity : 'info',
+                    text: this.formatRuleMessage(rule.message, values, matched, networks)
+                };
+                if (rule.action) {
+                    finding.action = rule.action;
+                    finding.actionIndex = this.findingActions.push(rule.action) - 1;
+                }
+                return finding;
+            })
+            .filter(Boolean);
 
-        // Coverage estimation
-        const coverageArea = this.estimateCoverageArea();
+        return findings
+            .sort((a, b) => SEVERITIES[a.severity].order - SEVERITIES[b.severity].order)
+            .slice(0, MAX_FINDINGS);
+    }
 
-        // Generate wardriving-specific findings
-        const findings = this.generateWardrivingFindings(networks, wifiNetworks, bluetoothNetworks, uniqueSSIDs.size);
+    // Stores the value under the aggregate's name, so the message template can use it
+    computeRuleAggregate(condition, matched, networks, values) {
+        const field = condition.field;
+        switch (condition.aggregate) {
+            case 'count':
+                return values.count;
+            case 'percent': {
+                const base = condition.of !== undefined ? networks.filter(this.parseSearchQuery(String(condition.of)).matches) : networks;
+                return values.percent = base.length ? matched.length / base.length * 100 : NaN;
+            }
+            case 'distinct':
+                return values.distinct = this.getDistinctValues(matched, field).size;
+            case 'ratio':
+                return values.ratio = matched.length ? this.getDistinctValues(matched, field).size / matched.length : NaN;
+            case 'avg':
+            case 'min':
+            case 'max': {
+                const numbers = matched.map(n => n[field]).filter(Number.isFinite);
+                if (numbers.length === 0) return values[condition.aggregate] = NaN;
+                const reduce = {
+                    avg: () => numbers.reduce((sum, v) => sum + v, 0) / numbers.length,
+                    min: () => numbers.reduce((min, v) => Math.min(min, v), Infinity),
+                    max: () => numbers.reduce((max, v) => Math.max(max, v), -Infinity)
+                }[condition.aggregate];
+                return values[condition.aggregate] = reduce();
+            }
+            case 'matches': {
+                // Distinct pattern matches, e.g. which of several provider names occur at all. The pattern
+                // ignores case, so "Guest" and "GUEST" count once, listed as first seen.
+                const pattern = new RegExp(condition.pattern, 'i');
+                const found = new Map();
+                matched.forEach(n => {
+                    const match = String(n[field] || '').match(pattern);
+                    if (match && !found.has(match[0].toLowerCase())) found.set(match[0].toLowerCase(), match[0]);
+                });
+                values.matches = [...found.values()];
+                return found.size;
+            }
+        }
+    }
 
-        // Time insights
-        const timeInsight = this.generateTimeInsight();
+    // Hidden networks have no name to count
+    getDistinctValues(networks, field) {
+        return new Set(networks.map(n => n[field]).filter(value => value && value !== 'Hidden Network'));
+    }
 
-        const openNetworks = wifiSecurityCounts['Open'] || 0;
-        const openPercentage = wifiNetworks.length > 0 ? Math.round((openNetworks / wifiNetworks.length) * 100) : 0;
+    compareRuleValue(value, op, target) {
+        switch (op) {
+            case '>': return value > target;
+            case '>=': return value >= target;
+            case '<': return value < target;
+            case '<=': return value <= target;
+            case '==': return value === target;
+            case '!=': return value !== target;
+        }
+    }
 
-        return {
-            totalNetworks,
-            wifiNetworks: wifiNetworks.length,
-            bluetoothDevices: bluetoothNetworks.length,
-            cellularNetworks: cellularNetworks.length,
-            uniqueSSIDs: uniqueSSIDs.size,
-            openNetworks,
-            openPercentage,
-            coverageArea,
-            networkTypes,
-            wifiSecurity,
-            topSightings,
-            findings,
-            timeInsight
+    formatRuleMessage(message, values, matched, networks) {
+        // {percent} of all networks is available even without a percent condition
+        const percent = values.percent ?? (networks.length ? matched.length / networks.length * 100 : 0);
+        const formatted = {
+            ...values,
+            percent: Math.round(percent),
+            ratio: values.ratio?.toFixed(2),
+            avg: values.avg?.toFixed(1),
+            matches: values.matches?.join(', ')
         };
+        return message.replace(/\{(\w+)\}/g, (placeholder, key) => formatted[key] ?? placeholder);
     }
 
-    getTopSightings() {
-        // Calculate sightings based on location data
-        const sightings = {};
-        
-        this.data.locations.forEach(location => {
-            // Find matching network
-            const network = this.data.networks.find(n => 
-                n.type === location.type && 
-                Math.abs(n.lat - location.lat) < 0.001 && 
-                Math.abs(n.lon - location.lon) < 0.001
-            );
-            
-            if (network && network.ssid && network.ssid !== '' && network.ssid !== 'Hidden Network') {
-                if (!sightings[network.bssid]) {
-                    sightings[network.bssid] = {
-                        ssid: network.ssid,
-                        bssid: network.bssid,
-                        type: network.type,
-                        capabilities: network.capabilities,
-                        sightings: 0
-                    };
-                }
-                sightings[network.bssid].sightings++;
-            }
-        });
+    updateRulesEditor() {
+        const editor = document.getElementById('rulesEditor');
+        if (editor) editor.value = JSON.stringify(this.getFindingRules(), null, 2);
+        const errorBox = document.getElementById('rulesError');
+        if (errorBox) errorBox.textContent = '';
+    }
 
-        // Return top 8 most sighted networks
-        return Object.values(sightings)
-            .sort((a, b) => b.sightings - a.sightings)
-            .slice(0, 8);
+    // Applies the editor contents; invalid rules are reported and not stored
+    saveFindingRules(text = document.getElementById('rulesEditor')?.value || '') {
+        const errorBox = document.getElementById('rulesError');
+        try {
+            const rules = this.validateFindingRules(JSON.parse(text));
+            localStorage.setItem(CONFIG.STORAGE.RULES_KEY, JSON.stringify(rules));
+        } catch (error) {
+            if (errorBox) errorBox.textContent = error.message;
+            return false;
+        }
+
+        this.updateRulesEditor();
+        if (this.data.networks.length > 0) this.updateAnalysis();
+        return true;
     }
 
-    generateWardrivingFindings(networks, wifiNetworks, bluetoothNetworks, uniqueSSIDs) {
-        const findings = [];
+    resetFindingRules() {
+        if (!confirm('Replace your rules with the default set?')) return;
+        localStorage.removeItem(CONFIG.STORAGE.RULES_KEY);
+        this.updateRulesEditor();
+        if (this.data.networks.length > 0) this.updateAnalysis();
+    }
 
-        // Open network security risk
-        const openNetworks = wifiNetworks.filter(n => this.parseSecurityInfo(n.capabilities) === 'Open').length;
-        if (openNetworks > 5) {
-            findings.push({
-                icon: '⚠️',
-                text: `${openNetworks} open Wi-Fi networks detected - potential security risks`,
-                action: `app.showOpenNetworks()`
-            });
-        }
+    async importFindingRules(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
 
-        // WEP networks (very insecure)
-        const wepNetworks = wifiNetworks.filter(n => this.parseSecurityInfo(n.capabilities) === 'WEP').length;
-        if (wepNetworks > 0) {
-            findings.push({
-                icon: '🔓',
-                text: `${wepNetworks} WEP networks found - easily hackable, recommend avoiding`
-            });
-        }
+        const text = await file.text();
+        const editor = document.getElementById('rulesEditor');
+        // Keep the imported text in the editor when it does not validate, so it can be fixed
+        if (!this.saveFindingRules(text) && editor) editor.value = text;
+    }
 
-        // WPA3 adoption
-        const wpa3Networks = wifiNetworks.filter(n => this.parseSecurityInfo(n.capabilities) === 'WPA3').length;
-        if (wpa3Networks > 0) {
-            findings.push({
-                icon: '🛡️',
-                text: `${wpa3Networks} WPA3 networks found - latest security standard in use`
-            });
-        }
+    exportFindingRules() {
+        this.downloadFile(JSON.stringify(this.getFindingRules(), null, 2), 'wigle-explorer-rules.json', 'application/json');
+    }
 
-        // Bluetooth device discovery
-        if (bluetoothNetworks.length > 50) {
-            findings.push({
-                icon: '📱',
-                text: `High Bluetooth activity: ${bluetoothNetworks.length} devices discovered`
-            });
-        }
+    // =================
+    // WATCHLIST
+    // =================
 
-        // Network diversity analysis
-        const diversityRatio = uniqueSSIDs / wifiNetworks.length;
-        if (diversityRatio < 0.3) {
-            findings.push({
-                icon: '🏢',
-                text: `Low network diversity detected - suggests corporate/institutional area`
-            });
-        } else if (diversityRatio > 0.8) {
-            findings.push({
-                icon: '🏘️',
-                text: `High network diversity - typical residential area pattern`
-            });
+    getWatchlist() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.STORAGE.WATCHLIST_KEY)) || [];
+        } catch (error) {
+            console.warn('Ignoring unreadable watchlist:', error);
+            return [];
         }
+    }
 
-        // Popular network names
-        const commonNames = ['FRITZ!Box', 'Vodafone', 'Telekom', 'eduroam', 'Guest'];
-        const foundCommon = commonNames.filter(name => 
-            wifiNetworks.some(n => n.ssid && n.ssid.includes(name))
-        );
-        if (foundCommon.length > 2) {
-            findings.push({
-                icon: '🌍',
-                text: `Common network patterns detected: ${foundCommon.join(', ')}`
-            });
-        }
+    async storeWatchlist(entries) {
+        localStorage.setItem(CONFIG.STORAGE.WATCHLIST_KEY, JSON.stringify(entries));
+        await this.checkWatchlist();
+        if (this.data.networks.length > 0) this.updateView();
+    }
 
-        return findings.slice(0, 5);
+    // BSSIDs compare as bare hex, so "00:11:22", "00-11-22" and "001122" are the same prefix
+    normalizeHex(value) {
+        return value.toLowerCase().replace(/[^0-9a-f]/g, '');
     }
 
-    analyzeSignalDistribution(signalLevels) {
-        const distribution = {
-            excellent: { count: 0, min: -20, max: -50 },
-            good: { count: 0, min: -50, max: -70 },
-            fair: { count: 0, min: -70, max: -85 },
-            poor: { count: 0, min: -200, max: -85 }
-        };
+    // Returns an error message, or null for a valid entry
+    validateWatchEntry(kind, value) {
+        if (!CONFIG.WATCHLIST.KINDS[kind]) return `Unknown kind "${kind}"`;
+        if (kind === 'ssid') {
+            try {
+                new RegExp(value, 'i');
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
 
-        signalLevels.forEach(level => {
-            if (level >= -50) distribution.excellent.count++;
-            else if (level >= -70) distribution.good.count++;
-            else if (level >= -85) distribution.fair.count++;
-            else distribution.poor.count++;
-        });
+        const hex = this.normalizeHex(value);
+        if (/[^0-9a-f:.\-\s]/i.test(value)) return 'A BSSID only contains hex digits and separators';
+        if (kind === 'bssid' && hex.length !== 12) return 'A BSSID has 6 bytes, e.g. 00:11:22:33:44:55';
+        if (kind === 'prefix' && (hex.length < 2 || hex.length > 11)) return 'A prefix has 1 to 11 hex digits, e.g. 00:11:22';
+        return null;
+    }
 
-        return distribution;
+    addWatchlistEntry() {
+        const kind = document.getElementById('watchKind')?.value || 'bssid';
+        const valueInput = document.getElementById('watchValue');
+        const labelInput = document.getElementById('watchLabel');
+        const errorBox = document.getElementById('watchError');
+        const value = valueInput?.value.trim() || '';
+        const entries = this.getWatchlist();
+
+        const error = !value ? 'Enter a BSSID, prefix or SSID pattern'
+            : entries.length >= CONFIG.WATCHLIST.MAX_ENTRIES ? `The watchlist holds up to ${CONFIG.WATCHLIST.MAX_ENTRIES} entries`
+            : this.validateWatchEntry(kind, value);
+        if (errorBox) errorBox.textContent = error || '';
+        if (error) return;
+
+        entries.push({ id: Date.now().toString(36), kind, value, label: labelInput?.value.trim() || '' });
+        valueInput.value = '';
+        if (labelInput) labelInput.value = '';
+        this.storeWatchlist(entries);
     }
 
-    determineOverallSignalQuality(distribution) {
-        const total = Object.values(distribution).reduce((sum, cat) => sum + cat.count, 0);
-        if (total === 0) return 'Unknown';
+    removeWatchlistEntry(id) {
+        this.storeWatchlist(this.getWatchlist().filter(entry => entry.id !== id));
+    }
 
-        const excellentPercent = (distribution.excellent.count / total) * 100;
-        const goodPercent = (distribution.good.count / total) * 100;
+    clearWatchlist() {
+        if (!confirm('Remove every watchlist entry?')) return;
+        this.storeWatchlist([]);
+    }
 
-        if (excellentPercent > 30) return 'Excellent';
-        if (excellentPercent + goodPercent > 60) return 'Good';
-        if (distribution.poor.count / total < 0.5) return 'Fair';
-        return 'Poor';
+    describeWatchEntry(entry) {
+        return entry.label ? `${entry.label} (${entry.value})` : `${CONFIG.WATCHLIST.KINDS[entry.kind]} ${entry.value}`;
     }
 
-    estimateCoverageArea() {
-        if (this.data.networks.length < 10) return 'small area';
-        
-        let minLat = Infinity, maxLat = -Infinity;
-        let minLon = Infinity, maxLon = -Infinity;
-        
-        this.data.networks.forEach(n => {
-            minLat = Math.min(minLat, n.lat);
-            maxLat = Math.max(maxLat, n.lat);
-            minLon = Math.min(minLon, n.lon);
-            maxLon = Math.max(maxLon, n.lon);
+    // Exact BSSIDs are looked up by their bare hex; prefixes and SSID patterns are tested in entry order
+    compileWatchlist(entries) {
+        const exact = new Map();
+        const patterns = [];
+        entries.forEach((entry, index) => {
+            if (entry.kind === 'ssid') {
+                const pattern = new RegExp(entry.value, 'i');
+                patterns.push({ index, entry, test: network => !!network.ssid && pattern.test(network.ssid) });
+                return;
+            }
+            const hex = this.normalizeHex(entry.value);
+            if (entry.kind === 'prefix') {
+                patterns.push({ index, entry, test: (network, bssidHex) => bssidHex.startsWith(hex) });
+            } else if (!exact.has(hex)) {
+                exact.set(hex, { index, entry });
+            }
         });
-        
-        const latRange = maxLat - minLat;
-        const lonRange = maxLon - minLon;
-        
-        // Rough area estimation
-        const area = latRange * lonRange * 111 * 111; // Convert to km²
-        
-        if (area < 1) return 'neighborhood';
-        if (area < 10) return 'district';
-        if (area < 100) return 'city area';
-        return 'large region';
+        return { exact, patterns };
     }
 
-    generateFindings(networks, uniqueSSIDs, hiddenNetworks, signalDistribution) {
-        const findings = [];
+    // The first entry (in watchlist order) the network matches, or null
+    matchWatchlist({ exact, patterns }, network, bssidHex) {
+        const exactMatch = exact.get(bssidHex);
+        const match = patterns.find(pattern =>
+            (!exactMatch || pattern.index < exactMatch.index) && pattern.test(network, bssidHex));
+        return (match || exactMatch)?.entry || null;
+    }
 
-        // Hidden networks
-        if (hiddenNetworks > 0) {
-            const percentage = Math.round((hiddenNetworks / networks.length) * 100);
-            findings.push({
-                icon: '🕵️',
-                text: `${hiddenNetworks} hidden networks found (${percentage}%) - potentially security-conscious users`
-            });
-        }
+    // Marks every network with the first entry it matches, then builds the hit report from the location table
+    async checkWatchlist() {
+        const watchlist = this.compileWatchlist(this.getWatchlist());
+        const hits = [];
+        this.data.networks.forEach(network => {
+            // Cell identifiers are not MAC addresses, but their digits would still match hex prefixes
+            network.watch = CONFIG.VENDORS.TYPES.includes(network.type)
+                ? this.matchWatchlist(watchlist, network, this.normalizeHex(network.bssid))
+                : null;
+            if (network.watch) hits.push(network);
+        });
 
-        // SSID diversity
-        const diversityRatio = uniqueSSIDs / networks.length;
-        if (diversityRatio < 0.3) {
-            findings.push({
-                icon: '🏢',
-                text: `Low SSID diversity suggests corporate/institutional environment with many APs`
-            });
+        this.watchReport = [];
+        if (hits.length > 0) {
+            try {
+                this.watchReport = await this.loadWatchlistReport(hits);
+            } catch (error) {
+                console.error('Error loading watchlist observations:', error);
+            }
         }
+        this.updateWatchlistPanel();
+    }
 
-        // Signal quality insights
-        const poorSignalPercent = (signalDistribution.poor.count / networks.length) * 100;
-        if (poorSignalPercent > 40) {
-            findings.push({
-                icon: '📶',
-                text: `${Math.round(poorSignalPercent)}% networks have poor signal - consider moving closer or better antennas`
+    async loadWatchlistReport(hits) {
+        const { VISIT_GAP } = CONFIG.WATCHLIST;
+        const reports = new Map(hits.map(network => [network.bssid, {
+            network, count: 0, firstSeen: null, lastSeen: null, strongest: null, visits: []
+        }]));
+
+        await this.streamObservationsFor(hits.map(n => n.bssid), rows => {
+            rows.forEach(([bssid, time, lat, lon, level]) => {
+                const report = reports.get(bssid);
+                const observation = { time, lat, lon, level };
+                report.count++;
+                if (time > 0) {
+                    report.firstSeen = report.firstSeen ?? time;
+                    report.lastSeen = time;
+                }
+                if (!report.strongest || level > report.strongest.level) report.strongest = observation;
+
+                // Visits: runs of observations without a long pause, placed at their strongest one
+                const visit = report.visits[report.visits.length - 1];
+                if (visit && time - visit.end <= VISIT_GAP) {
+                    visit.end = time;
+                    visit.count++;
+                    if (level > visit.strongest.level) visit.strongest = observation;
+                } else {
+                    report.visits.push({ start: time, end: time, count: 1, strongest: observation });
+                }
             });
+        });
+
+        return [...reports.values()].sort((a, b) => (b.lastSeen || b.network.lasttime) - (a.lastSeen || a.network.lasttime));
+    }
+
+    updateWatchlistPanel() {
+        const container = document.getElementById('watchlistEntries');
+        if (container) {
+            const entries = this.getWatchlist();
+            container.innerHTML = `
+                ${entries.map(entry => `
+                    <div class="stats-item area-item">
+                        <span title="${CONFIG.WATCHLIST.KINDS[entry.kind]}">${this.escapeHtml(this.describeWatchEntry(entry))}</span>
+                        <span class="sort-chip" onclick="app.removeWatchlistEntry('${entry.id}')">Remove</span>
+                    </div>
+                `).join('')}
+                ${entries.length ? '<button onclick="app.clearWatchlist()">Clear Watchlist</button>' : ''}
+            `;
         }
 
-        // Open networks warning
-        const openNetworks = networks.filter(n => this.parseSecurityInfo(n.capabilities) === 'Open').length;
-        if (openNetworks > 10) {
-            findings.push({
-                icon: '⚠️',
-                text: `${openNetworks} open networks detected - potential security risks in area`
-            });
+        const report = document.getElementById('watchlistReport');
+        if (!report) return;
+        if (this.data.networks.length === 0) {
+            report.innerHTML = '';
+            return;
         }
 
-        // Strong signal networks
-        const strongNetworks = networks.filter(n => n.level && n.level > -50);
-        if (strongNetworks.length > 0) {
-            findings.push({
-                icon: '🎯',
-                text: `${strongNetworks.length} networks with excellent signal strength found`,
-                action: `app.showStrongNetworks()`
-            });
+        const { MAX_REPORT, MAX_VISITS, MARKER_COLOR } = CONFIG.WATCHLIST;
+        const formatTime = time => time ? new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '?';
+        const formatPlace = ({ lat, lon }) => `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+        const hits = this.watchReport;
+
+        report.innerHTML = `
+            <h4 style="color: #81C784; margin: 10px 0;">Hits in this file: ${hits.length}</h4>
+            ${hits.slice(0, MAX_REPORT).map(({ network, count, firstSeen, lastSeen, strongest, visits }) => `
+                <div class="sighting-item" style="border-left-color: ${MARKER_COLOR}" onclick="app.focusOnNetwork('${network.bssid}')">
+                    <div class="sighting-main">
+                        <span class="sighting-ssid">${this.escapeHtml(network.ssid || network.bssid)}</span>
+                        <span class="sighting-count">${count} sightings</span>
+                    </div>
+                    <div class="sighting-details">
+                        ${network.bssid} • ${this.escapeHtml(this.describeWatchEntry(network.watch))}<br>
+                        ${count ? `${formatTime(firstSeen)} – ${formatTime(lastSeen)}<br>
+                        Strongest ${strongest.level} dBm at ${formatPlace(strongest)} (${formatTime(strongest.time)})
+                        ${visits.slice(-MAX_VISITS).reverse().map(visit => `
+                            <br>• ${formatTime(visit.start)}${visit.end > visit.start ? `, ${this.formatDuration(visit.end - visit.start)}` : ''} near ${formatPlace(visit.strongest)}
+                        `).join('')}
+                        ${visits.length > MAX_VISITS ? `<br>and ${visits.length - MAX_VISITS} earlier visits` : ''}`
+                        : `Last seen ${formatTime(network.lasttime)} at ${formatPlace(network)}, ${network.level} dBm`}
+                    </div>
+                </div>
+            `).join('')}
+            ${hits.length > MAX_REPORT ? `<div class="sightings-note">and ${hits.length - MAX_REPORT} more, highlighted on the map</div>` : ''}
+        `;
+    }
+
+    // =================
+    // FOLLOWING DEVICES
+    // =================
+
+    // Bluetooth, BLE and Wi-Fi devices seen at several places far apart over a long time span. Candidates are
+    // preselected by the spread of their sightings, then measured from their own location rows.
+    async detectFollowingDevices() {
+        const { TYPES, MIN_SPREAD, MIN_SPAN, MIN_PLACES, MAX_CANDIDATES } = CONFIG.TRACKERS;
+        const networks = this.data.networks;
+
+        // Devices without a last position are not among the loaded networks, but can still have followed along
+        let unplaced = [];
+        try {
+            unplaced = await this.loadUnplacedDevices(TYPES);
+        } catch (error) {
+            console.error('Error loading devices without a position:', error);
         }
 
-        // Frequency congestion
-        const freq24Count = networks.filter(n => this.getFrequencyBand(n.frequency) === '2.4 GHz').length;
-        if (freq24Count > networks.length * 0.7) {
-            findings.push({
-                icon: '🚦',
-                text: `High 2.4GHz congestion detected - 5GHz networks recommended for better performance`
-            });
+        const candidates = [...networks, ...unplaced]
+            .filter(n => TYPES.includes(n.type) && n.sightings &&
+                n.sightings.spread >= MIN_SPREAD && n.sightings.lastSeen - n.sightings.firstSeen >= MIN_SPAN)
+            .sort((a, b) => b.sightings.spread - a.sightings.spread)
+            .slice(0, MAX_CANDIDATES);
+
+        const observations = new Map(candidates.map(network => [network.bssid, []]));
+        if (candidates.length > 0) {
+            try {
+                await this.streamObservationsFor([...observations.keys()], rows => {
+                    rows.forEach(([bssid, time, lat, lon, level]) => {
+                        observations.get(bssid).push({ time, lat, lon, level });
+                    });
+                });
+            } catch (error) {
+                console.error('Error loading tracker observations:', error);
+            }
         }
+        // Another file was opened meanwhile
+        if (networks !== this.data.networks) return;
+
+        this.trackers = candidates
+            .map(network => this.measureTravel(network, observations.get(network.bssid)))
+            .filter(travel => travel.places.length >= MIN_PLACES && travel.span >= MIN_SPAN)
+            .sort((a, b) => b.places.length - a.places.length || b.distance - a.distance);
+        this.updateTrackerSection();
+    }
 
-        return findings.slice(0, 5); // Limit to 5 most interesting findings
+    // Network rows without lastlat/lastlon, with sightings computed from their location rows
+    async loadUnplacedDevices(types) {
+        const devices = [];
+        await this.streamQuery(`
+            SELECT n.type, n.ssid, n.bssid, COUNT(*), MIN(NULLIF(l.time, 0)), MAX(NULLIF(l.time, 0)),
+                   COUNT(DISTINCT NULLIF(l.time, 0) / 86400000), MAX(l.level), MIN(l.lat), MAX(l.lat), MIN(l.lon), MAX(l.lon)
+            FROM location l JOIN network n ON l.bssid = n.bssid
+            WHERE (n.lastlat = 0 OR n.lastlon = 0) AND n.type IN (${types.map(() => '?').join(',')})
+              AND l.lat != 0 AND l.lon != 0
+            GROUP BY n.bssid
+        `, rows => {
+            rows.forEach(([type, ssid, bssid, ...values]) => {
+                const vendor = this.lookupVendor(bssid);
+                devices.push({
+                    type, ssid: ssid || 'Hidden Network', bssid,
+                    vendor, macKind: this.classifyMacAddress(bssid, type, vendor),
+                    sightings: this.computeSightings(values)
+                });
+            });
+        }, types);
+        return devices;
     }
 
-    generateTimeInsight() {
-        if (this.data.timeRange.min === 0) return null;
-        
-        const duration = (this.data.timeRange.max - this.data.timeRange.min) / (1000 * 60 * 60 * 24);
-        const networksPerDay = (this.data.networks.length / duration).toFixed(1);
-        
-        if (duration < 1) return `Discovered ${this.data.networks.length} networks in one session`;
-        if (duration < 7) return `${networksPerDay} networks/day over ${Math.round(duration)} days of scanning`;
-        return `Long-term data: ${Math.round(duration)} days, ${networksPerDay} networks/day average`;
+    // A place is an observation farther than PLACE_RADIUS from every earlier place. Places are bucketed on a
+    // grid at least PLACE_RADIUS wide, so only the neighbouring cells need checking.
+    measureTravel(network, observations) {
+        const { PLACE_RADIUS } = CONFIG.TRACKERS;
+        const { MIN_POINT_DISTANCE } = CONFIG.ROUTES;
+        const metersPerDegree = CONFIG.ESTIMATION.METERS_PER_DEGREE;
+        const maxLat = observations.reduce((max, o) => Math.max(max, Math.abs(o.lat)), 0);
+        const cellLat = PLACE_RADIUS / metersPerDegree;
+        const cellLon = PLACE_RADIUS / (metersPerDegree * Math.max(0.01, Math.cos(maxLat * Math.PI / 180)));
+        const grid = new Map();
+        const places = [];
+        let distance = 0;
+        let previous = null;
+        let firstSeen = null, lastSeen = null;
+
+        observations.forEach(observation => {
+            const { lat, lon, time } = observation;
+            if (time > 0) {
+                firstSeen = firstSeen ?? time;
+                lastSeen = time;
+            }
+
+            // Ignore GPS jitter while standing still
+            const step = previous ? this.distanceMeters(previous.lat, previous.lon, lat, lon) : 0;
+            if (!previous || step >= MIN_POINT_DISTANCE) {
+                distance += step;
+                previous = observation;
+            }
+
+            const row = Math.floor(lat / cellLat);
+            const column = Math.floor(lon / cellLon);
+            let known = false;
+            for (let dRow = -1; dRow <= 1 && !known; dRow++) {
+                for (let dColumn = -1; dColumn <= 1 && !known; dColumn++) {
+                    known = (grid.get(`${row + dRow}:${column + dColumn}`) || [])
+                        .some(place => this.distanceMeters(place.lat, place.lon, lat, lon) <= PLACE_RADIUS);
+                }
+            }
+            if (!known) {
+                places.push(observation);
+                const key = `${row}:${column}`;
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(observation);
+            }
+        });
+
+        return {
+            network, places, firstSeen, lastSeen,
+            distance: Math.round(distance),
+            span: firstSeen ? lastSeen - firstSeen : 0,
+            count: observations.length
+        };
     }
 
-    updateTopNetworksDisplay(analysis) {
-        // Analyze common network patterns for more detailed insights
-        const commonNetworks = this.analyzeCommonNetworks();
-        
-        const categoriesHtml = `
-            <div class="network-category">
-                <h5>🏢 Common Network Patterns</h5>
-                <div class="pattern-note">Frequently encountered network types in your area</div>
-                ${commonNetworks.map(pattern => `
-                    <div class="pattern-item">
-                        <div class="pattern-header">
-                            <span class="pattern-name">${pattern.name}</span>
-                            <span class="pattern-count">${pattern.count} networks</span>
-                        </div>
-                        <div class="pattern-description">${pattern.description}</div>
-                        ${pattern.examples.length > 0 ? `
-                            <div class="pattern-examples">
-                                <strong>Examples:</strong> ${pattern.examples.slice(0, 3).map(ex => this.escapeHtml(ex)).join(', ')}
-                                ${pattern.examples.length > 3 ? ` and ${pattern.examples.length - 3} more` : ''}
-                            </div>
-                        ` : ''}
+    createTrackerHtml() {
+        const { MAX_SUSPECTS, PATH_COLOR, MIN_PLACES, PLACE_RADIUS } = CONFIG.TRACKERS;
+        const header = `
+            <h4>🕵️ Following Devices</h4>
+            <div class="sightings-note">Bluetooth, BLE and Wi-Fi devices seen at ${MIN_PLACES}+ places more than ${this.formatDistance(PLACE_RADIUS)} apart - your own phone, car and hotspot show up here too</div>
+        `;
+        if (!this.trackers) return header + '<div class="sightings-note">Analyzing observations...</div>';
+        if (this.trackers.length === 0) return header + '<div class="sightings-note">No device moved along with you</div>';
+
+        const formatDate = time => time ? new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '?';
+        return header + `
+            ${this.trackers.slice(0, MAX_SUSPECTS).map(({ network, places, distance, span, count, firstSeen, lastSeen }) => `
+                <div class="sighting-item ${network.bssid === this.selectedTracker ? 'active' : ''}" style="border-left-color: ${PATH_COLOR}" onclick="app.showTrackerPath('${network.bssid}')">
+                    <div class="sighting-main">
+                        <span class="sighting-ssid">${this.escapeHtml(network.ssid || network.vendor || network.bssid)}</span>
+                        <span class="sighting-count">${places.length} places</span>
                     </div>
-                `).join('')}
-            </div>
+                    <div class="sighting-details">
+                        ${CONFIG.NETWORK_TYPES[network.type]?.name} • ${network.bssid}${network.vendor && network.ssid ? ` • ${this.escapeHtml(network.vendor)}` : ''}<br>
+                        ${this.formatDistance(distance)} over ${this.formatDuration(span)} • ${count} sightings<br>
+                        ${formatDate(firstSeen)} – ${formatDate(lastSeen)}
+                    </div>
+                </div>
+            `).join('')}
+            ${this.trackers.length > MAX_SUSPECTS ? `<div class="sightings-note">and ${this.trackers.length - MAX_SUSPECTS} more devices</div>` : ''}
+            ${this.selectedTracker ? '<button onclick="app.clearTrackerPath()">Hide Path</button>' : ''}
         `;
+    }
 
-        document.getElementById('topNetworks').innerHTML = categoriesHtml || 'No network pattern data available';
+    updateTrackerSection() {
+        const section = document.getElementById('trackerSection');
+        if (section) section.innerHTML = this.createTrackerHtml();
     }
 
-    analyzeCommonNetworks() {
-        const wifiNetworks = this.data.networks.filter(n => n.type === 'W' && n.ssid && n.ssid !== '' && n.ssid !== 'Hidden Network');
-        const patterns = [];
+    // Draws every observation of the device in order, with a marker at each distinct place
+    async showTrackerPath(bssid) {
+        const travel = this.trackers?.find(t => t.network.bssid === bssid);
+        if (!travel || !this.hasDatabase()) return;
 
-        // FRITZ!Box analysis
-        const fritzNetworks = wifiNetworks.filter(n => n.ssid.includes('FRITZ!Box'));
-        if (fritzNetworks.length > 0) {
-            patterns.push({
-                name: 'FRITZ!Box Routers',
-                count: fritzNetworks.length,
-                description: 'Popular German home routers by AVM. Commonly found in residential areas across Germany and Europe.',
-                examples: [...new Set(fritzNetworks.map(n => n.ssid))].slice(0, 5)
-            });
+        this.clearTrackerPath();
+        this.selectedTracker = bssid;
+        const requestId = this.trackerRequestId;
+        let observations;
+        try {
+            observations = await this.loadObservations(bssid);
+        } catch (error) {
+            console.error('Error loading tracker path:', error);
+            return;
         }
+        if (requestId !== this.trackerRequestId || observations.length === 0) return;
+
+        const { PATH_COLOR } = CONFIG.TRACKERS;
+        const pathLayer = L.layerGroup();
+        const path = L.polyline(observations.map(o => [o.lat, o.lon]), {
+            color: PATH_COLOR, weight: 3, opacity: 0.8
+        }).bindTooltip(`${this.escapeHtml(travel.network.ssid || travel.network.bssid)}: ${this.formatDistance(travel.distance)}`)
+          .addTo(pathLayer);
+
+        travel.places.forEach((place, index) => {
+            L.circleMarker([place.lat, place.lon], {
+                radius: 6,
+                fillColor: PATH_COLOR,
+                color: '#ffffff',
+                weight: 2,
+                fillOpacity: 0.9
+            }).bindTooltip(`Place ${index + 1}: ${place.level} dBm${place.time ? '\n' + new Date(place.time).toLocaleString() : ''}`)
+              .addTo(pathLayer);
+        });
 
-        // Vodafone networks
-        const vodafoneNetworks = wifiNetworks.filter(n => n.ssid.toLowerCase().includes('vodafone'));
-        if (vodafoneNetworks.length > 0) {
-            patterns.push({
-                name: 'Vodafone Networks',
-                count: vodafoneNetworks.length,
-                description: 'Vodafone ISP infrastructure including home routers and public hotspots. Major European telecom provider.',
-                examples: [...new Set(vodafoneNetworks.map(n => n.ssid))].slice(0, 5)
-            });
-        }
+        this.layers.trackerLayer = pathLayer.addTo(this.map);
+        this.map.fitBounds(path.getBounds(), { padding: [30, 30] });
+        this.updateTrackerSection();
+    }
 
-        // Educational networks
-        const eduNetworks = wifiNetworks.filter(n => 
-            n.ssid.toLowerCase().includes('eduroam') || 
-            n.ssid.toLowerCase().includes('campus') || 
-            n.ssid.toLowerCase().includes('university') ||
-            n.ssid.toLowerCase().includes('up-') // University of Potsdam pattern
-        );
-        if (eduNetworks.length > 0) {
-            patterns.push({
-                name: 'Educational Networks',
-                count: eduNetworks.length,
-                description: 'University and educational institution networks. Eduroam provides international academic access.',
-                examples: [...new Set(eduNetworks.map(n => n.ssid))].slice(0, 5)
-            });
+    clearTrackerPath() {
+        this.trackerRequestId++; // Drops any path still loading
+        if (this.layers.trackerLayer) {
+            this.map.removeLayer(this.layers.trackerLayer);
+            this.layers.trackerLayer = null;
         }
-
-        // Public/Guest networks
-        const guestNetworks = wifiNetworks.filter(n => 
-            n.ssid.toLowerCase().includes('guest') || 
-            n.ssid.toLowerCase().includes('public') ||
-            n.ssid.toLowerCase().includes('free') ||
-            n.ssid.toLowerCase().includes('hotspot')
-        );
-        if (guestNetworks.length > 0) {
-            patterns.push({
-                name: 'Guest & Public Networks',
-                count: guestNetworks.length,
-                description: 'Open or guest access networks for visitors. Often found in businesses, hotels, and public spaces.',
-                examples: [...new Set(guestNetworks.map(n => n.ssid))].slice(0, 5)
-            });
+        if (this.selectedTracker) {
+            this.selectedTracker = null;
+            this.updateTrackerSection();
         }
+    }
 
-        // Business/Corporate patterns
-        const businessNetworks = wifiNetworks.filter(n => 
-            n.ssid.toLowerCase().includes('office') || 
-            n.ssid.toLowerCase().includes('corp') ||
-            n.ssid.toLowerCase().includes('company') ||
-            n.ssid.toLowerCase().includes('store') ||
-            /^[A-Z]{2,}-[A-Z0-9]+$/.test(n.ssid) // Corporate naming pattern
-        );
-        if (businessNetworks.length > 0) {
-            patterns.push({
-                name: 'Business Networks',
-                count: businessNetworks.length,
-                description: 'Corporate and business networks with structured naming conventions.',
-                examples: [...new Set(businessNetworks.map(n => n.ssid))].slice(0, 5)
-            });
-        }
+    // =================
+    // CHANNEL ANALYSIS
+    // =================
 
-        // Carrier networks (LTE/Mobile)
-        const carrierNetworks = wifiNetworks.filter(n => 
-            n.ssid.toLowerCase().includes('telekom') || 
-            n.ssid.toLowerCase().includes('o2') ||
-            n.ssid.toLowerCase().includes('lte') ||
-            n.ssid.toLowerCase().includes('4g') ||
-            n.ssid.toLowerCase().includes('5g')
-        );
-        if (carrierNetworks.length > 0) {
-            patterns.push({
-                name: 'Carrier Networks',
-                count: carrierNetworks.length,
-                description: 'Mobile carrier infrastructure and LTE/5G networks providing cellular data services.',
-                examples: [...new Set(carrierNetworks.map(n => n.ssid))].slice(0, 5)
-            });
+    // Wi-Fi networks for the channel section: everything, the visible map area, or the drawn area
+    getChannelScopeNetworks() {
+        const wifi = this.data.networks.filter(n => n.type === 'W' && n.frequency);
+        if (this.channelScope === 'view') {
+            const bounds = this.map.getBounds();
+            return wifi.filter(n => bounds.contains([n.lat, n.lon]));
         }
-
-        // Generic/Default router names
-        const defaultNetworks = wifiNetworks.filter(n => 
-            /^WiFi-[A-F0-9]+$/i.test(n.ssid) ||
-            /^Network-[0-9]+$/i.test(n.ssid) ||
-            /^Router[0-9]*$/i.test(n.ssid) ||
-            n.ssid.toLowerCase() === 'wifi' ||
-            n.ssid.toLowerCase() === 'internet'
-        );
-        if (defaultNetworks.length > 0) {
-            patterns.push({
-                name: 'Default Router Names',
-                count: defaultNetworks.length,
-                description: 'Networks using default or generic router names, often indicating basic home setups.',
-                examples: [...new Set(defaultNetworks.map(n => n.ssid))].slice(0, 5)
-            });
+        if (this.channelScope === 'area' && this.area) {
+            return wifi.filter(n => this.isInArea(n.lat, n.lon));
         }
+        return wifi;
+    }
 
-        return patterns.sort((a, b) => b.count - a.count).slice(0, 6); // Top 6 patterns
+    analyzeChannels(networks) {
+        const bands = {};
+
+        networks.forEach(network => {
+            const band = this.getFrequencyBand(network.frequency);
+            const config = CONFIG.CHANNELS.BANDS[band];
+            const channel = this.frequencyToChannel(network.frequency);
+            if (!config || !channel) return;
+
+            if (!bands[band]) {
+                bands[band] = { band, total: 0, channels: new Map(config.channels.map(c => [c, { channel: c, count: 0, score: 0 }])) };
+            }
+            const stats = bands[band];
+            if (!stats.channels.has(channel)) stats.channels.set(channel, { channel, count: 0, score: 0 });
+
+            stats.total++;
+            stats.channels.get(channel).count++;
+
+            // Congestion: stronger networks weigh more, and on 2.4 GHz a network also loads the
+            // neighbouring channels its 22 MHz signal overlaps, fading with distance
+            const weight = Math.max(0.1, Math.min(1, (network.level + 100) / 70));
+            for (let offset = -config.overlap; offset <= config.overlap; offset++) {
+                const neighbour = stats.channels.get(channel + offset);
+                if (neighbour) neighbour.score += weight * (1 - Math.abs(offset) / (config.overlap + 1));
+            }
+        });
+
+        return Object.values(bands).map(stats => {
+            const config = CONFIG.CHANNELS.BANDS[stats.band];
+            const channels = [...stats.channels.values()].sort((a, b) => a.channel - b.channel);
+            const recommended = (config.recommend || config.channels)
+                .map(channel => stats.channels.get(channel) || { channel, count: 0, score: 0 })
+                .sort((a, b) => a.score - b.score || a.count - b.count)
+                .slice(0, CONFIG.CHANNELS.RECOMMENDATIONS);
+
+            return {
+                band: stats.band,
+                total: stats.total,
+                channels,
+                recommended,
+                maxCount: Math.max(...channels.map(c => c.count)),
+                maxScore: Math.max(...channels.map(c => c.score))
+            };
+        });
     }
 
-    // Helper functions for analysis styling
-    getSecurityColor(type) {
-        const colors = {
-            'WPA3': 'security-excellent',
-            'WPA2': 'security-good', 
-            'WPA': 'security-fair',
-            'WEP': 'security-poor',
-            'Open': 'security-danger'
-        };
-        return colors[type] || 'security-unknown';
+    createChannelHtml() {
+        const networks = this.getChannelScopeNetworks();
+        const bands = this.analyzeChannels(networks);
+        const scopes = { all: 'All data', view: 'Visible area', ...(this.area ? { area: 'Drawn area' } : {}) };
+        const describeChannel = c => `${c.channel}${CONFIG.CHANNELS.DFS.includes(c.channel) ? ' (DFS)' : ''}`;
+
+        return `
+            <h4>📶 Wi-Fi Channel Usage</h4>
+            <div class="sort-chips">
+                ${Object.entries(scopes).map(([scope, label]) => `
+                    <span class="sort-chip ${scope === this.channelScope ? 'active' : ''}" onclick="app.setChannelScope('${scope}')">${label}</span>
+                `).join('')}
+            </div>
+            ${bands.length === 0 ? '<div class="sightings-note">No Wi-Fi networks with a known frequency in this area</div>' : ''}
+            ${bands.map(band => `
+                <div class="bar-item">
+                    <div class="bar-label">
+                        <span>${band.band}</span>
+                        <span><strong>${band.total}</strong> networks</span>
+                    </div>
+                    <div class="channel-histogram">
+                        ${band.channels.map(c => `
+                            <div class="channel-column" title="Channel ${c.channel}: ${c.count} networks, congestion ${c.score.toFixed(1)}">
+                                <div class="channel-bar" style="height: ${band.maxCount ? c.count / band.maxCount * 100 : 0}%; background: hsl(${band.maxScore ? 120 * (1 - c.score / band.maxScore) : 120}, 70%, 50%)"></div>
+                                <span>${c.channel}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="bar-insight">${this.getFrequencyInsight(band.band)}</div>
+                    <div class="bar-insight">Least congested: ${band.recommended.map(c => `<strong>${describeChannel(c)}</strong> (${c.score.toFixed(1)})`).join(', ')}</div>
+                </div>
+            `).join('')}
+        `;
     }
 
-    getSecurityInsight(type, data) {
-        const insights = {
-            'WPA3': 'Latest security standard - excellent protection',
-            'WPA2': 'Strong security - widely compatible',
-            'WPA': 'Older standard - consider upgrading',
-            'WEP': 'Deprecated - easily crackable',
-            'Open': 'No encryption - avoid for sensitive data'
-        };
-        return insights[type] || 'Unknown security type';
+    setChannelScope(scope) {
+        this.channelScope = scope;
+        this.updateChannelSection();
     }
 
-    getFrequencyInsight(band, data) {
-        const insights = {
-            '2.4 GHz': 'Longer range but slower speeds, often congested',
-            '5 GHz': 'Faster speeds with less congestion',
-            '6 GHz': 'Latest Wi-Fi 6E standard - highest performance',
-            'Other': 'Non-Wi-Fi frequencies (cellular, etc.)'
-        };
-        return insights[band] || 'Unknown frequency band';
+    updateChannelSection() {
+        const section = document.getElementById('channelSection');
+        if (section && this.data.networks.length > 0) section.innerHTML = this.createChannelHtml();
     }
 
-    // Helper functions for new analysis
-    getTypeInsight(type, data) {
-        const insights = {
-            'W': 'Wi-Fi access points and routers',
-            'B': 'Bluetooth Classic devices (older standard)',
-            'E': 'Bluetooth Low Energy devices (modern)',
-            'G': 'GSM/UMTS cellular towers',
-            'L': 'LTE/5G cellular infrastructure',
-            'C': 'CDMA cellular networks'
-        };
-        return insights[type] || 'Unknown network type';
+    // =================
+    // TIMELINE FEATURES
+    // =================
+
+    // Clamp a new window to the data, sync every control showing it and redraw the timeline heatmap
+    setTimeWindow(start, end) {
+        const { min, max } = this.data.timeRange;
+        start = Math.max(min, Math.min(start, max));
+        end = Math.max(start, Math.min(end, max));
+        this.timeWindow = { start, end };
+
+        this.syncTimeControls();
+        this.updateTimeFilter();
+        this.schedulePermalinkUpdate();
     }
 
-    // Feature: Show open networks on map
-    showOpenNetworks() {
-        this.switchView('markers');
-        // Uncheck all security except open
-        document.getElementById('secOpen').checked = true;
-        document.getElementById('secWEP').checked = false;
-        document.getElementById('secWPA').checked = false;
-        document.getElementById('secWPA3').checked = false;
-        document.getElementById('secHidden').checked = false;
-        this.showNetworkMarkers();
+    syncTimeControls() {
+        const { min, max } = this.data.timeRange;
+        const { start, end } = this.timeWindow;
+        const span = max - min || 1;
+        const formatTime = time => new Date(time).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+        document.getElementById('timeStartSlider').value = Math.round((start - min) / span * 1000);
+        document.getElementById('timeEndSlider').value = Math.round((end - min) / span * 1000);
+        document.getElementById('timeStart').textContent = formatTime(start);
+        document.getElementById('timeEnd').textContent = formatTime(end);
+        document.getElementById('timeCurrent').textContent = this.formatDuration(end - start);
+        document.getElementById('timeStartDate').value = this.toDateInputValue(start);
+        document.getElementById('timeEndDate').value = this.toDateInputValue(end);
+
+        // Brush over the histogram plus highlighted bars inside the window
+        const histogram = this.data.timeHistogram;
+        if (!histogram) return;
+        const { from, to } = this.getHistogramRange();
+        const brush = document.getElementById('timeBrush');
+        if (brush) {
+            brush.style.left = `${(start - from) / (to - from) * 100}%`;
+            brush.style.width = `${Math.max(0.5, (end - start) / (to - from) * 100)}%`;
+        }
+        document.querySelectorAll('#timeHistogram .time-bar').forEach((bar, i) => {
+            const slotStart = from + i * histogram.bucket;
+            bar.classList.toggle('in-window', slotStart + histogram.bucket > start && slotStart <= end);
+        });
     }
 
-    // Feature: Show strong networks on map
-    showStrongNetworks() {
-        this.switchView('markers');
-        // Set filters to show only strong networks
-        document.getElementById('signalFilter').value = -50;
-        document.getElementById('signalValue').textContent = '-50 dBm';
-        this.showNetworkMarkers();
+    updateTimeFilter() {
+        if (!this.timeWindow) return;
+        const { start, end } = this.timeWindow;
+
+        // A network counts as seen in the window when its sighting period overlaps it
+        const filteredNetworks = this.data.networks.filter(n => {
+            const firstSeen = n.sightings?.firstSeen || n.lasttime;
+            const lastSeen = n.sightings?.lastSeen || n.lasttime;
+            return firstSeen <= end && lastSeen >= start;
+        });
+        const filteredLocations = this.data.locations.filter(l => l.time >= start && l.time <= end);
+
+        this.renderTimelineHeatmap(filteredNetworks, filteredLocations);
     }
 
-    updateTimeline() {
-        if (this.data.timeRange.min === 0) {
-            document.getElementById('timelineInfo').innerHTML = '<div>No timestamp data available</div>';
-            return;
+    // Observations per hour, day or week (local time), counted over the full location table
+    async loadTimeHistogram() {
+        const { min, max } = this.data.timeRange;
+        const buckets = CONFIG.TIMELINE.BUCKETS;
+        const bucket = buckets.find(size => (max - min) / size <= CONFIG.TIMELINE.MAX_BARS) || buckets[buckets.length - 1];
+        const zoneOffset = new Date(min).getTimezoneOffset() * 60000;
+        const firstSlot = Math.floor((min - zoneOffset) / bucket);
+        const counts = new Array(Math.floor((max - zoneOffset) / bucket) - firstSlot + 1).fill(0);
+
+        try {
+            const result = await this.queryDatabase(`
+                SELECT CAST((time - ?) / ? AS INTEGER) AS slot, COUNT(*) FROM location
+                WHERE time >= ? AND time <= ? GROUP BY slot
+            `, [zoneOffset, bucket, min, max]);
+            (result[0]?.values || []).forEach(([slot, count]) => {
+                if (counts[slot - firstSlot] !== undefined) counts[slot - firstSlot] = count;
+            });
+        } catch (error) {
+            // Without the database fall back to the sampled observations
+            console.warn('Counting observations from the sample:', error);
+            this.data.locations.forEach(l => {
+                const index = Math.floor((l.time - zoneOffset) / bucket) - firstSlot;
+                if (counts[index] !== undefined) counts[index]++;
+            });
         }
 
-        const startDate = new Date(this.data.timeRange.min).toLocaleDateString();
-        const endDate = new Date(this.data.timeRange.max).toLocaleDateString();
-        const durationDays = Math.ceil((this.data.timeRange.max - this.data.timeRange.min) / (1000 * 60 * 60 * 24));
+        this.data.timeHistogram = { bucket, zoneOffset, firstSlot, counts };
+        this.renderTimeHistogram();
+    }
 
-        document.getElementById('timelineInfo').innerHTML = `
-            <div class="analysis-item"><span>Date Range:</span><span>${startDate} - ${endDate}</span></div>
-            <div class="analysis-item"><span>Duration:</span><span>${durationDays} days</span></div>
-            <div class="analysis-item"><span>Networks/Day:</span><span>${(this.data.networks.length / durationDays).toFixed(1)}</span></div>
-        `;
+    getHistogramRange() {
+        const { bucket, zoneOffset, firstSlot, counts } = this.data.timeHistogram;
+        const from = firstSlot * bucket + zoneOffset;
+        return { from, to: from + counts.length * bucket };
+    }
 
-        document.getElementById('timeStart').textContent = startDate;
-        document.getElementById('timeEnd').textContent = endDate;
-        document.getElementById('timeCurrent').textContent = endDate;
-        document.getElementById('timeSliderContainer').style.display = 'block';
+    renderTimeHistogram() {
+        const { bucket, counts } = this.data.timeHistogram;
+        const { from } = this.getHistogramRange();
+        const maxCount = Math.max(1, ...counts);
+        const formatSlot = time => bucket < 86400000 ? new Date(time).toLocaleString() : new Date(time).toLocaleDateString();
+
+        document.getElementById('timeHistogram').innerHTML = `
+            ${counts.map((count, i) => `
+                <div class="time-bar" style="height: ${count / maxCount * 100}%" title="${formatSlot(from + i * bucket)}: ${count} observations"></div>
+            `).join('')}
+            <div class="time-brush" id="timeBrush"></div>
+        `;
+        this.syncTimeControls();
     }
 
-    // =================
-    // TIMELINE FEATURES
-    // =================
+    // Drag across the histogram to pick a window, or click a bar to pick its hour/day/week
+    setupTimeBrush() {
+        const histogram = document.getElementById('timeHistogram');
+        if (!histogram) return;
 
-    updateTimeFilter(sliderValue) {
-        const percentage = sliderValue / 100;
-        const timeRange = this.data.timeRange.max - this.data.timeRange.min;
-        const currentTime = this.data.timeRange.min + (timeRange * percentage);
-        
-        document.getElementById('timeCurrent').textContent = new Date(currentTime).toLocaleDateString();
+        const timeAt = (event) => {
+            const rect = histogram.getBoundingClientRect();
+            const { from, to } = this.getHistogramRange();
+            return from + Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width)) * (to - from);
+        };
+        let anchor = null;
+
+        histogram.addEventListener('pointerdown', (e) => {
+            if (!this.data.timeHistogram) return;
+            anchor = timeAt(e);
+            histogram.setPointerCapture(e.pointerId);
+        });
+        histogram.addEventListener('pointermove', (e) => {
+            if (anchor === null) return;
+            const time = timeAt(e);
+            this.setTimeWindow(Math.min(anchor, time), Math.max(anchor, time));
+        });
+        histogram.addEventListener('pointerup', (e) => {
+            if (anchor === null) return;
+            const time = timeAt(e);
+            const { bucket, zoneOffset } = this.data.timeHistogram;
+            if (Math.abs(time - anchor) < bucket / 4) {
+                const slotStart = Math.floor((time - zoneOffset) / bucket) * bucket + zoneOffset;
+                this.setTimeWindow(slotStart, slotStart + bucket - 1);
+            }
+            anchor = null;
+        });
+    }
 
-        const filteredNetworks = this.data.networks.filter(n => n.lasttime <= currentTime);
-        const filteredLocations = this.data.locations.filter(l => l.time <= currentTime);
+    setTimeWindowFromDates() {
+        try {
+            const start = this.parseQueryDate(document.getElementById('timeStartDate').value);
+            const end = this.parseQueryDate(document.getElementById('timeEndDate').value) + 24 * 60 * 60 * 1000 - 1;
+            this.setTimeWindow(start, end);
+        } catch (error) {
+            // Half-typed dates: keep the current window until both are valid
+        }
+    }
 
-        this.renderTimelineHeatmap(filteredNetworks, filteredLocations);
+    toDateInputValue(time) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
     }
 
     renderTimelineHeatmap(networks, locations) {
@@ -1215,11 +5685,13 @@ class WigleExplorer {
         const activeTypes = this.getActiveTypes();
         const allPoints = [];
         
-        networks.filter(n => activeTypes.includes(n.type)).forEach(n => {
+        networks.filter(n => activeTypes.includes(n.type) && this.isInArea(n.lat, n.lon) && this.searchQuery.matches(n) &&
+            this.isInSession(n)).forEach(n => {
             allPoints.push([n.lat, n.lon, 0.8]);
         });
 
-        locations.filter(l => activeTypes.includes(l.type)).forEach(l => {
+        this.filterLocationsBySearch(locations).filter(l => activeTypes.includes(l.type) && this.isInArea(l.lat, l.lon) &&
+            this.isLocationInSession(l)).forEach(l => {
             const intensity = Math.max(0.1, Math.min(1, (l.level + 100) / 70));
             allPoints.push([l.lat, l.lon, intensity]);
         });
@@ -1241,15 +5713,19 @@ class WigleExplorer {
         }
 
         document.getElementById('animateTime').textContent = 'Stop Animation';
-        let currentValue = 0;
-        
+        const speed = parseInt(document.getElementById('animationSpeed')?.value || 200);
+        const step = parseInt(document.getElementById('animationStep')?.value || 86400000);
+        const { min, max } = this.data.timeRange;
+
+        // Slide the current window; a window covering everything starts over as a single step
+        let { start, end } = this.timeWindow;
+        if (start <= min && end >= max) end = min + step;
+        const width = end - start;
+
         this.animationTimer = setInterval(() => {
-            currentValue += 2;
-            if (currentValue > 100) currentValue = 0;
-            
-            document.getElementById('timeSlider').value = currentValue;
-            this.updateTimeFilter(currentValue);
-        }, 200);
+            start = start + step > max ? min : start + step;
+            this.setTimeWindow(start, start + width);
+        }, speed);
     }
 
     // =================
@@ -1285,8 +5761,37 @@ class WigleExplorer {
             this.map.setView([network.lat, network.lon], 16);
             this.switchView('markers');
             document.getElementById('networkSearch').value = bssid;
-            this.showNetworkMarkers();
+            this.updateSearchQuery();
+            return;
         }
+
+        // Networks only present in a comparison scan live on the comparison layers
+        const comparisonNetwork = this.findComparisonNetwork(bssid);
+        if (comparisonNetwork) this.map.setView([comparisonNetwork.lat, comparisonNetwork.lon], 16);
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    }
+
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(units.length - 1, Math.floor(Math.log(Math.max(1, bytes)) / Math.log(1024)));
+        return `${(bytes / 1024 ** exponent).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+    }
+
+    formatDistance(meters) {
+        return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+    }
+
+    // Great-circle distance in meters
+    distanceMeters(lat1, lon1, lat2, lon2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
     }
 
     calculateTimeRange() {
@@ -1317,15 +5822,18 @@ class WigleExplorer {
 
     cancelLoading() {
         this.loadingCancelled = true;
+        // Terminating the worker aborts whatever query it is running
+        this.stopDatabaseWorker(this.loadingTarget, 'Loading cancelled');
         this.showLoading(false);
         document.getElementById('fileInput').value = '';
     }
 
     enableControls() {
-        ['updateMap', 'showMarkers', 'animateTime'].forEach(id => {
+        ['updateMap', 'showMarkers', 'animateTime', 'runSql'].forEach(id => {
             const el = document.getElementById(id);
             if (el) el.disabled = false;
         });
+        document.querySelectorAll('.export-button').forEach(button => button.disabled = false);
     }
 
     // Simple utility functions
@@ -1337,6 +5845,11 @@ class WigleExplorer {
         return div.innerHTML;
     }
 
+    // escapeHtml leaves quotes alone, so attribute values need this one
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     setupSidebarResize() {
         const sidebar = document.getElementById('sidebar');
         const resizeHandle = document.getElementById('resizeHandle');
@@ -1391,8 +5904,8 @@ class WigleExplorer {
 
     getFrequencyBand(frequency) {
         if (frequency >= 2400 && frequency <= 2500) return '2.4 GHz';
-        if (frequency >= 5000 && frequency <= 6000) return '5 GHz';
-        if (frequency >= 6000 && frequency <= 7000) return '6 GHz';
+        if (frequency >= 5000 && frequency < 5925) return '5 GHz';
+        if (frequency >= 5925 && frequency <= 7125) return '6 GHz';
         return 'Other';
     }
 
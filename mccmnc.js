@@ -0,0 +1,3041 @@
+// Mobile network operators by MCC/MNC for offline decoding of cellular records.
+// Each entry is "MCC|MNC|Operator|Country".
+// Generated from mcc-mnc-list 1.1.11 (MIT License, Copyright (c) 2016 Peter Bakondy), brand name preferred.
+const MCC_MNC_TABLE = [
+    "001|001|TEST|",
+    "001|01|TEST|",
+    "202|01|Cosmote|Greece",
+    "202|02|Cosmote|Greece",
+    "202|03|OTE|Greece",
+    "202|04|OSE|Greece",
+    "202|05|Vodafone|Greece",
+    "202|06|Cosmoline|Greece",
+    "202|07|AMD Telecom|Greece",
+    "202|09|NOVA|Greece",
+    "202|10|NOVA|Greece",
+    "202|11|interConnect|Greece",
+    "202|12|Yuboto|Greece",
+    "202|13|Compatel Limited|Greece",
+    "202|14|Cyta Hellas|Greece",
+    "202|15|BWS|Greece",
+    "202|16|Inter Telecom|Greece",
+    "204|00|Intovoice B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|01|RadioAccess Network Services|Netherlands (Kingdom of the Netherlands)",
+    "204|02|Tele2|Netherlands (Kingdom of the Netherlands)",
+    "204|03|Enreach|Netherlands (Kingdom of the Netherlands)",
+    "204|04|Vodafone|Netherlands (Kingdom of the Netherlands)",
+    "204|05|Elephant Talk Communications Premium Rate Services|Netherlands (Kingdom of the Netherlands)",
+    "204|06|Vectone Mobile|Netherlands (Kingdom of the Netherlands)",
+    "204|07|Teleena|Netherlands (Kingdom of the Netherlands)",
+    "204|08|KPN|Netherlands (Kingdom of the Netherlands)",
+    "204|09|Lycamobile|Netherlands (Kingdom of the Netherlands)",
+    "204|10|KPN|Netherlands (Kingdom of the Netherlands)",
+    "204|11|Greenet Netwerk B.V|Netherlands (Kingdom of the Netherlands)",
+    "204|12|Telfort|Netherlands (Kingdom of the Netherlands)",
+    "204|13|Unica Installatietechniek B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|14|Venus & Mercury Telecom|Netherlands (Kingdom of the Netherlands)",
+    "204|15|Ziggo|Netherlands (Kingdom of the Netherlands)",
+    "204|16|T-Mobile (BEN)|Netherlands (Kingdom of the Netherlands)",
+    "204|17|Lebara Ltd|Netherlands (Kingdom of the Netherlands)",
+    "204|18|Ziggo|Netherlands (Kingdom of the Netherlands)",
+    "204|19|Mixe Communication Solutions B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|20|T-Mobile|Netherlands (Kingdom of the Netherlands)",
+    "204|21|ProRail B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|22|Ministerie van Defensie|Netherlands (Kingdom of the Netherlands)",
+    "204|23|KORE Wireless Nederland B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|24|PM Factory B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|25|CapX B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|26|SpeakUp B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|27|L-mobi|Netherlands (Kingdom of the Netherlands)",
+    "204|28|Lancelot B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|29|Tismi B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|30|ASpider Solutions Nederland B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|32|Cubic Telecom Limited|Netherlands (Kingdom of the Netherlands)",
+    "204|33|Truphone B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|60|Nextgen Mobile Ltd|Netherlands (Kingdom of the Netherlands)",
+    "204|61|Alcadis B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|62|RGTN|Netherlands (Kingdom of the Netherlands)",
+    "204|63|Messagebird BV|Netherlands (Kingdom of the Netherlands)",
+    "204|64|Zetacom B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|65|AGMS Netherlands B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|66|Utility Connect B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|67|Koning en Hartman B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|68|Roamware (Netherlands) B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|69|KPN Mobile The Netherlands B.V.|Netherlands (Kingdom of the Netherlands)",
+    "204|91|Enexis Netbeheer B.V.|Netherlands (Kingdom of the Netherlands)",
+    "206|00|Proximus|Belgium",
+    "206|01|Proximus|Belgium",
+    "206|02|Infrabel|Belgium",
+    "206|03|Citymesh Connect|Belgium",
+    "206|04|MWingz|Belgium",
+    "206|05|Telenet|Belgium",
+    "206|06|Lycamobile|Belgium",
+    "206|07|Vectone Mobile|Belgium",
+    "206|08|VOO|Belgium",
+    "206|09|Proximus SA|Belgium",
+    "206|10|Orange Belgium|Belgium",
+    "206|11|L-mobi|Belgium",
+    "206|15|Elephant Talk Communications Schweiz GmbH|Belgium",
+    "206|16|NextGen Mobile Ltd.|Belgium",
+    "206|20|Base|Belgium",
+    "206|22|Febo.mobi|Belgium",
+    "206|23|Dust Mobile|Belgium",
+    "206|25|Dense Air Belgium SPRL|Belgium",
+    "206|28|BICS|Belgium",
+    "206|29|TISMI|Belgium",
+    "206|30|Mobile Vikings|Belgium",
+    "206|33|Ericsson NV|Belgium",
+    "206|34|ONOFFAPP OÜ|Belgium",
+    "206|40|JOIN|Belgium",
+    "206|48|Network Research Belgium|Belgium",
+    "206|50|IP Nexia|Belgium",
+    "206|71|test|Belgium",
+    "206|72|test|Belgium",
+    "206|73|test|Belgium",
+    "206|74|test|Belgium",
+    "206|99|e-BO Enterprises|Belgium",
+    "208|01|Orange|France",
+    "208|02|Orange|France",
+    "208|03|MobiquiThings|France",
+    "208|04|Sisteer|France",
+    "208|05|Globalstar Europe|France",
+    "208|06|Globalstar Europe|France",
+    "208|07|Globalstar Europe|France",
+    "208|08|SFR|France",
+    "208|09|SFR|France",
+    "208|10|SFR|France",
+    "208|11|SFR|France",
+    "208|12|Truphone|France",
+    "208|13|SFR|France",
+    "208|14|SNCF Réseau|France",
+    "208|15|Free|France",
+    "208|16|Free|France",
+    "208|17|LEGOS|France",
+    "208|18|Voxbone|France",
+    "208|19|Haute-Garonne numérique|France",
+    "208|20|Bouygues|France",
+    "208|21|Bouygues|France",
+    "208|22|Transatel Mobile|France",
+    "208|23|Syndicat mixte ouvert Charente Numérique|France",
+    "208|24|Sierra Wireless|France",
+    "208|25|LycaMobile|France",
+    "208|26|NRJ Mobile|France",
+    "208|27|Coriolis Telecom|France",
+    "208|28|AIF|France",
+    "208|29|Cubic télécom France|France",
+    "208|30|Syma Mobile|France",
+    "208|31|Vectone Mobile|France",
+    "208|32|Orange|France",
+    "208|33|Fibre64|France",
+    "208|34|Cellhire France|France",
+    "208|35|Free|France",
+    "208|36|Free|France",
+    "208|37|IP Directions|France",
+    "208|38|Lebara France Ltd|France",
+    "208|39|Netwo|France",
+    "208|500|EDF|France",
+    "208|502|EDF|France",
+    "208|504|Centre à l'énergie atomique et aux énergies alternatives|France",
+    "208|700|Weaccess group|France",
+    "208|701|GIP Vendée numérique|France",
+    "208|702|17-Numerique|France",
+    "208|703|Nivertel|France",
+    "208|704|Axione Limousin|France",
+    "208|705|Hautes-Pyrénées Numérique|France",
+    "208|706|Tours Métropole Numérique|France",
+    "208|707|Sartel THD|France",
+    "208|708|Melis@ territoires ruraux|France",
+    "208|709|Quimper communauté télécom|France",
+    "208|710|Losange|France",
+    "208|711|Nomotech|France",
+    "208|712|Syndicat Audois d'énergies et du Numérique|France",
+    "208|713|SD NUM SAS|France",
+    "208|714|Département de l'Isère|France",
+    "208|86|SEM@FOR77|France",
+    "208|87|Airbus defence and space SAS|France",
+    "208|88|Bouygues|France",
+    "208|89|Hub One|France",
+    "208|90|Images & Réseaux|France",
+    "208|91|Orange S.A.|France",
+    "208|92|Com4Innov|France",
+    "208|93|Thales Communications & Security SAS|France",
+    "208|94|Halys|France",
+    "208|95|Orange S.A.|France",
+    "208|96|Région Bourgogne-Franche-Comté|France",
+    "208|97|Thales Communications & Security SAS|France",
+    "208|98|Société Air France|France",
+    "212|10|Office des Telephones|Monaco",
+    "213|03|Som, Mobiland|Andorra",
+    "214|01|Vodafone|Spain",
+    "214|02|Fibracat|Spain",
+    "214|03|Orange|Spain",
+    "214|04|Yoigo|Spain",
+    "214|05|Movistar|Spain",
+    "214|06|Vodafone|Spain",
+    "214|07|Movistar|Spain",
+    "214|08|Euskaltel|Spain",
+    "214|09|Orange|Spain",
+    "214|10|ZINNIA TELECOMUNICACIONES, S.L.U.|Spain",
+    "214|11|TELECOM CASTILLA-LA MANCHA, S.A.|Spain",
+    "214|12|VENUS MOVIL, S.L. UNIPERSONAL|Spain",
+    "214|13|SYMA MOBILE ESPAÑA, S.L.|Spain",
+    "214|14|AVATEL MÓVIL, S.L.U.|Spain",
+    "214|15|BT|Spain",
+    "214|16|TeleCable|Spain",
+    "214|17|Móbil R|Spain",
+    "214|18|ONO|Spain",
+    "214|19|Simyo|Spain",
+    "214|20|Fonyou|Spain",
+    "214|21|Jazztel|Spain",
+    "214|22|DIGI mobil|Spain",
+    "214|23|Xfera Moviles S.A.U.|Spain",
+    "214|24|VODAFONE ESPAÑA, S.A.U.|Spain",
+    "214|25|Xfera Moviles S.A.U.|Spain",
+    "214|26|Lleida Networks Serveis Telemátics, SL|Spain",
+    "214|27|Truphone|Spain",
+    "214|28|Murcia4G|Spain",
+    "214|29|Xfera Moviles S.A.U.|Spain",
+    "214|30|Compatel Limited|Spain",
+    "214|31|Red Digital De Telecomunicaciones de las Islas Baleares, S.L.|Spain",
+    "214|32|Tuenti|Spain",
+    "214|33|Xfera Móviles, S.A.U.|Spain",
+    "214|34|Aire Networks del Mediterráneo, S.L.U.|Spain",
+    "214|35|INGENIUM OUTSOURCING SERVICES, S.L.|Spain",
+    "214|36|ALAI OPERADOR DE TELECOMUNICACIONES, S.L|Spain",
+    "214|37|Vodafone Spain|Spain",
+    "214|38|Telefónica Móviles España, S.A.U.|Spain",
+    "214|51|ADIF|Spain",
+    "214|700|Iberdrola|Spain",
+    "214|701|Endesa|Spain",
+    "216|01|Yettel Hungary|Hungary",
+    "216|02|MVM Net Ltd.|Hungary",
+    "216|03|DIGI|Hungary",
+    "216|04|Invitech ICT Services Ltd.|Hungary",
+    "216|20|Yettel Hungary|Hungary",
+    "216|30|Telekom|Hungary",
+    "216|70|Vodafone|Hungary",
+    "216|71|upc|Hungary",
+    "216|99|MAV GSM-R|Hungary",
+    "218|03|HT-ERONET|Bosnia and Herzegovina",
+    "218|05|m:tel|Bosnia and Herzegovina",
+    "218|90|BH Mobile|Bosnia and Herzegovina",
+    "219|01|HT HR|Croatia",
+    "219|02|Telemach|Croatia",
+    "219|03|ALTAVOX d.o.o.|Croatia",
+    "219|04|NTH Mobile d.o.o.|Croatia",
+    "219|10|A1 HR|Croatia",
+    "219|12|TELE FOCUS d.o.o.|Croatia",
+    "219|20|T-Mobile HR|Croatia",
+    "219|22|Mobile One|Croatia",
+    "219|30|INNOVACOM OÜ|Croatia",
+    "220|01|Yettel|Serbia",
+    "220|02|One|Serbia",
+    "220|03|mt:s|Serbia",
+    "220|04|T-Mobile CG|Serbia",
+    "220|05|A1 SRB|Serbia",
+    "220|07|Orion|Serbia",
+    "220|09|Vectone Mobile|Serbia",
+    "220|11|Globaltel|Serbia",
+    "220|20|A1 SRB|Serbia",
+    "220|21|Infrastruktura železnice Srbije a.d.|Serbia",
+    "221|01|Vala|Kosovo",
+    "221|02|IPKO|Kosovo",
+    "221|06|Z Mobile|Kosovo",
+    "221|07|D3 Mobile|Kosovo",
+    "222|01|TIM|Italy",
+    "222|02|Elsacom|Italy",
+    "222|04|Intermatica|Italy",
+    "222|05|Telespazio|Italy",
+    "222|06|Vodafone|Italy",
+    "222|07|Kena Mobile|Italy",
+    "222|08|Fastweb|Italy",
+    "222|10|Vodafone|Italy",
+    "222|30|RFI|Italy",
+    "222|33|Poste Mobile|Italy",
+    "222|34|BT Italia|Italy",
+    "222|35|Lycamobile|Italy",
+    "222|36|Digi Mobil|Italy",
+    "222|37|WINDTRE|Italy",
+    "222|38|LINKEM|Italy",
+    "222|39|SMS Italia|Italy",
+    "222|41|GO internet|Italy",
+    "222|43|TIM|Italy",
+    "222|47|Fastweb|Italy",
+    "222|48|TIM|Italy",
+    "222|49|Vianova|Italy",
+    "222|50|Iliad|Italy",
+    "222|53|COOP Voce|Italy",
+    "222|54|Plintron|Italy",
+    "222|56|Spusu|Italy",
+    "222|77|IPSE 2000|Italy",
+    "222|88|WINDTRE|Italy",
+    "222|98|BLU|Italy",
+    "222|99|WINDTRE|Italy",
+    "226|01|Vodafone|Romania",
+    "226|02|Clicknet Mobile|Romania",
+    "226|03|Telekom|Romania",
+    "226|04|Cosmote/Zapp|Romania",
+    "226|05|Digi.Mobil|Romania",
+    "226|06|Telekom|Romania",
+    "226|10|Orange|Romania",
+    "226|11|Enigma-System|Romania",
+    "226|15|Idilis|Romania",
+    "226|16|Lycamobile|Romania",
+    "226|19|CFR|Romania",
+    "228|01|Swisscom|Switzerland",
+    "228|02|Sunrise|Switzerland",
+    "228|03|Salt|Switzerland",
+    "228|05|Comfone AG|Switzerland",
+    "228|06|SBB-CFF-FFS|Switzerland",
+    "228|07|IN&Phone|Switzerland",
+    "228|08|Tele4u|Switzerland",
+    "228|09|Comfone AG|Switzerland",
+    "228|10|Stadt Polizei Zürich|Switzerland",
+    "228|11|Swisscom Broadcast AG|Switzerland",
+    "228|12|Sunrise|Switzerland",
+    "228|50|3G Mobile AG|Switzerland",
+    "228|51|relario AG|Switzerland",
+    "228|52|Barablu|Switzerland",
+    "228|53|upc cablecom|Switzerland",
+    "228|54|Lycamobile|Switzerland",
+    "228|55|WeMobile SA|Switzerland",
+    "228|56|SMSRelay AG|Switzerland",
+    "228|57|Mitto AG|Switzerland",
+    "228|58|beeone|Switzerland",
+    "228|59|Vectone|Switzerland",
+    "228|60|Sunrise|Switzerland",
+    "228|61|Compatel Ltd.|Switzerland",
+    "228|62|Telecom26 AG|Switzerland",
+    "228|63|FTS|Switzerland",
+    "228|64|Nth AG|Switzerland",
+    "228|65|Nexphone AG|Switzerland",
+    "228|66|Inovia Services SA|Switzerland",
+    "228|67|Datatrade Managed AG|Switzerland",
+    "228|68|Intellico AG|Switzerland",
+    "228|69|MTEL Schweiz GmbH|Switzerland",
+    "228|70|Tismi BV|Switzerland",
+    "228|98|Etablissement Cantonal d'Assurance|Switzerland",
+    "228|99|Swisscom Broadcast AG|Switzerland",
+    "230|01|T-Mobile|Czech Republic",
+    "230|02|O2|Czech Republic",
+    "230|03|Vodafone|Czech Republic",
+    "230|04|Nordic Telecom Regional s.r.o.|Czech Republic",
+    "230|05|PODA a.s.|Czech Republic",
+    "230|06|Nordic Telecom 5G a.s.|Czech Republic",
+    "230|07|T-Mobile|Czech Republic",
+    "230|08|Compatel s.r.o.|Czech Republic",
+    "230|09|Unimobile|Czech Republic",
+    "230|11|incrate s.r.o.|Czech Republic",
+    "230|98|Správa železniční dopravní cesty, s.o.|Czech Republic",
+    "230|99|Vodafone|Czech Republic",
+    "231|01|Orange|Slovakia",
+    "231|02|Telekom|Slovakia",
+    "231|03|4ka|Slovakia",
+    "231|04|Telekom|Slovakia",
+    "231|05|Orange|Slovakia",
+    "231|06|O2|Slovakia",
+    "231|07|Orange|Slovakia",
+    "231|08|Unimobile|Slovakia",
+    "231|09|DSI DATA, a.s.|Slovakia",
+    "231|10|HMZ RÁDIOKOMUNIKÁCIE, spol. s r.o.|Slovakia",
+    "231|50|Telekom|Slovakia",
+    "231|99|ŽSR|Slovakia",
+    "232|01|A1.net|Austria",
+    "232|02|A1 Telekom Austria|Austria",
+    "232|03|Magenta|Austria",
+    "232|04|Magenta|Austria",
+    "232|05|3|Austria",
+    "232|06|Orange AT|Austria",
+    "232|07|Hofer Telekom|Austria",
+    "232|08|Lycamobile|Austria",
+    "232|09|Tele2Mobil|Austria",
+    "232|10|3|Austria",
+    "232|11|bob|Austria",
+    "232|12|yesss!|Austria",
+    "232|13|Magenta|Austria",
+    "232|14|Hutchison Drei Austria|Austria",
+    "232|15|Vectone Mobile|Austria",
+    "232|16|Hutchison Drei Austria|Austria",
+    "232|17|spusu|Austria",
+    "232|18|smartspace GmbH|Austria",
+    "232|19|Hutchison Drei Austria|Austria",
+    "232|20|m:tel|Austria",
+    "232|21|Salzburg AG für Energie, Verkehr und Telekommunikation|Austria",
+    "232|22|Plintron Austria Limited|Austria",
+    "232|23|Magenta|Austria",
+    "232|24|Smartel Services GmbH|Austria",
+    "232|25|Holding Graz Kommunale Dienstleistungen GmbH|Austria",
+    "232|26|LIWEST Kabelmedien GmbH|Austria",
+    "232|27|TISMI B.V.|Austria",
+    "232|91|GSM-R A|Austria",
+    "232|92|ArgoNET|Austria",
+    "234|00|BT|United Kingdom",
+    "234|01|Vectone Mobile|United Kingdom",
+    "234|02|O2 (UK)|United Kingdom",
+    "234|03|Airtel-Vodafone|United Kingdom",
+    "234|04|FMS Solutions Ltd|United Kingdom",
+    "234|05|Spitfire Network Services Limited|United Kingdom",
+    "234|06|Internet Computer Bureau Limited|United Kingdom",
+    "234|07|Vodafone UK|United Kingdom",
+    "234|08|BT OnePhone|United Kingdom",
+    "234|09|Tismi BV|United Kingdom",
+    "234|10|O2 (UK)|United Kingdom",
+    "234|11|O2 (UK)|United Kingdom",
+    "234|12|Railtrack|United Kingdom",
+    "234|13|Railtrack|United Kingdom",
+    "234|14|Link Mobility UK Ltd|United Kingdom",
+    "234|15|Vodafone UK|United Kingdom",
+    "234|16|Talk Talk|United Kingdom",
+    "234|17|FleXtel Limited|United Kingdom",
+    "234|18|Cloud9|United Kingdom",
+    "234|19|PMN|United Kingdom",
+    "234|20|3|United Kingdom",
+    "234|21|LogicStar Ltd|United Kingdom",
+    "234|22|Telesign Mobile Limited|United Kingdom",
+    "234|23|Icron Network Limited|United Kingdom",
+    "234|24|Greenfone|United Kingdom",
+    "234|25|Truphone|United Kingdom",
+    "234|26|Lycamobile|United Kingdom",
+    "234|27|Teleena|United Kingdom",
+    "234|28|Marathon Telecom Limited|United Kingdom",
+    "234|29|aql|United Kingdom",
+    "234|30|EE|United Kingdom",
+    "234|31|EE|United Kingdom",
+    "234|32|EE|United Kingdom",
+    "234|33|EE|United Kingdom",
+    "234|34|EE|United Kingdom",
+    "234|35|JSC Ingenium (UK) Limited|United Kingdom",
+    "234|36|Sure Mobile|United Kingdom",
+    "234|37|Synectiv Ltd|United Kingdom",
+    "234|38|Virgin Mobile|United Kingdom",
+    "234|39|Gamma Telecom Holdings Ltd.|United Kingdom",
+    "234|40|Mass Response Service GmbH|United Kingdom",
+    "234|50|JT|United Kingdom",
+    "234|51|Relish|United Kingdom",
+    "234|52|Shyam Telecom UK Ltd|United Kingdom",
+    "234|53|Mobile-X|United Kingdom",
+    "234|54|iD Mobile|United Kingdom",
+    "234|55|Sure Mobile|United Kingdom",
+    "234|56|National Cyber Security Centre|United Kingdom",
+    "234|57|Sky UK Limited|United Kingdom",
+    "234|58|Pronto GSM|United Kingdom",
+    "234|59|Limitless Mobile Ltd|United Kingdom",
+    "234|70|AMSUK Ltd.|United Kingdom",
+    "234|71|Home Office|United Kingdom",
+    "234|72|Hanhaa Mobile|United Kingdom",
+    "234|73|Bluewave Communications Ltd|United Kingdom",
+    "234|74|Pareteum Europe B.V.|United Kingdom",
+    "234|75|Mass Response Service GmbH|United Kingdom",
+    "234|76|BT|United Kingdom",
+    "234|77|Vodafone UK|United Kingdom",
+    "234|78|Airwave|United Kingdom",
+    "234|79|UKTL|United Kingdom",
+    "234|86|EE|United Kingdom",
+    "234|88|telet|United Kingdom",
+    "235|00|Vectone Mobile|United Kingdom",
+    "235|01|EE|United Kingdom",
+    "235|02|EE|United Kingdom",
+    "235|03|Relish|United Kingdom",
+    "235|04|University of Strathclyde|United Kingdom",
+    "235|06|University of Strathclyde|United Kingdom",
+    "235|07|University of Strathclyde|United Kingdom",
+    "235|08|Spitfire Network Services Limited|United Kingdom",
+    "235|77|BT|United Kingdom",
+    "235|88|telet|United Kingdom",
+    "235|91|Vodafone UK|United Kingdom",
+    "235|92|Vodafone UK|United Kingdom",
+    "235|94|Hutchison 3G UK Ltd|United Kingdom",
+    "235|95|Network Rail Infrastructure Limited|United Kingdom",
+    "238|01|TDC|Denmark (Kingdom of Denmark)",
+    "238|02|Telenor|Denmark (Kingdom of Denmark)",
+    "238|03|Syniverse Technologies|Denmark (Kingdom of Denmark)",
+    "238|04|Nexcon.io ApS|Denmark (Kingdom of Denmark)",
+    "238|05|TetraNet|Denmark (Kingdom of Denmark)",
+    "238|06|3|Denmark (Kingdom of Denmark)",
+    "238|07|Vectone Mobile|Denmark (Kingdom of Denmark)",
+    "238|08|Voxbone|Denmark (Kingdom of Denmark)",
+    "238|09|SINE|Denmark (Kingdom of Denmark)",
+    "238|10|TDC|Denmark (Kingdom of Denmark)",
+    "238|11|SINE|Denmark (Kingdom of Denmark)",
+    "238|12|Lycamobile|Denmark (Kingdom of Denmark)",
+    "238|13|Compatel Limited|Denmark (Kingdom of Denmark)",
+    "238|14|Monty UK Global Limited|Denmark (Kingdom of Denmark)",
+    "238|15|Net 1|Denmark (Kingdom of Denmark)",
+    "238|16|Tismi B.V.|Denmark (Kingdom of Denmark)",
+    "238|17|Gotanet AB|Denmark (Kingdom of Denmark)",
+    "238|18|Cubic Telecom|Denmark (Kingdom of Denmark)",
+    "238|20|Telia|Denmark (Kingdom of Denmark)",
+    "238|23|GSM-R DK|Denmark (Kingdom of Denmark)",
+    "238|25|Viahub|Denmark (Kingdom of Denmark)",
+    "238|28|LINK Mobile A/S|Denmark (Kingdom of Denmark)",
+    "238|30|Interactive digital media GmbH|Denmark (Kingdom of Denmark)",
+    "238|40|Ericsson Danmark A/S|Denmark (Kingdom of Denmark)",
+    "238|42|Wavely|Denmark (Kingdom of Denmark)",
+    "238|43|MobiWeb Limited|Denmark (Kingdom of Denmark)",
+    "238|66|TT-Netværket P/S|Denmark (Kingdom of Denmark)",
+    "238|73|Onomondo|Denmark (Kingdom of Denmark)",
+    "238|77|Telenor|Denmark (Kingdom of Denmark)",
+    "238|88|Cobira ApS|Denmark (Kingdom of Denmark)",
+    "238|96|Telia|Denmark (Kingdom of Denmark)",
+    "240|01|Telia|Sweden",
+    "240|02|3|Sweden",
+    "240|03|Net 1|Sweden",
+    "240|04|SWEDEN|Sweden",
+    "240|05|Sweden 3G|Sweden",
+    "240|06|Telenor|Sweden",
+    "240|07|Tele2|Sweden",
+    "240|08|Telenor|Sweden",
+    "240|09|Com4|Sweden",
+    "240|10|Spring Mobil|Sweden",
+    "240|11|ComHem AB|Sweden",
+    "240|12|Lycamobile|Sweden",
+    "240|13|Bredband2 Företag AB|Sweden",
+    "240|14|Tele2 Sverige AB|Sweden",
+    "240|15|Sierra Wireless Sweden AB|Sweden",
+    "240|16|42 Telecom AB|Sweden",
+    "240|17|Gotanet|Sweden",
+    "240|18|Generic Mobile Systems Sweden AB|Sweden",
+    "240|19|Vectone Mobile|Sweden",
+    "240|20|Sierra Wireless Messaging AB|Sweden",
+    "240|21|MobiSir|Sweden",
+    "240|22|EuTel AB|Sweden",
+    "240|23|Infobip Limited (UK)|Sweden",
+    "240|24|Sweden 2G|Sweden",
+    "240|25|Monty UK Global Ltd|Sweden",
+    "240|26|Twilio Sweden AB|Sweden",
+    "240|27|GlobeTouch AB|Sweden",
+    "240|28|LINK Mobile A/S|Sweden",
+    "240|29|Mercury International Carrier Services AB|Sweden",
+    "240|30|NextGen Mobile Ltd.|Sweden",
+    "240|31|RebTel Network AB|Sweden",
+    "240|32|Compatel Limited|Sweden",
+    "240|33|Mobile Arts AB|Sweden",
+    "240|34|Trafikverket centralfunktion IT|Sweden",
+    "240|35|42 Telecom LTD|Sweden",
+    "240|36|interactive digital media GmbH|Sweden",
+    "240|37|Sinch Sweden AB|Sweden",
+    "240|38|Voxbone|Sweden",
+    "240|39|Primlight AB|Sweden",
+    "240|40|Netmore Group AB|Sweden",
+    "240|41|Telenor Sverige AB|Sweden",
+    "240|42|Telenor Connexion AB|Sweden",
+    "240|43|MobiWeb Ltd.|Sweden",
+    "240|44|Telenabler AB|Sweden",
+    "240|45|Spirius AB|Sweden",
+    "240|46|Viahub|Sweden",
+    "240|47|Viatel Sweden AB|Sweden",
+    "240|48|Tismi BV|Sweden",
+    "240|49|Telia Sverige AB|Sweden",
+    "240|60|Västra Götalandsregionen|Sweden",
+    "240|61|MessageBird B.V.|Sweden",
+    "240|63|FTS|Sweden",
+    "242|01|Telenor|Norway",
+    "242|02|Telia|Norway",
+    "242|03|Televerket AS|Norway",
+    "242|04|Tele2|Norway",
+    "242|05|Telia|Norway",
+    "242|06|ice|Norway",
+    "242|07|Phonero|Norway",
+    "242|08|Telia|Norway",
+    "242|09|Com4|Norway",
+    "242|10|Norwegian Communications Authority|Norway",
+    "242|11|SystemNet|Norway",
+    "242|12|Telenor|Norway",
+    "242|14|ice|Norway",
+    "242|15|eRate Norway AS|Norway",
+    "242|16|Iristel Norway AS|Norway",
+    "242|17|Telenor|Norway",
+    "242|20|Jernbaneverket AS|Norway",
+    "242|21|Jernbaneverket AS|Norway",
+    "242|22|Altibox AS|Norway",
+    "242|23|Lycamobile|Norway",
+    "242|24|Mobile Norway AS|Norway",
+    "242|25|Forsvarets kompetansesenter KKIS|Norway",
+    "242|70|test networks|Norway",
+    "242|71|private networks|Norway",
+    "242|72|private networks|Norway",
+    "242|73|private networks|Norway",
+    "242|74|private networks|Norway",
+    "242|75|private networks|Norway",
+    "242|90|Nokia Solutions and Networks Norge AS|Norway",
+    "242|99|TampNet AS|Norway",
+    "244|03|DNA|Finland",
+    "244|04|DNA|Finland",
+    "244|05|Elisa|Finland",
+    "244|06|Elisa|Finland",
+    "244|07|Nokia|Finland",
+    "244|08|Nokia|Finland",
+    "244|09|Nokia Solutions and Networks Oy|Finland",
+    "244|10|Traficom|Finland",
+    "244|11|Traficom|Finland",
+    "244|12|DNA|Finland",
+    "244|13|DNA|Finland",
+    "244|14|Ålcom|Finland",
+    "244|15|Telit Wireless Solutions GmbH|Finland",
+    "244|16|Digita Oy|Finland",
+    "244|17|Liikennevirasto|Finland",
+    "244|19|Nettia Oy|Finland",
+    "244|20|Elisa Oyj|Finland",
+    "244|21|Elisa- Saunalahti|Finland",
+    "244|22|EXFO Oy|Finland",
+    "244|23|EXFO Oy|Finland",
+    "244|24|Nord Connect UAB|Finland",
+    "244|25|Fortum Power and Heat Oy|Finland",
+    "244|26|Compatel|Finland",
+    "244|27|Teknologian tutkimuskeskus VTT Oy|Finland",
+    "244|28|Teknologian tutkimuskeskus VTT Oy|Finland",
+    "244|29|Teknologian tutkimuskeskus VTT Oy|Finland",
+    "244|30|Teknologian tutkimuskeskus VTT Oy|Finland",
+    "244|31|Teknologian tutkimuskeskus VTT Oy|Finland",
+    "244|32|Voxbone|Finland",
+    "244|33|VIRVE|Finland",
+    "244|34|Bittium Wireless|Finland",
+    "244|35|Edzcom Oy|Finland",
+    "244|36|Telia / DNA|Finland",
+    "244|37|Tismi|Finland",
+    "244|38|Nokia Solutions and Networks Oy|Finland",
+    "244|39|Nokia Solutions and Networks Oy|Finland",
+    "244|40|Nokia Solutions and Networks Oy|Finland",
+    "244|41|Nokia Solutions and Networks Oy|Finland",
+    "244|42|SMS Provider Corp.|Finland",
+    "244|43|Telavox AB / Telavox Oy|Finland",
+    "244|44|Turun ammattikorkeakoulu Oy|Finland",
+    "244|45|Suomen Turvallisuusverkko Oy|Finland",
+    "244|46|Suomen Turvallisuusverkko Oy|Finland",
+    "244|47|Suomen Turvallisuusverkko Oy|Finland",
+    "244|50|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|51|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|52|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|53|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|54|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|55|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|56|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|57|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|58|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|59|Aalto-korkeakoulusäätiö sr|Finland",
+    "244|91|Telia|Finland",
+    "244|92|Sonera|Finland",
+    "244|95|Säteilyturvakeskus|Finland",
+    "244|99|Oy L M Ericsson Ab|Finland",
+    "246|01|Telia|Lithuania",
+    "246|02|BITĖ|Lithuania",
+    "246|03|Tele2|Lithuania",
+    "246|04|LR vidaus reikalų ministerija (Ministry of the Interior)|Lithuania",
+    "246|05|LitRail|Lithuania",
+    "246|06|Mediafon|Lithuania",
+    "246|07|Compatel Ltd.|Lithuania",
+    "246|08|MEZON|Lithuania",
+    "246|09|Interactive Digital Media GmbH|Lithuania",
+    "246|11|DATASIM OU|Lithuania",
+    "246|12|Nord connect OU|Lithuania",
+    "246|13|Travel Communication SIA|Lithuania",
+    "246|14|Tismi BV|Lithuania",
+    "246|15|Esim telecom, UAB|Lithuania",
+    "246|16|Annecto Telecom Limited|Lithuania",
+    "247|01|LMT|Latvia",
+    "247|02|Tele2|Latvia",
+    "247|03|TRIATEL|Latvia",
+    "247|04|Beta Telecom|Latvia",
+    "247|05|Bite|Latvia",
+    "247|06|SIA \"UNISTARS\"|Latvia",
+    "247|07|SIA \"MEGATEL\"|Latvia",
+    "247|08|VMT|Latvia",
+    "247|09|Xomobile|Latvia",
+    "247|10|LMT|Latvia",
+    "248|01|Telia|Estonia",
+    "248|02|Elisa|Estonia",
+    "248|03|Tele2|Estonia",
+    "248|04|Top Connect|Estonia",
+    "248|05|CSC Telecom|Estonia",
+    "248|06|Progroup Holding|Estonia",
+    "248|07|Kou|Estonia",
+    "248|08|VIVEX|Estonia",
+    "248|09|Bravo Telecom|Estonia",
+    "248|10|Telcotrade OÜ|Estonia",
+    "248|11|UAB Raystorm Eesti filiaal|Estonia",
+    "248|12|Ntel Solutions OÜ|Estonia",
+    "248|13|Telia Eesti AS|Estonia",
+    "248|14|Estonian Crafts OÜ|Estonia",
+    "248|15|Premium Net International S.R.L. Eesti filiaal|Estonia",
+    "248|16|dzinga|Estonia",
+    "248|17|Baltergo OÜ|Estonia",
+    "248|18|Cloud Communications OÜ|Estonia",
+    "248|19|OkTelecom OÜ|Estonia",
+    "248|20|DOTT Telecom OÜ|Estonia",
+    "248|21|Tismi B.V.|Estonia",
+    "248|22|M2MConnect OÜ|Estonia",
+    "248|24|Novametro OÜ|Estonia",
+    "248|25|Eurofed OÜ|Estonia",
+    "248|26|IT-Decision Telecom OÜ|Estonia",
+    "248|28|Nord Connect OÜ|Estonia",
+    "248|29|SkyTel OÜ|Estonia",
+    "248|71|Siseministeerium (Ministry of Interior)|Estonia",
+    "250|01|MTS|Russian Federation",
+    "250|02|MegaFon|Russian Federation",
+    "250|03|NCC|Russian Federation",
+    "250|04|Sibchallenge|Russian Federation",
+    "250|05|ETK|Russian Federation",
+    "250|06|Skylink|Russian Federation",
+    "250|07|SMARTS|Russian Federation",
+    "250|08|Vainah Telecom|Russian Federation",
+    "250|09|Skylink|Russian Federation",
+    "250|10|DTC|Russian Federation",
+    "250|11|Yota|Russian Federation",
+    "250|12|Baykalwestcom|Russian Federation",
+    "250|13|KUGSM|Russian Federation",
+    "250|14|MegaFon|Russian Federation",
+    "250|15|SMARTS|Russian Federation",
+    "250|16|Miatel|Russian Federation",
+    "250|17|Utel|Russian Federation",
+    "250|18|Osnova Telecom|Russian Federation",
+    "250|19|INDIGO|Russian Federation",
+    "250|20|Tele2|Russian Federation",
+    "250|21|GlobalTel|Russian Federation",
+    "250|22|Vainakh Telecom|Russian Federation",
+    "250|23|Thuraya|Russian Federation",
+    "250|26|VTB Mobile|Russian Federation",
+    "250|27|Letai|Russian Federation",
+    "250|28|Beeline|Russian Federation",
+    "250|29|Iridium|Russian Federation",
+    "250|32|Win Mobile|Russian Federation",
+    "250|33|Sevmobile|Russian Federation",
+    "250|34|Krymtelekom|Russian Federation",
+    "250|35|MOTIV|Russian Federation",
+    "250|38|Tambov GSM|Russian Federation",
+    "250|39|Rostelecom|Russian Federation",
+    "250|40|VTC Mobile|Russian Federation",
+    "250|44|Stavtelesot / North Caucasian GSM|Russian Federation",
+    "250|45|Gazprombank Mobile|Russian Federation",
+    "250|50|SberMobile|Russian Federation",
+    "250|54|TTK|Russian Federation",
+    "250|59|WireFire|Russian Federation",
+    "250|60|Volna mobile|Russian Federation",
+    "250|61|Intertelecom|Russian Federation",
+    "250|62|Tinkoff Mobile|Russian Federation",
+    "250|811|Votek Mobile|Russian Federation",
+    "250|91|Sonic Duo|Russian Federation",
+    "250|92|Primtelefon|Russian Federation",
+    "250|93|Telecom XXI|Russian Federation",
+    "250|96|+7Telecom|Russian Federation",
+    "250|97|Phoenix|Russian Federation",
+    "250|99|Beeline|Russian Federation",
+    "255|00|IDC|Moldova",
+    "255|01|Vodafone|Ukraine",
+    "255|02|Kyivstar|Ukraine",
+    "255|03|Kyivstar|Ukraine",
+    "255|04|Intertelecom|Ukraine",
+    "255|05|Kyivstar|Ukraine",
+    "255|06|lifecell|Ukraine",
+    "255|07|3Mob; Lycamobile|Ukraine",
+    "255|08|JSC Ukrtelecom|Ukraine",
+    "255|09|PRJSC \"Farlep-Invest\"|Ukraine",
+    "255|10|Atlantis Telecom LLC|Ukraine",
+    "255|21|PEOPLEnet|Ukraine",
+    "255|23|CDMA Ukraine|Ukraine",
+    "255|25|NEWTONE|Ukraine",
+    "255|701|Ukrainian Special Systems|Ukraine",
+    "255|98|MKS (ex. Lugacom)|Russian Federation",
+    "255|99|Phoenix; MKS (ex. Lugacom)|Ukraine",
+    "257|01|A1|Belarus",
+    "257|02|MTS|Belarus",
+    "257|03|DIALLOG|Belarus",
+    "257|04|life:)|Belarus",
+    "257|05|byfly|Belarus",
+    "257|06|beCloud|Belarus",
+    "259|01|Orange|Moldova",
+    "259|02|Moldcell|Moldova",
+    "259|03|Moldtelecom|Moldova",
+    "259|04|Eventis|Moldova",
+    "259|05|Moldtelecom|Moldova",
+    "259|15|IDC|Moldova",
+    "259|99|Moldtelecom|Moldova",
+    "260|01|Plus|Poland",
+    "260|02|T-Mobile|Poland",
+    "260|03|Orange|Poland",
+    "260|04|Plus|Poland",
+    "260|05|Orange|Poland",
+    "260|06|Play|Poland",
+    "260|07|Netia|Poland",
+    "260|08|EXATEL S.A.|Poland",
+    "260|09|Lycamobile|Poland",
+    "260|10|T-Mobile|Poland",
+    "260|11|Plus|Poland",
+    "260|12|Cyfrowy Polsat|Poland",
+    "260|13|Move Telecom S.A.|Poland",
+    "260|14|Telco Leaders Ltd|Poland",
+    "260|15|Plus|Poland",
+    "260|16|Plus|Poland",
+    "260|17|Plus|Poland",
+    "260|18|AMD Telecom|Poland",
+    "260|19|SIA NetBalt|Poland",
+    "260|20|TISMI B.V.|Poland",
+    "260|21|private networks|Poland",
+    "260|22|Twilio Ireland Limited|Poland",
+    "260|23|PGE Systemy S.A.|Poland",
+    "260|24|IT Partners Telco Sp. z o.o.|Poland",
+    "260|25|TeleCube.PL|Poland",
+    "260|26|Vonage B.V.|Poland",
+    "260|27|SIA Ntel Solutions|Poland",
+    "260|28|CrossMobile Sp. z o.o.|Poland",
+    "260|29|SMSWIZARD POLSKA Sp. z o.o.|Poland",
+    "260|30|HXG Sp. z o.o.|Poland",
+    "260|31|Phone IT|Poland",
+    "260|32|Compatel Limited|Poland",
+    "260|33|Truphone|Poland",
+    "260|34|NetWorkS!|Poland",
+    "260|35|PKP Polskie Linie Kolejowe S.A.|Poland",
+    "260|36|Vectone Mobile|Poland",
+    "260|37|NEXTGEN MOBILE LTD|Poland",
+    "260|38|CALLFREEDOM Sp. z o.o.|Poland",
+    "260|39|Voxbone|Poland",
+    "260|40|Interactive Digital Media GmbH|Poland",
+    "260|41|EZ PHONE MOBILE Sp. z o.o.|Poland",
+    "260|42|MobiWeb Telecom Limited|Poland",
+    "260|43|Smart Idea International Sp. z o.o.|Poland",
+    "260|44|Rebtel Poland Sp. z o.o.|Poland",
+    "260|45|Virgin Mobile|Poland",
+    "260|46|Terra Telekom Sp. z o.o.|Poland",
+    "260|47|SMShighway Limited|Poland",
+    "260|48|AGILE TELECOM S.P.A.|Poland",
+    "260|49|Messagebird B.V.|Poland",
+    "260|90|Polska Spółka Gazownictwa Sp. z o.o.|Poland",
+    "260|97|Politechnika Łódzka Uczelniane Centrum Informatyczne|Poland",
+    "260|98|Play|Poland",
+    "262|01|Telekom|Germany",
+    "262|02|Vodafone|Germany",
+    "262|03|O2|Germany",
+    "262|04|Vodafone|Germany",
+    "262|05|O2|Germany",
+    "262|06|Telekom|Germany",
+    "262|07|O2|Germany",
+    "262|08|O2|Germany",
+    "262|09|Vodafone|Germany",
+    "262|10|DB Netz AG|Germany",
+    "262|11|O2|Germany",
+    "262|12|Simquadrat|Germany",
+    "262|13|BAAINBw|Germany",
+    "262|14|Lebara Limited|Germany",
+    "262|15|Airdata|Germany",
+    "262|16|Telogic Germany GmbH|Germany",
+    "262|17|O2|Germany",
+    "262|18|NetCologne|Germany",
+    "262|19|450connect|Germany",
+    "262|20|Enreach|Germany",
+    "262|21|Multiconnect GmbH|Germany",
+    "262|22|sipgate Wireless GmbH|Germany",
+    "262|23|1&1|Germany",
+    "262|24|TelcoVillage GmbH|Germany",
+    "262|25|MTEL Deutschland GmbH|Germany",
+    "262|33|simquadrat|Germany",
+    "262|41|First Telecom GmbH|Germany",
+    "262|42|CCC Event|Germany",
+    "262|43|Lycamobile|Germany",
+    "262|60|DB Telematik|Germany",
+    "262|70|BDBOS|Germany",
+    "262|71|GSMK|Germany",
+    "262|72|Ericsson GmbH|Germany",
+    "262|73|Nokia|Germany",
+    "262|74|Ericsson GmbH|Germany",
+    "262|75|Core Network Dynamics GmbH|Germany",
+    "262|76|BDBOS|Germany",
+    "262|77|O2|Germany",
+    "262|78|Telekom|Germany",
+    "262|79|ng4T GmbH|Germany",
+    "262|92|Nash Technologies|Germany",
+    "262|98|private networks|Germany",
+    "266|01|GibTel|Gibraltar (United Kingdom)",
+    "266|03|Gibfibrespeed|Gibraltar (United Kingdom)",
+    "266|06|CTS Mobile|Gibraltar (United Kingdom)",
+    "266|09|Shine|Gibraltar (United Kingdom)",
+    "268|01|Vodafone|Portugal",
+    "268|02|Digi Portugal, Lda.|Portugal",
+    "268|03|NOS|Portugal",
+    "268|04|LycaMobile|Portugal",
+    "268|05|Oniway - Inforcomunicaçôes, S.A.|Portugal",
+    "268|06|MEO|Portugal",
+    "268|07|Sumamovil Portugal, S.A.|Portugal",
+    "268|08|MEO|Portugal",
+    "268|11|Compatel, Limited|Portugal",
+    "268|12|Infraestruturas de Portugal, S.A.|Portugal",
+    "268|13|G9Telecom, S.A.|Portugal",
+    "268|21|Zapp|Portugal",
+    "268|80|MEO|Portugal",
+    "268|91|Vodafone|Portugal",
+    "268|93|NOS|Portugal",
+    "270|01|POST|Luxembourg",
+    "270|02|MTX Connect S.a.r.l.|Luxembourg",
+    "270|05|Luxembourg Online S.A.|Luxembourg",
+    "270|07|Bouygues Telecom S.A.|Luxembourg",
+    "270|10|Blue Communications|Luxembourg",
+    "270|71|CFL|Luxembourg",
+    "270|77|Tango|Luxembourg",
+    "270|78|Interactive digital media GmbH|Luxembourg",
+    "270|79|Mitto AG|Luxembourg",
+    "270|80|Syniverse Technologies S.à r.l.|Luxembourg",
+    "270|81|E-Lux Mobile Telecommunication S.A.|Luxembourg",
+    "270|99|Orange|Luxembourg",
+    "272|01|Vodafone|Ireland",
+    "272|02|3|Ireland",
+    "272|03|Eir|Ireland",
+    "272|04|Access Telecom|Ireland",
+    "272|05|3|Ireland",
+    "272|07|Eir|Ireland",
+    "272|08|Eir|Ireland",
+    "272|09|Clever Communications Ltd.|Ireland",
+    "272|11|Tesco Mobile|Ireland",
+    "272|13|Lycamobile|Ireland",
+    "272|15|Virgin Mobile|Ireland",
+    "272|16|Carphone Warehouse|Ireland",
+    "272|17|3|Ireland",
+    "272|18|Cubic Telecom Limited|Ireland",
+    "272|21|Net Feasa Limited|Ireland",
+    "272|68|Office of the Government Chief Information Officer|Ireland",
+    "274|01|Síminn|Iceland",
+    "274|02|Vodafone|Iceland",
+    "274|03|Vodafone|Iceland",
+    "274|04|Viking|Iceland",
+    "274|05|Halló Frjáls fjarskipti hf.|Iceland",
+    "274|06|Núll níu ehf|Iceland",
+    "274|07|IceCell|Iceland",
+    "274|08|On-waves|Iceland",
+    "274|11|Nova|Iceland",
+    "274|12|Tal|Iceland",
+    "274|16|Tismi BV|Iceland",
+    "274|22|Landhelgisgæslan (Icelandic Coast Guard)|Iceland",
+    "274|31|Síminn|Iceland",
+    "274|91|Neyðarlínan|Iceland",
+    "276|01|ONE|Albania",
+    "276|02|Vodafone|Albania",
+    "276|03|ALBtelecom|Albania",
+    "276|04|Plus Communication|Albania",
+    "278|01|Epic|Malta",
+    "278|11|YOM Ltd.|Malta",
+    "278|21|GO|Malta",
+    "278|30|GO|Malta",
+    "278|77|Melita|Malta",
+    "280|01|Cytamobile-Vodafone|Cyprus",
+    "280|02|Cytamobile-Vodafone|Cyprus",
+    "280|10|Epic|Cyprus",
+    "280|20|PrimeTel|Cyprus",
+    "280|22|lemontel|Cyprus",
+    "280|23|Vectone Mobile|Cyprus",
+    "282|01|Geocell|Georgia",
+    "282|02|Magti|Georgia",
+    "282|03|MagtiFix|Georgia",
+    "282|04|Beeline|Georgia",
+    "282|05|S1|Georgia",
+    "282|06|JSC Compatel|Georgia",
+    "282|07|GlobalCell|Georgia",
+    "282|08|Silk LTE|Georgia",
+    "282|09|Gmobile|Georgia",
+    "282|10|Premium Net International SRL|Georgia",
+    "282|11|Mobilive|Georgia",
+    "282|12|Telecom1 Ltd|Georgia",
+    "282|13|Asanet Ltd|Georgia",
+    "282|14|DataCell|Georgia",
+    "282|15|Servicebox Ltd|Georgia",
+    "282|22|Myphone|Georgia",
+    "283|01|Beeline|Armenia",
+    "283|04|Karabakh Telecom|Armenia",
+    "283|05|VivaCell-MTS|Armenia",
+    "283|10|Ucom|Armenia",
+    "284|01|A1 BG|Bulgaria",
+    "284|03|Vivacom|Bulgaria",
+    "284|05|Yettel|Bulgaria",
+    "284|07|НКЖИ|Bulgaria",
+    "284|09|COMPATEL LIMITED|Bulgaria",
+    "284|11|Bulsatcom|Bulgaria",
+    "284|13|Ти.ком|Bulgaria",
+    "286|01|Turkcell|Turkey",
+    "286|02|Vodafone|Turkey",
+    "286|03|Türk Telekom|Turkey",
+    "286|04|Aycell|Turkey",
+    "288|01|Føroya Tele|Faroe Islands (Kingdom of Denmark)",
+    "288|02|Nema|Faroe Islands (Kingdom of Denmark)",
+    "288|03|TOSA|Faroe Islands (Kingdom of Denmark)",
+    "289|67|Aquafon|Abkhazia",
+    "289|88|A-Mobile|Abkhazia",
+    "290|01|tusass|Greenland (Kingdom of Denmark)",
+    "290|02|Nanoq Media|Greenland (Kingdom of Denmark)",
+    "290|03|GTV Greenland|Greenland (Kingdom of Denmark)",
+    "292|01|PRIMA|San Marino",
+    "293|10|SŽ - Infrastruktura, d.o.o.|Slovenia",
+    "293|11|BeeIN d.o.o.|Slovenia",
+    "293|20|COMPATEL Ltd|Slovenia",
+    "293|21|NOVATEL d.o.o.|Slovenia",
+    "293|22|Mobile One Ltd.|Slovenia",
+    "293|40|A1 SI|Slovenia",
+    "293|41|Mobitel|Slovenia",
+    "293|64|T-2|Slovenia",
+    "293|70|Telemach|Slovenia",
+    "293|86|ELEKTRO GORENJSKA, d.d|Slovenia",
+    "294|01|Telekom.mk|North Macedonia",
+    "294|02|one|North Macedonia",
+    "294|03|A1 MK|North Macedonia",
+    "294|04|Lycamobile|North Macedonia",
+    "294|10|WTI Macedonia|North Macedonia",
+    "294|11|MOBIK TELEKOMUNIKACII DOOEL Skopje|North Macedonia",
+    "294|12|MTEL DOOEL Skopje|North Macedonia",
+    "295|01|Swisscom|Liechtenstein",
+    "295|02|7acht|Liechtenstein",
+    "295|05|FL1|Liechtenstein",
+    "295|06|Cubic Telecom|Liechtenstein",
+    "295|07|First Mobile AG|Liechtenstein",
+    "295|09|EMnify GmbH|Liechtenstein",
+    "295|10|Soracom LI Ltd.|Liechtenstein",
+    "295|11|DIMOCO Messaging AG|Liechtenstein",
+    "295|77|Alpmobil|Liechtenstein",
+    "297|01|One|Montenegro",
+    "297|02|telekom.me|Montenegro",
+    "297|03|m:tel|Montenegro",
+    "302|100|dotmobile|Canada",
+    "302|130|Xplore|Canada",
+    "302|131|Xplore|Canada",
+    "302|140|Fibernetics|Canada",
+    "302|150|Cogeco Connexion Inc.|Canada",
+    "302|151|Cogeco Connexion Inc.|Canada",
+    "302|152|Cogeco Connexion Inc.|Canada",
+    "302|220|Telus Mobility, Koodo Mobile, Public Mobile|Canada",
+    "302|221|Telus|Canada",
+    "302|222|Telus|Canada",
+    "302|230|ISP Telecom|Canada",
+    "302|250|ALO|Canada",
+    "302|270|EastLink|Canada",
+    "302|290|Airtel Wireless|Canada",
+    "302|300|ECOTEL|Canada",
+    "302|310|ECOTEL|Canada",
+    "302|320|Rogers Wireless|Canada",
+    "302|330|Blue Canada Wireless Inc.|Canada",
+    "302|340|Execulink|Canada",
+    "302|350|Naskapi Imuun Inc.|Canada",
+    "302|360|MiKe|Canada",
+    "302|361|Telus|Canada",
+    "302|370|Fido|Canada",
+    "302|380|Keewaytinook Mobile|Canada",
+    "302|390|DMTS|Canada",
+    "302|420|ABC|Canada",
+    "302|480|Qiniq|Canada",
+    "302|490|Freedom Mobile|Canada",
+    "302|491|Freedom Mobile|Canada",
+    "302|500|Videotron|Canada",
+    "302|510|Videotron|Canada",
+    "302|520|Rogers (Vidéotron MOCN)|Canada",
+    "302|530|Keewaytinook Mobile|Canada",
+    "302|540|Rovvr Communications Inc.|Canada",
+    "302|550|Star Solutions International Inc.|Canada",
+    "302|560|Lynx Mobility|Canada",
+    "302|570|Ligado Networks Corp.|Canada",
+    "302|590|Quadro Mobility|Canada",
+    "302|600|Iristel|Canada",
+    "302|610|Bell Mobility|Canada",
+    "302|620|ICE Wireless|Canada",
+    "302|630|Aliant Mobility|Canada",
+    "302|640|Bell|Canada",
+    "302|650|TBaytel|Canada",
+    "302|652|BC Tel Mobility (Telus)|Canada",
+    "302|653|Telus|Canada",
+    "302|655|MTS|Canada",
+    "302|656|TBay|Canada",
+    "302|657|Telus|Canada",
+    "302|660|MTS|Canada",
+    "302|670|CityTel Mobility|Canada",
+    "302|680|SaskTel|Canada",
+    "302|681|SaskTel|Canada",
+    "302|690|Bell|Canada",
+    "302|701|MB Tel Mobility|Canada",
+    "302|702|MT&T Mobility (Aliant)|Canada",
+    "302|703|New Tel Mobility (Aliant)|Canada",
+    "302|710|Globalstar|Canada",
+    "302|720|Rogers Wireless|Canada",
+    "302|721|Rogers Wireless|Canada",
+    "302|730|TerreStar Solutions|Canada",
+    "302|740|Shaw Telecom|Canada",
+    "302|750|SaskTel|Canada",
+    "302|760|Public Mobile|Canada",
+    "302|770|TNW Wireless|Canada",
+    "302|780|SaskTel|Canada",
+    "302|781|SaskTel|Canada",
+    "302|790|NetSet Communications|Canada",
+    "302|820|Rogers Wireless|Canada",
+    "302|848|Vocom International Telecommunications, Inc|Canada",
+    "302|860|Telus|Canada",
+    "302|880|Bell / Telus / SaskTel|Canada",
+    "302|910|Halton Regional Police Service|Canada",
+    "302|920|Rogers Wireless|Canada",
+    "302|940|Wightman Mobility|Canada",
+    "302|990|Ericsson Canada|Canada",
+    "302|991|Halton Regional Police Service|Canada",
+    "302|996|Powertech Labs|Canada",
+    "302|997|Powertech Labs|Canada",
+    "302|998|Institut de Recherche d’Hydro-Québec|Canada",
+    "308|01|Ameris|Saint Pierre and Miquelon (France)",
+    "308|02|GLOBALTEL|Saint Pierre and Miquelon (France)",
+    "308|03|Ameris|Saint Pierre and Miquelon (France)",
+    "310|004|Verizon|United States of America",
+    "310|005|Verizon|United States of America",
+    "310|006|Verizon|United States of America",
+    "310|010|Verizon|United States of America",
+    "310|012|Verizon|United States of America",
+    "310|013|Verizon|United States of America",
+    "310|015|Southern LINC|United States of America",
+    "310|016|AT&T|United States of America",
+    "310|017|ProxTel|United States of America",
+    "310|020|Union Wireless|United States of America",
+    "310|030|AT&T|United States of America",
+    "310|032|IT&E Wireless|United States of America",
+    "310|033|Guam Telephone Authority|United States of America",
+    "310|034|Airpeak|United States of America",
+    "310|035|ETEX Wireless|United States of America",
+    "310|040|MTA|United States of America",
+    "310|050|GCI|United States of America",
+    "310|053|Virgin Mobile|United States of America",
+    "310|054|Alltel US|United States of America",
+    "310|060|Consolidated Telcom|United States of America",
+    "310|066|U.S. Cellular|United States of America",
+    "310|070|AT&T|United States of America",
+    "310|080|AT&T|United States of America",
+    "310|090|AT&T|United States of America",
+    "310|100|Plateau Wireless|United States of America",
+    "310|110|IT&E Wireless|United States of America",
+    "310|120|T-Mobile|United States of America",
+    "310|130|Carolina West Wireless|United States of America",
+    "310|140|GTA Wireless|United States of America",
+    "310|150|AT&T|United States of America",
+    "310|160|T-Mobile|United States of America",
+    "310|170|AT&T|United States of America",
+    "310|180|West Central|United States of America",
+    "310|190|GCI|United States of America",
+    "310|200|T-Mobile|United States of America",
+    "310|210|T-Mobile|United States of America",
+    "310|220|T-Mobile|United States of America",
+    "310|230|T-Mobile|United States of America",
+    "310|240|T-Mobile|United States of America",
+    "310|250|T-Mobile|United States of America",
+    "310|260|T-Mobile|United States of America",
+    "310|270|T-Mobile|United States of America",
+    "310|280|AT&T|United States of America",
+    "310|290|nep|United States of America",
+    "310|300|Big Sky Mobile|United States of America",
+    "310|310|T-Mobile|United States of America",
+    "310|311|Farmers Wireless|United States of America",
+    "310|320|Cellular One|United States of America",
+    "310|330|Wireless Partners, LLC|United States of America",
+    "310|340|Limitless Mobile|United States of America",
+    "310|350|Verizon|United States of America",
+    "310|360|Pioneer Cellular|United States of America",
+    "310|370|Docomo|United States of America",
+    "310|380|AT&T|United States of America",
+    "310|390|Cellular One of East Texas|United States of America",
+    "310|400|IT&E Wireless|United States of America",
+    "310|410|AT&T|United States of America",
+    "310|420|Cincinnati Bell|United States of America",
+    "310|430|GCI|United States of America",
+    "310|440|Numerex|United States of America",
+    "310|450|Viaero|United States of America",
+    "310|460|Conecto|United States of America",
+    "310|470|NTT DoCoMo Pacific|United States of America",
+    "310|480|IT&E Wireless|United States of America",
+    "310|490|T-Mobile|United States of America",
+    "310|500|Alltel|United States of America",
+    "310|510|Cellcom|United States of America",
+    "310|520|TNS|United States of America",
+    "310|530|T-Mobile|United States of America",
+    "310|540|Phoenix|United States of America",
+    "310|550|Syniverse Technologies|United States of America",
+    "310|560|AT&T|United States of America",
+    "310|570|Broadpoint, LLC|United States of America",
+    "310|580|Inland Cellular Telephone Company|United States of America",
+    "310|590|Verizon Wireless|United States of America",
+    "310|591|Verizon Wireless|United States of America",
+    "310|592|Verizon Wireless|United States of America",
+    "310|593|Verizon Wireless|United States of America",
+    "310|594|Verizon Wireless|United States of America",
+    "310|595|Verizon Wireless|United States of America",
+    "310|596|Verizon Wireless|United States of America",
+    "310|597|Verizon Wireless|United States of America",
+    "310|598|Verizon Wireless|United States of America",
+    "310|599|Verizon Wireless|United States of America",
+    "310|59|Cellular One|Bermuda",
+    "310|600|Cellcom|United States of America",
+    "310|610|Mavenir Systems Inc|United States of America",
+    "310|620|Cellcom|United States of America",
+    "310|630|Choice Wireless|United States of America",
+    "310|640|Numerex|United States of America",
+    "310|650|Jasper|United States of America",
+    "310|660|T-Mobile|United States of America",
+    "310|670|AT&T|United States of America",
+    "310|680|AT&T|United States of America",
+    "310|690|Limitless Mobile|United States of America",
+    "310|700|Bigfoot Cellular|United States of America",
+    "310|710|ASTAC|United States of America",
+    "310|720|Syniverse Technologies|United States of America",
+    "310|730|U.S. Cellular|United States of America",
+    "310|740|Viaero|United States of America",
+    "310|750|Appalachian Wireless|United States of America",
+    "310|760|Lynch 3G Communications Corporation|United States of America",
+    "310|770|T-Mobile|United States of America",
+    "310|780|Dispatch Direct|United States of America",
+    "310|790|BLAZE|United States of America",
+    "310|800|T-Mobile|United States of America",
+    "310|810|Pacific Lightwave Inc.|United States of America",
+    "310|820|Verizon Wireless|United States of America",
+    "310|830|T-Mobile|United States of America",
+    "310|840|telna Mobile|United States of America",
+    "310|850|Aeris|United States of America",
+    "310|860|Five Star Wireless|United States of America",
+    "310|870|PACE|United States of America",
+    "310|880|DTC Wireless|United States of America",
+    "310|890|Verizon Wireless|United States of America",
+    "310|891|Verizon Wireless|United States of America",
+    "310|892|Verizon Wireless|United States of America",
+    "310|893|Verizon Wireless|United States of America",
+    "310|894|Verizon Wireless|United States of America",
+    "310|895|Verizon Wireless|United States of America",
+    "310|896|Verizon Wireless|United States of America",
+    "310|897|Verizon Wireless|United States of America",
+    "310|898|Verizon Wireless|United States of America",
+    "310|899|Verizon Wireless|United States of America",
+    "310|900|Mid-Rivers Wireless|United States of America",
+    "310|910|Verizon Wireless|United States of America",
+    "310|920|James Valley Wireless, LLC|United States of America",
+    "310|930|Copper Valley Wireless|United States of America",
+    "310|940|Tyntec Inc.|United States of America",
+    "310|950|AT&T|United States of America",
+    "310|960|STRATA|United States of America",
+    "310|970|Globalstar|United States of America",
+    "310|980|Peoples Telephone|United States of America",
+    "310|990|Evolve Broadband|United States of America",
+    "311|000|West Central Wireless|United States of America",
+    "311|010|Chariton Valley|United States of America",
+    "311|012|Verizon|United States of America",
+    "311|020|Chariton Valley|United States of America",
+    "311|030|Indigo Wireless|United States of America",
+    "311|040|Choice Wireless|United States of America",
+    "311|050|Thumb Cellular LP|United States of America",
+    "311|060|Space Data Corporation|United States of America",
+    "311|070|AT&T|United States of America",
+    "311|080|Pine Cellular|United States of America",
+    "311|090|AT&T|United States of America",
+    "311|100|Nex-Tech Wireless|United States of America",
+    "311|110|Verizon|United States of America",
+    "311|120|IT&E Wireless|United States of America",
+    "311|130|Black & Veatch|United States of America",
+    "311|140|Bravado Wireless|United States of America",
+    "311|150|Wilkes Cellular|United States of America",
+    "311|160|Lightsquared L.P.|United States of America",
+    "311|170|Tampnet|United States of America",
+    "311|180|AT&T|United States of America",
+    "311|190|AT&T|United States of America",
+    "311|200|Dish Wireless|United States of America",
+    "311|210|Telnyx LLC|United States of America",
+    "311|220|U.S. Cellular|United States of America",
+    "311|230|C Spire|United States of America",
+    "311|240|Cordova Wireless|United States of America",
+    "311|250|IT&E Wireless|United States of America",
+    "311|260|T-Mobile|United States of America",
+    "311|270|Verizon|United States of America",
+    "311|271|Verizon|United States of America",
+    "311|272|Verizon|United States of America",
+    "311|273|Verizon|United States of America",
+    "311|274|Verizon|United States of America",
+    "311|275|Verizon|United States of America",
+    "311|276|Verizon|United States of America",
+    "311|277|Verizon|United States of America",
+    "311|278|Verizon|United States of America",
+    "311|279|Verizon|United States of America",
+    "311|280|Verizon|United States of America",
+    "311|281|Verizon|United States of America",
+    "311|282|Verizon|United States of America",
+    "311|283|Verizon|United States of America",
+    "311|284|Verizon|United States of America",
+    "311|285|Verizon|United States of America",
+    "311|286|Verizon|United States of America",
+    "311|287|Verizon|United States of America",
+    "311|288|Verizon|United States of America",
+    "311|289|Verizon|United States of America",
+    "311|290|BLAZE|United States of America",
+    "311|300|Nexus Communications, Inc.|United States of America",
+    "311|310|NMobile|United States of America",
+    "311|320|Choice Wireless|United States of America",
+    "311|330|Bug Tussel Wireless|United States of America",
+    "311|340|Illinois Valley Cellular|United States of America",
+    "311|350|Nemont|United States of America",
+    "311|360|Stelera Wireless|United States of America",
+    "311|370|GCI Wireless|United States of America",
+    "311|380|New Dimension Wireless Ltd.|United States of America",
+    "311|390|Verizon|United States of America",
+    "311|410|Chat Mobility|United States of America",
+    "311|420|NorthwestCell|United States of America",
+    "311|430|Chat Mobility|United States of America",
+    "311|440|Verizon Wireless|United States of America",
+    "311|450|PTCI|United States of America",
+    "311|460|Electric Imp Inc.|United States of America",
+    "311|470|Viya|United States of America",
+    "311|480|Verizon|United States of America",
+    "311|481|Verizon|United States of America",
+    "311|482|Verizon|United States of America",
+    "311|483|Verizon|United States of America",
+    "311|484|Verizon|United States of America",
+    "311|485|Verizon|United States of America",
+    "311|486|Verizon|United States of America",
+    "311|487|Verizon|United States of America",
+    "311|488|Verizon|United States of America",
+    "311|489|Verizon|United States of America",
+    "311|490|T-Mobile|United States of America",
+    "311|500|Mosaic Telecom|United States of America",
+    "311|510|Ligado Networks|United States of America",
+    "311|520|Lightsquared L.P.|United States of America",
+    "311|530|NewCore|United States of America",
+    "311|540|Coeur Rochester, Inc|United States of America",
+    "311|550|Choice Wireless|United States of America",
+    "311|560|OTZ Cellular|United States of America",
+    "311|570|Mediacom|United States of America",
+    "311|580|U.S. Cellular|United States of America",
+    "311|590|Verizon|United States of America",
+    "311|600|Limitless Mobile|United States of America",
+    "311|610|SRT Communications|United States of America",
+    "311|620|TerreStar Networks, Inc.|United States of America",
+    "311|630|C Spire|United States of America",
+    "311|640|Rock Wireless|United States of America",
+    "311|650|United Wireless|United States of America",
+    "311|660|Metro|United States of America",
+    "311|670|Pine Belt Wireless|United States of America",
+    "311|680|GreenFly LLC|United States of America",
+    "311|690|TeleBEEPER of New Mexico|United States of America",
+    "311|700|Midwest Network Solutions Hub LLC|United States of America",
+    "311|710|Northeast Wireless Networks LLC|United States of America",
+    "311|720|MainePCS LLC|United States of America",
+    "311|730|Proximiti Mobility Inc.|United States of America",
+    "311|740|Telalaska Cellular|United States of America",
+    "311|750|ClearTalk|United States of America",
+    "311|760|Edigen Inc.|United States of America",
+    "311|770|Altiostar Networks, Inc.|United States of America",
+    "311|780|ASTCA|United States of America",
+    "311|790|Coleman County Telephone Cooperative, Inc.|United States of America",
+    "311|800|Verizon Wireless|United States of America",
+    "311|810|Verizon Wireless|United States of America",
+    "311|820|Sonus Networks|United States of America",
+    "311|830|Thumb Cellular LP|United States of America",
+    "311|840|Cellcom|United States of America",
+    "311|850|Cellcom|United States of America",
+    "311|860|STRATA|United States of America",
+    "311|870|T-Mobile|United States of America",
+    "311|880|T-Mobile|United States of America",
+    "311|882|T-Mobile|United States of America",
+    "311|890|Globecomm Network Services Corporation|United States of America",
+    "311|900|GigSky|United States of America",
+    "311|910|MobileNation|United States of America",
+    "311|920|Chariton Valley|United States of America",
+    "311|930|Cox Communications|United States of America",
+    "311|940|T-Mobile|United States of America",
+    "311|950|ETC|United States of America",
+    "311|960|Lycamobile|United States of America",
+    "311|970|Big River Broadband|United States of America",
+    "311|980|LigTel Communications|United States of America",
+    "311|990|VTel Wireless|United States of America",
+    "312|010|Chariton Valley|United States of America",
+    "312|020|Infrastructure Networks, LLC|United States of America",
+    "312|030|Bravado Wireless|United States of America",
+    "312|040|Custer Telephone Co-op (CTCI)|United States of America",
+    "312|050|Fuego Wireless|United States of America",
+    "312|060|CoverageCo|United States of America",
+    "312|070|Adams Networks Inc|United States of America",
+    "312|080|SyncSouth|United States of America",
+    "312|090|AT&T|United States of America",
+    "312|100|ClearSky Technologies, Inc.|United States of America",
+    "312|110|Texas Energy Network LLC|United States of America",
+    "312|120|Appalachian Wireless|United States of America",
+    "312|130|Appalachian Wireless|United States of America",
+    "312|140|Revol Wireless|United States of America",
+    "312|150|NorthwestCell|United States of America",
+    "312|160|Chat Mobility|United States of America",
+    "312|170|Chat Mobility|United States of America",
+    "312|180|Limitless Mobile LLC|United States of America",
+    "312|190|T-Mobile|United States of America",
+    "312|200|Voyager Mobility LLC|United States of America",
+    "312|210|Aspenta International, Inc.|United States of America",
+    "312|220|Chariton Valley|United States of America",
+    "312|230|SRT Communications|United States of America",
+    "312|240|Sprint|United States of America",
+    "312|250|T-Mobile|United States of America",
+    "312|260|WorldCell Solutions LLC|United States of America",
+    "312|270|Pioneer Cellular|United States of America",
+    "312|280|Pioneer Cellular|United States of America",
+    "312|290|STRATA|United States of America",
+    "312|300|telna Mobile|United States of America",
+    "312|310|Clear Stream Communications, LLC|United States of America",
+    "312|320|RTC Communications LLC|United States of America",
+    "312|330|Nemont|United States of America",
+    "312|340|MTA|United States of America",
+    "312|350|Triangle Communication System Inc.|United States of America",
+    "312|360|Wes-Tex Telecommunications, Ltd.|United States of America",
+    "312|370|Choice Wireless|United States of America",
+    "312|380|Copper Valley Wireless|United States of America",
+    "312|390|FTC Wireless|United States of America",
+    "312|400|Mid-Rivers Wireless|United States of America",
+    "312|410|Eltopia Communications, LLC|United States of America",
+    "312|420|Nex-Tech Wireless|United States of America",
+    "312|430|Silver Star Communications|United States of America",
+    "312|440|Kajeet, Inc.|United States of America",
+    "312|450|Cable & Communications Corporation|United States of America",
+    "312|460|Ketchikan Public Utilities (KPU)|United States of America",
+    "312|470|Carolina West Wireless|United States of America",
+    "312|480|Nemont|United States of America",
+    "312|490|TrustComm, Inc.|United States of America",
+    "312|500|AB Spectrum LLC|United States of America",
+    "312|510|WUE Inc.|United States of America",
+    "312|520|ANIN|United States of America",
+    "312|530|T-Mobile|United States of America",
+    "312|540|Broadband In Hand LLC|United States of America",
+    "312|550|Great Plains Communications, Inc.|United States of America",
+    "312|560|NHLT Inc.|United States of America",
+    "312|570|Blue Wireless|United States of America",
+    "312|580|Google LLC|United States of America",
+    "312|590|NMU|United States of America",
+    "312|600|Nemont|United States of America",
+    "312|610|ShawnTech Communications|United States of America",
+    "312|620|GlobeTouch Inc.|United States of America",
+    "312|630|NetGenuity, Inc.|United States of America",
+    "312|640|Nemont|United States of America",
+    "312|650|Brightlink|United States of America",
+    "312|660|nTelos|United States of America",
+    "312|670|FirstNet|United States of America",
+    "312|680|AT&T|United States of America",
+    "312|690|TGS, LLC|United States of America",
+    "312|700|Wireless Partners, LLC|United States of America",
+    "312|710|Great North Woods Wireless LLC|United States of America",
+    "312|720|Southern LINC|United States of America",
+    "312|730|Triangle Communication System Inc.|United States of America",
+    "312|740|Locus Telecommunications|United States of America",
+    "312|750|Artemis Networks LLC|United States of America",
+    "312|760|ASTAC|United States of America",
+    "312|770|Verizon|United States of America",
+    "312|780|Redzone Wireless|United States of America",
+    "312|790|Gila Electronics|United States of America",
+    "312|800|Cirrus Core Networks|United States of America",
+    "312|810|BBCP|United States of America",
+    "312|820|Santel Communications Cooperative, Inc.|United States of America",
+    "312|830|Kings County Office of Education|United States of America",
+    "312|840|South Georgia Regional Information Technology Authority|United States of America",
+    "312|850|Onvoy Spectrum, LLC|United States of America",
+    "312|860|ClearTalk|United States of America",
+    "312|870|GigSky Mobile, LLC|United States of America",
+    "312|880|Albemarle County Public Schools|United States of America",
+    "312|890|Circle Gx|United States of America",
+    "312|900|ClearTalk|United States of America",
+    "312|910|Appalachian Wireless|United States of America",
+    "312|920|Northeast Wireless Networks LLC|United States of America",
+    "312|930|Hewlett-Packard Communication Services, LLC|United States of America",
+    "312|940|Webformix|United States of America",
+    "312|950|Custer Telephone Co-op (CTCI)|United States of America",
+    "312|960|M&A Technology, Inc.|United States of America",
+    "312|970|IOSAZ Intellectual Property LLC|United States of America",
+    "312|980|Mark Twain Communications Company|United States of America",
+    "312|990|Premier Broadband|United States of America",
+    "313|000|Tennessee Wireless|United States of America",
+    "313|010|Bravado Wireless|United States of America",
+    "313|020|CTC Wireless|United States of America",
+    "313|030|AT&T Mobility|United States of America",
+    "313|040|NNTC Wireless|United States of America",
+    "313|050|Breakaway Wireless|United States of America",
+    "313|060|Country Wireless|United States of America",
+    "313|061|Country Wireless|United States of America",
+    "313|070|Midwest Network Solutions Hub LLC|United States of America",
+    "313|080|Speedwavz LLP|United States of America",
+    "313|090|Vivint Wireless, Inc.|United States of America",
+    "313|100|FirstNet|United States of America",
+    "313|110|FirstNet|United States of America",
+    "313|120|FirstNet|United States of America",
+    "313|130|FirstNet|United States of America",
+    "313|140|FirstNet|United States of America",
+    "313|150|FirstNet|United States of America",
+    "313|160|FirstNet|United States of America",
+    "313|170|FirstNet|United States of America",
+    "313|180|FirstNet|United States of America",
+    "313|190|FirstNet|United States of America",
+    "313|200|Mercury Network Corporation|United States of America",
+    "313|210|AT&T|United States of America",
+    "313|220|Custer Telephone Co-op (CTCI)|United States of America",
+    "313|230|Velocity Communications Inc.|United States of America",
+    "313|240|Peak Internet|United States of America",
+    "313|250|Imperial County Office of Education|United States of America",
+    "313|260|Expeto Wireless Inc.|United States of America",
+    "313|270|Blackstar Management|United States of America",
+    "313|280|King Street Wireless, LP|United States of America",
+    "313|290|Gulf Coast Broadband LLC|United States of America",
+    "313|300|Cambio WiFi of Delmarva, LLC|United States of America",
+    "313|310|CAL.NET, Inc.|United States of America",
+    "313|320|Paladin Wireless|United States of America",
+    "313|330|CenturyTel Broadband Services LLC|United States of America",
+    "313|340|Dish|United States of America",
+    "313|350|Dish|United States of America",
+    "313|360|Dish|United States of America",
+    "313|370|Red Truck Wireless, LLC|United States of America",
+    "313|380|OptimERA Inc.|United States of America",
+    "313|390|Altice USA Wireless, Inc.|United States of America",
+    "313|400|Texoma Communications, LLC|United States of America",
+    "313|410|pdvWireless|United States of America",
+    "313|420|Hudson Valley Wireless|United States of America",
+    "313|440|Arvig Enterprises, Inc.|United States of America",
+    "313|450|Spectrum Wireless Holdings, LLC|United States of America",
+    "313|460|Mobi|United States of America",
+    "313|470|San Diego Gas & Electric Company|United States of America",
+    "313|480|Ready Wireless, LLC|United States of America",
+    "313|490|Puloli, Inc.|United States of America",
+    "313|500|Shelcomm, Inc.|United States of America",
+    "313|510|Claro|United States of America",
+    "313|520|Florida Broadband, Inc.|United States of America",
+    "313|540|Nokia Innovations US LLC|United States of America",
+    "313|550|Mile High Networks LLC|United States of America",
+    "313|560|Transit Wireless LLC|United States of America",
+    "313|570|Pioneer Cellular|United States of America",
+    "313|580|Telecall Telecommunications Corp.|United States of America",
+    "313|590|Southern LINC|United States of America",
+    "313|600|ST Engineering iDirect|United States of America",
+    "313|610|Crystal Automation Systems, Inc.|United States of America",
+    "313|620|OmniProphis Corporation|United States of America",
+    "313|630|LICT Corporation|United States of America",
+    "313|640|Geoverse LLC|United States of America",
+    "313|650|Chevron USA, Inc.|United States of America",
+    "313|660|Hudson Valley Wireless|United States of America",
+    "313|670|Hudson Valley Wireless|United States of America",
+    "313|680|Hudson Valley Wireless|United States of America",
+    "313|690|Shenandoah Cable Television, LLC|United States of America",
+    "313|700|Ameren Services Company|United States of America",
+    "313|710|Extent Systems|United States of America",
+    "313|720|1st Point Communications, LLC|United States of America",
+    "313|730|TruAccess Networks|United States of America",
+    "313|740|RTO Wireless, LLC|United States of America",
+    "313|750|ZipLink|United States of America",
+    "313|760|Hologram, Inc.|United States of America",
+    "313|770|Tango Networks|United States of America",
+    "313|780|Windstream Holdings|United States of America",
+    "313|790|Liberty|United States of America",
+    "313|800|Wireless Technologies of Nebraska|United States of America",
+    "313|810|Watch Communications|United States of America",
+    "313|820|Inland Cellular Telephone Company|United States of America",
+    "313|830|360 Communications|United States of America",
+    "313|840|CellBlox Acquisitions|United States of America",
+    "313|850|Softcom Internet Communications, Inc|United States of America",
+    "313|860|Nextlink|United States of America",
+    "313|870|ElektraFi LLC|United States of America",
+    "313|880|Shuttle wireless|United States of America",
+    "313|890|TCOE|United States of America",
+    "313|900|Tribal Networks|United States of America",
+    "313|910|San Diego Gas & Electric|United States of America",
+    "313|920|JCI|United States of America",
+    "313|930|Rock Wireless|United States of America",
+    "313|940|Motorola Solutions|United States of America",
+    "313|950|Cheyenne and Arapaho Development Group|United States of America",
+    "313|960|Townes 5G, LLC|United States of America",
+    "313|970|Tycrhron|United States of America",
+    "313|980|Next Generation Application LLC|United States of America",
+    "313|990|Ericsson US|United States of America",
+    "314|010|Boingo Wireless Inc.|United States of America",
+    "314|020|Spectrum Wireless Holdings, LLC|United States of America",
+    "314|030|Baicells Technologies North America Inc.|United States of America",
+    "314|060|Texas A&M University|United States of America",
+    "314|070|Texas A&M University|United States of America",
+    "314|080|Texas A&M University|United States of America",
+    "314|090|Southern LINC|United States of America",
+    "314|200|XF Wireless Investments, LLC|United States of America",
+    "314|210|Telecom Resource Center|United States of America",
+    "314|220|Securus Technologies|United States of America",
+    "314|230|Trace-Tek LLC|United States of America",
+    "314|240|XF Wireless Investments, LLC|United States of America",
+    "314|260|AT&T Mobility|United States of America",
+    "314|270|AT&T Mobility|United States of America",
+    "314|280|AT&T Mobility|United States of America",
+    "314|290|Wave|United States of America",
+    "314|300|Southern California Edison|United States of America",
+    "314|310|Terranet|United States of America",
+    "314|320|Agri-Valley Communications, Inc|United States of America",
+    "314|330|FreedomFi|United States of America",
+    "314|340|e/marconi|United States of America",
+    "315|010|CBRS|United States of America",
+    "316|010|Nextel|United States of America",
+    "316|011|Southern LINC|United States of America",
+    "330|000|Open Mobile|Puerto Rico",
+    "330|110|Claro Puerto Rico|Puerto Rico",
+    "330|120|Open Mobile|Puerto Rico",
+    "334|001|Comunicaciones Digitales Del Norte, S.A. de C.V.|Mexico",
+    "334|010|AT&T|Mexico",
+    "334|020|Telcel|Mexico",
+    "334|030|Movistar|Mexico",
+    "334|040|Unefon|Mexico",
+    "334|050|AT&T / Unefon|Mexico",
+    "334|060|Servicios de Acceso Inalambrico, S.A. de C.V.|Mexico",
+    "334|066|Telefonos de México, S.A.B. de C.V.|Mexico",
+    "334|070|Unefon|Mexico",
+    "334|080|Unefon|Mexico",
+    "334|090|AT&T|Mexico",
+    "334|100|Telecomunicaciones de México|Mexico",
+    "334|110|Maxcom Telecomunicaciones, S.A.B. de C.V.|Mexico",
+    "334|120|Quickly Phone, S.A. de C.V.|Mexico",
+    "334|130|ALESTRA SERVICIOS MÓVILES, S.A. DE C.V.|Mexico",
+    "334|140|Red Compartida|Mexico",
+    "334|150|Ultranet|Mexico",
+    "334|160|Cablevisión Red, S.A. de C.V.|Mexico",
+    "334|170|Oxio Mobile, S.A. de C.V.|Mexico",
+    "334|180|FreedomPop|Mexico",
+    "334|190|Viasat|Mexico",
+    "338|020|FLOW|Jamaica",
+    "338|040|Caricel|Jamaica",
+    "338|050|Digicel Bermuda|Bermuda",
+    "338|05|Digicel|Jamaica",
+    "338|070|Claro|Jamaica",
+    "338|080|Rock Mobile Limited|Jamaica",
+    "338|110|FLOW|Jamaica",
+    "338|180|FLOW|Jamaica",
+    "340|01|Orange|French Antilles (France)",
+    "340|02|SFR Caraïbe|French Antilles (France)",
+    "340|03|FLOW|French Antilles (France)",
+    "340|04|Free|French Antilles (France)",
+    "340|08|Dauphin|French Antilles (France)",
+    "340|09|Free|French Antilles (France)",
+    "340|10|Guadeloupe Téléphone Mobile|French Antilles (France)",
+    "340|11|Guyane Téléphone Mobile|French Antilles (France)",
+    "340|12|Martinique Téléphone Mobile|French Antilles (France)",
+    "340|20|Digicel|French Antilles (France)",
+    "342|600|FLOW|Barbados",
+    "342|646|KW Telecommunications Inc.|Barbados",
+    "342|750|Digicel|Barbados",
+    "342|800|Ozone|Barbados",
+    "342|820|Neptune Communications Inc.|Barbados",
+    "344|030|APUA|Antigua and Barbuda",
+    "344|050|Digicel|Antigua and Barbuda",
+    "344|920|FLOW|Antigua and Barbuda",
+    "344|930|AT&T Wireless|Antigua and Barbuda",
+    "346|001|Logic|Cayman Islands (United Kingdom)",
+    "346|050|Digicel|Cayman Islands (United Kingdom)",
+    "346|140|FLOW|Cayman Islands (United Kingdom)",
+    "348|170|FLOW|British Virgin Islands (United Kingdom)",
+    "348|370|BVI Cable TV Ltd|British Virgin Islands (United Kingdom)",
+    "348|570|CCT Boatphone|British Virgin Islands (United Kingdom)",
+    "348|770|Digicel|British Virgin Islands (United Kingdom)",
+    "350|007|Paradise Mobile|Bermuda",
+    "350|00|One|Bermuda",
+    "350|01|Digicel Bermuda|Bermuda",
+    "350|02|Mobility|Bermuda",
+    "350|05|Telecom Networks|Bermuda",
+    "350|11|Deltronics|Bermuda",
+    "350|15|FKB Net Ltd.|Bermuda",
+    "352|030|Digicel|Grenada",
+    "352|110|FLOW|Grenada",
+    "354|860|FLOW|Montserrat (United Kingdom)",
+    "356|050|Digicel|Saint Kitts and Nevis",
+    "356|070|FLOW|Saint Kitts and Nevis",
+    "356|110|FLOW|Saint Kitts and Nevis",
+    "358|110|FLOW|Saint Lucia",
+    "360|050|Digicel|Saint Vincent and the Grenadines",
+    "360|100|Cingular Wireless|Saint Vincent and the Grenadines",
+    "360|110|FLOW|Saint Vincent and the Grenadines",
+    "362|31|Eutel N.V.|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|33|WICC N.V.|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|51|Telcell|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|54|ECC|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|59|FLOW|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|60|FLOW|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|63|CSC N.V.|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|68|Digicel|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|69|Digicel|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|74|PCS N.V.|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|76|Digicel|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|78|Telbo|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|91|FLOW|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|94|Bayòs|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "362|95|MIO|Former Netherlands Antilles (Kingdom of the Netherlands)",
+    "363|01|SETAR|Aruba (Kingdom of the Netherlands)",
+    "363|02|Digicel|Aruba (Kingdom of the Netherlands)",
+    "364|39|BTC|Bahamas",
+    "364|49|Aliv|Bahamas",
+    "365|010|Digicel|Anguilla (United Kingdom)",
+    "365|840|FLOW|Anguilla (United Kingdom)",
+    "366|020|Digicel|Dominica",
+    "366|110|FLOW|Dominica",
+    "368|01|CUBACEL|Cuba",
+    "370|01|Altice|Dominican Republic",
+    "370|02|Claro|Dominican Republic",
+    "370|03|Altice|Dominican Republic",
+    "370|04|Viva|Dominican Republic",
+    "370|05|Wind|Dominican Republic",
+    "372|01|Voila|Haiti",
+    "372|02|Digicel|Haiti",
+    "372|03|Natcom|Haiti",
+    "374|01|bmobile|Trinidad and Tobago",
+    "374|120|bmobile|Trinidad and Tobago",
+    "374|129|bmobile|Trinidad and Tobago",
+    "374|12|bmobile|Trinidad and Tobago",
+    "374|130|Digicel|Trinidad and Tobago",
+    "374|13|Digicel|Trinidad and Tobago",
+    "374|140|Laqtel|Trinidad and Tobago",
+    "374|20|bmobile|Trinidad and Tobago",
+    "376|350|FLOW|Turks and Caicos Islands",
+    "376|351|Digicel|Turks and Caicos Islands",
+    "376|352|FLOW|Turks and Caicos Islands",
+    "376|360|Digicel|Turks and Caicos Islands",
+    "400|01|Azercell|Azerbaijan",
+    "400|02|Bakcell|Azerbaijan",
+    "400|03|FONEX|Azerbaijan",
+    "400|04|Nar Mobile|Azerbaijan",
+    "400|05|Special State Protection Service of the Republic of Azerbaijan|Azerbaijan",
+    "400|06|Naxtel|Azerbaijan",
+    "401|01|Beeline|Kazakhstan",
+    "401|02|Kcell|Kazakhstan",
+    "401|07|Altel|Kazakhstan",
+    "401|08|Kazakhtelecom|Kazakhstan",
+    "401|77|Tele2.kz|Kazakhstan",
+    "402|11|B-Mobile|Bhutan",
+    "402|17|B-Mobile|Bhutan",
+    "402|77|TashiCell|Bhutan",
+    "404|01|Vi India|India",
+    "404|02|AirTel|India",
+    "404|03|AirTel|India",
+    "404|04|Vi India|India",
+    "404|05|Vi India|India",
+    "404|07|Vi India|India",
+    "404|09|Reliance|India",
+    "404|10|AirTel|India",
+    "404|11|Vi India|India",
+    "404|12|Vi India|India",
+    "404|13|Vi India|India",
+    "404|14|Vi India|India",
+    "404|15|Vi India|India",
+    "404|16|Airtel|India",
+    "404|17|AIRCEL|India",
+    "404|18|Reliance|India",
+    "404|19|Vi India|India",
+    "404|20|Vi India|India",
+    "404|21|Loop Mobile|India",
+    "404|22|Vi India|India",
+    "404|23|Reliance|India",
+    "404|24|Vi India|India",
+    "404|25|AIRCEL|India",
+    "404|27|Vi India|India",
+    "404|28|AIRCEL|India",
+    "404|29|AIRCEL|India",
+    "404|30|Vi India|India",
+    "404|31|AirTel|India",
+    "404|34|BSNL Mobile|India",
+    "404|35|Aircel|India",
+    "404|36|Reliance|India",
+    "404|37|Aircel|India",
+    "404|38|BSNL Mobile|India",
+    "404|40|AirTel|India",
+    "404|41|Aircel|India",
+    "404|42|Aircel|India",
+    "404|43|Vi India|India",
+    "404|44|Vi India|India",
+    "404|45|Airtel|India",
+    "404|46|Vi India|India",
+    "404|48|Dishnet Wireless|India",
+    "404|49|Airtel|India",
+    "404|50|Reliance|India",
+    "404|51|BSNL Mobile|India",
+    "404|52|Reliance|India",
+    "404|53|BSNL Mobile|India",
+    "404|54|BSNL Mobile|India",
+    "404|55|BSNL Mobile|India",
+    "404|56|Vi India|India",
+    "404|57|BSNL Mobile|India",
+    "404|58|BSNL Mobile|India",
+    "404|59|BSNL Mobile|India",
+    "404|60|Vi India|India",
+    "404|62|BSNL Mobile|India",
+    "404|64|BSNL Mobile|India",
+    "404|66|BSNL Mobile|India",
+    "404|67|Reliance|India",
+    "404|68|MTNL|India",
+    "404|69|MTNL|India",
+    "404|70|AirTel|India",
+    "404|71|BSNL Mobile|India",
+    "404|72|BSNL Mobile|India",
+    "404|73|BSNL Mobile|India",
+    "404|74|BSNL Mobile|India",
+    "404|75|BSNL Mobile|India",
+    "404|76|BSNL Mobile|India",
+    "404|77|BSNL Mobile|India",
+    "404|78|Vi India|India",
+    "404|79|BSNL Mobile|India",
+    "404|80|BSNL Mobile|India",
+    "404|81|BSNL Mobile|India",
+    "404|82|Vi India|India",
+    "404|83|Reliance|India",
+    "404|84|Vi India|India",
+    "404|85|Reliance|India",
+    "404|86|Vi India|India",
+    "404|87|Vi India|India",
+    "404|88|Vi India|India",
+    "404|89|Vi India|India",
+    "404|90|AirTel|India",
+    "404|91|AIRCEL|India",
+    "404|92|AirTel|India",
+    "404|93|AirTel|India",
+    "404|94|AirTel|India",
+    "404|95|AirTel|India",
+    "404|96|AirTel|India",
+    "404|97|AirTel|India",
+    "404|98|AirTel|India",
+    "405|01|Reliance|India",
+    "405|025|TATA DOCOMO|India",
+    "405|026|TATA DOCOMO|India",
+    "405|027|TATA DOCOMO|India",
+    "405|028|TATA DOCOMO|India",
+    "405|029|TATA DOCOMO|India",
+    "405|030|TATA DOCOMO|India",
+    "405|031|TATA DOCOMO|India",
+    "405|032|TATA DOCOMO|India",
+    "405|033|TATA DOCOMO|India",
+    "405|034|TATA DOCOMO|India",
+    "405|035|TATA DOCOMO|India",
+    "405|036|TATA DOCOMO|India",
+    "405|037|TATA DOCOMO|India",
+    "405|038|TATA DOCOMO|India",
+    "405|039|TATA DOCOMO|India",
+    "405|03|Reliance|India",
+    "405|041|TATA DOCOMO|India",
+    "405|042|TATA DOCOMO|India",
+    "405|043|TATA DOCOMO|India",
+    "405|044|TATA DOCOMO|India",
+    "405|045|TATA DOCOMO|India",
+    "405|046|TATA DOCOMO|India",
+    "405|047|TATA DOCOMO|India",
+    "405|04|Reliance|India",
+    "405|05|Reliance|India",
+    "405|06|Reliance|India",
+    "405|07|Reliance|India",
+    "405|08|Reliance|India",
+    "405|09|Reliance|India",
+    "405|10|Reliance|India",
+    "405|11|Reliance|India",
+    "405|12|Reliance|India",
+    "405|13|Reliance|India",
+    "405|14|Reliance|India",
+    "405|15|Reliance|India",
+    "405|17|Reliance|India",
+    "405|18|Reliance|India",
+    "405|19|Reliance|India",
+    "405|20|Reliance|India",
+    "405|21|Reliance|India",
+    "405|22|Reliance|India",
+    "405|23|Reliance|India",
+    "405|51|AirTel|India",
+    "405|52|AirTel|India",
+    "405|53|AirTel|India",
+    "405|54|AirTel|India",
+    "405|55|Airtel|India",
+    "405|56|AirTel|India",
+    "405|66|Vi India|India",
+    "405|67|Vi India|India",
+    "405|70|Vi India|India",
+    "405|750|Vi India|India",
+    "405|751|Vi India|India",
+    "405|752|Vi India|India",
+    "405|753|Vi India|India",
+    "405|754|Vi India|India",
+    "405|755|Vi India|India",
+    "405|756|Vi India|India",
+    "405|799|Vi India|India",
+    "405|800|AIRCEL|India",
+    "405|801|AIRCEL|India",
+    "405|802|AIRCEL|India",
+    "405|803|AIRCEL|India",
+    "405|804|AIRCEL|India",
+    "405|805|AIRCEL|India",
+    "405|806|AIRCEL|India",
+    "405|807|AIRCEL|India",
+    "405|808|AIRCEL|India",
+    "405|809|AIRCEL|India",
+    "405|810|AIRCEL|India",
+    "405|811|AIRCEL|India",
+    "405|812|AIRCEL|India",
+    "405|818|Uninor|India",
+    "405|819|Uninor|India",
+    "405|820|Uninor|India",
+    "405|821|Uninor|India",
+    "405|822|Uninor|India",
+    "405|824|Videocon Telecom|India",
+    "405|827|Videocon Telecom|India",
+    "405|834|Videocon Telecom|India",
+    "405|840|Jio|India",
+    "405|844|Uninor|India",
+    "405|845|Vi India|India",
+    "405|846|Vi India|India",
+    "405|847|Vi India|India",
+    "405|848|Vi India|India",
+    "405|849|Vi India|India",
+    "405|850|Vi India|India",
+    "405|851|Vi India|India",
+    "405|852|Vi India|India",
+    "405|853|Vi India|India",
+    "405|854|Jio|India",
+    "405|855|Jio|India",
+    "405|856|Jio|India",
+    "405|857|Jio|India",
+    "405|858|Jio|India",
+    "405|859|Jio|India",
+    "405|860|Jio|India",
+    "405|861|Jio|India",
+    "405|862|Jio|India",
+    "405|863|Jio|India",
+    "405|864|Jio|India",
+    "405|865|Jio|India",
+    "405|866|Jio|India",
+    "405|867|Jio|India",
+    "405|868|Jio|India",
+    "405|869|Jio|India",
+    "405|870|Jio|India",
+    "405|871|Jio|India",
+    "405|872|Jio|India",
+    "405|873|Jio|India",
+    "405|874|Jio|India",
+    "405|875|Uninor|India",
+    "405|880|Uninor|India",
+    "405|881|S Tel|India",
+    "405|908|Vi India|India",
+    "405|909|Vi India|India",
+    "405|910|Vi India|India",
+    "405|911|Vi India|India",
+    "405|912|Etisalat DB (cheers)|India",
+    "405|913|Etisalat DB (cheers)|India",
+    "405|914|Etisalat DB (cheers)|India",
+    "405|917|Etisalat DB (cheers)|India",
+    "405|927|Uninor|India",
+    "405|929|Uninor|India",
+    "410|01|Jazz|Pakistan",
+    "410|02|3G EVO / CharJi 4G|Pakistan",
+    "410|03|Ufone|Pakistan",
+    "410|04|Zong|Pakistan",
+    "410|05|SCO Mobile|Pakistan",
+    "410|06|Telenor|Pakistan",
+    "410|07|Jazz|Pakistan",
+    "410|08|SCO Mobile|Pakistan",
+    "412|01|AWCC|Afghanistan",
+    "412|20|Roshan|Afghanistan",
+    "412|40|MTN|Afghanistan",
+    "412|50|Etisalat|Afghanistan",
+    "412|55|WASEL|Afghanistan",
+    "412|80|Salaam|Afghanistan",
+    "412|88|Salaam|Afghanistan",
+    "413|01|SLTMobitel|Sri Lanka",
+    "413|02|Dialog|Sri Lanka",
+    "413|03|Hutch|Sri Lanka",
+    "413|04|Lanka Bell|Sri Lanka",
+    "413|05|Airtel|Sri Lanka",
+    "413|08|Hutch|Sri Lanka",
+    "413|09|Hutch|Sri Lanka",
+    "413|11|Dialog|Sri Lanka",
+    "413|12|SLTMobitel|Sri Lanka",
+    "414|00|MPT|Myanmar",
+    "414|01|MPT|Myanmar",
+    "414|02|MPT|Myanmar",
+    "414|03|CDMA800|Myanmar",
+    "414|04|MPT|Myanmar",
+    "414|05|Ooredoo|Myanmar",
+    "414|06|Telenor|Myanmar",
+    "414|09|Mytel|Myanmar",
+    "414|20|ACS|Myanmar",
+    "414|21|ACS|Myanmar",
+    "414|22|Fortune Telecom Co., Ltd|Myanmar",
+    "414|23|Global Technology Co., Ltd|Myanmar",
+    "415|01|Alfa|Lebanon",
+    "415|03|Touch|Lebanon",
+    "415|05|Ogero Mobile|Lebanon",
+    "416|01|zain JO|Jordan",
+    "416|02|XPress Telecom|Jordan",
+    "416|03|Umniah|Jordan",
+    "416|77|Orange|Jordan",
+    "417|01|Syriatel|Syria",
+    "417|02|MTN|Syria",
+    "417|03|Wafa Telecom|Syria",
+    "417|09|Syrian Telecom|Syria",
+    "418|00|Asia Cell|Iraq",
+    "418|05|Asia Cell|Iraq",
+    "418|08|SanaTel|Iraq",
+    "418|20|Zain|Iraq",
+    "418|30|Zain|Iraq",
+    "418|40|Korek|Iraq",
+    "418|45|Mobitel|Iraq",
+    "418|62|Itisaluna|Iraq",
+    "418|92|Omnnea|Iraq",
+    "419|02|zain KW|Kuwait",
+    "419|03|Ooredoo|Kuwait",
+    "419|04|STC|Kuwait",
+    "420|01|Al Jawal (STC )|Saudi Arabia",
+    "420|03|Mobily|Saudi Arabia",
+    "420|04|Zain SA|Saudi Arabia",
+    "420|05|Virgin Mobile|Saudi Arabia",
+    "420|06|Lebara Mobile|Saudi Arabia",
+    "420|21|RGSM|Saudi Arabia",
+    "421|01|SabaFon|Yemen",
+    "421|02|YOU|Yemen",
+    "421|03|Yemen Mobile|Yemen",
+    "421|04|Y|Yemen",
+    "421|10|Yemen-4G|Yemen",
+    "421|11|Yemen Mobile|Yemen",
+    "422|02|Omantel|Oman",
+    "422|03|Ooredoo|Oman",
+    "422|04|Omantel|Oman",
+    "422|06|Vodafone|Oman",
+    "424|02|Etisalat|United Arab Emirates",
+    "424|03|du|United Arab Emirates",
+    "425|01|Partner|Israel",
+    "425|02|Cellcom|Israel",
+    "425|03|Pelephone|Israel",
+    "425|04|Globalsim Ltd|Israel",
+    "425|05|Jawwal|Israel",
+    "425|06|Wataniya Mobile|Israel",
+    "425|07|Hot Mobile|Israel",
+    "425|08|Golan Telecom|Israel",
+    "425|09|We4G|Israel",
+    "425|10|Partner|Israel",
+    "425|11|365 Telecom|Israel",
+    "425|12|x2one|Israel",
+    "425|13|Ituran Cellular Communications|Israel",
+    "425|14|Youphone|Israel",
+    "425|15|Home Cellular|Israel",
+    "425|16|Rami Levy|Israel",
+    "425|17|Sipme|Israel",
+    "425|18|Cellact Communications|Israel",
+    "425|19|019 Mobile|Israel",
+    "425|20|Bezeq|Israel",
+    "425|21|Bezeq International|Israel",
+    "425|22|Maskyoo Telephonia Ltd.|Israel",
+    "425|23|Beezz Communication Solutions Ltd.|Israel",
+    "425|24|012 Mobile|Israel",
+    "425|25|IMOD|Israel",
+    "425|26|Annatel|Israel",
+    "425|27|BITIT Ltd.|Israel",
+    "425|28|PHI Networks|Israel",
+    "425|29|CG Networks|Israel",
+    "426|01|Batelco|Bahrain",
+    "426|02|zain BH|Bahrain",
+    "426|03|Civil Aviation Authority|Bahrain",
+    "426|04|stc|Bahrain",
+    "426|05|Batelco|Bahrain",
+    "426|06|stc|Bahrain",
+    "426|07|TAIF|Bahrain",
+    "427|01|Ooredoo|Qatar",
+    "427|02|Vodafone|Qatar",
+    "427|05|Ministry of Interior|Qatar",
+    "427|06|Ministry of Interior|Qatar",
+    "428|88|Unitel|Mongolia",
+    "428|91|Skytel|Mongolia",
+    "428|98|G-Mobile|Mongolia",
+    "428|99|Mobicom|Mongolia",
+    "429|01|Namaste / NT Mobile / Sky Phone|Nepal",
+    "429|02|Ncell|Nepal",
+    "429|03|UTL|Nepal",
+    "429|04|SmartCell|Nepal",
+    "432|01|Kish Cell Pars|Iran",
+    "432|02|ApTel, AzarTel|Iran",
+    "432|03|Parsian Hamrah Lotus|Iran",
+    "432|04|TOSE E FANAVARI ERTEBATAT NOVIN HAMRAH|Iran",
+    "432|05|Smart Comm|Iran",
+    "432|06|Arian-Tel|Iran",
+    "432|07|Hooshmand Amin Mobile|Iran",
+    "432|08|Shatel Mobile|Iran",
+    "432|09|HiWEB|Iran",
+    "432|10|Samantel|Iran",
+    "432|11|IR-TCI (Hamrah-e-Avval)|Iran",
+    "432|12|Avacell (HiWEB)|Iran",
+    "432|13|HiWEB|Iran",
+    "432|14|TKC/KFZO|Iran",
+    "432|19|Espadan|Iran",
+    "432|20|RighTel|Iran",
+    "432|21|RighTel|Iran",
+    "432|32|Taliya|Iran",
+    "432|35|MTN Irancell|Iran",
+    "432|40|Mobinnet|Iran",
+    "432|44|Mobinnet|Iran",
+    "432|45|Zi-Tel|Iran",
+    "432|46|HiWEB|Iran",
+    "432|49|Gostaresh Ertebatat Mabna|Iran",
+    "432|50|Shatel Mobile|Iran",
+    "432|51|Pishgaman Tose'e Ertebatat|Iran",
+    "432|52|Asiatech|Iran",
+    "432|70|MTCE|Iran",
+    "432|71|KOOHE NOOR|Iran",
+    "432|90|Iraphone|Iran",
+    "432|93|Iraphone|Iran",
+    "432|99|TCI|Iran",
+    "434|01|Buztel|Uzbekistan",
+    "434|02|Uzmacom|Uzbekistan",
+    "434|03|UzMobile|Uzbekistan",
+    "434|04|Beeline|Uzbekistan",
+    "434|05|Ucell|Uzbekistan",
+    "434|06|Perfectum Mobile|Uzbekistan",
+    "434|07|Mobiuz|Uzbekistan",
+    "434|08|UzMobile|Uzbekistan",
+    "434|09|EVO|Uzbekistan",
+    "436|01|Tcell|Tajikistan",
+    "436|02|Tcell|Tajikistan",
+    "436|03|MegaFon|Tajikistan",
+    "436|04|Babilon-M|Tajikistan",
+    "436|05|ZET-Mobile|Tajikistan",
+    "436|10|Babilon-T|Tajikistan",
+    "436|12|Tcell|Tajikistan",
+    "437|01|Beeline|Kyrgyzstan",
+    "437|03|7 Mobile|Kyrgyzstan",
+    "437|05|MegaCom|Kyrgyzstan",
+    "437|09|O!|Kyrgyzstan",
+    "437|10|Saima Telecom|Kyrgyzstan",
+    "437|11|iTel|Kyrgyzstan",
+    "438|01|MTS|Turkmenistan",
+    "438|02|TM-Cell|Turkmenistan",
+    "438|03|AGTS CDMA|Turkmenistan",
+    "440|00|Y!Mobile|Japan",
+    "440|01|KDDI Corporation|Japan",
+    "440|02|Hanshin Cable Engineering Co., Ltd.|Japan",
+    "440|03|IIJmio|Japan",
+    "440|04|Japan Radio Company, Ltd.|Japan",
+    "440|05|Wireless City Planning Inc.|Japan",
+    "440|06|SAKURA Internet Inc.|Japan",
+    "440|07|closip, Inc.|Japan",
+    "440|08|Panasonic Connect Co., Ltd.|Japan",
+    "440|09|Marubeni Network Solutions Inc.|Japan",
+    "440|10|NTT docomo|Japan",
+    "440|11|Rakuten Mobile|Japan",
+    "440|12|Cable media waiwai Co., Ltd.|Japan",
+    "440|13|NTT Communications Corporation|Japan",
+    "440|14|Grape One Co., Ltd.|Japan",
+    "440|15|BB Backbone Corp.|Japan",
+    "440|16|Nokia Innovations Japan G.K.|Japan",
+    "440|17|Osaka Gas Business Create Co., Ltd.|Japan",
+    "440|18|Kintetsu Cable Network Co., Ltd.|Japan",
+    "440|19|NEC Networks & System Integration Corporation|Japan",
+    "440|20|SoftBank|Japan",
+    "440|21|SoftBank|Japan",
+    "440|22|JTOWER Inc.|Japan",
+    "440|23|Fujitsu Ltd.|Japan",
+    "440|50|au|Japan",
+    "440|51|au|Japan",
+    "440|52|au|Japan",
+    "440|53|au|Japan",
+    "440|54|au|Japan",
+    "440|70|au|Japan",
+    "440|71|au|Japan",
+    "440|72|au|Japan",
+    "440|73|au|Japan",
+    "440|74|au|Japan",
+    "440|75|au|Japan",
+    "440|76|au|Japan",
+    "440|78|au|Japan",
+    "441|00|Wireless City Planning Inc.|Japan",
+    "441|01|SoftBank|Japan",
+    "441|10|UQ WiMAX|Japan",
+    "441|200|Soracom Inc.|Japan",
+    "441|201|Aurens Co., Ltd.|Japan",
+    "441|202|Sony Wireless Communications Inc.|Japan",
+    "441|203|Gujo City|Japan",
+    "441|204|Wicom Inc.|Japan",
+    "441|205|Katch Network Inc.|Japan",
+    "441|206|Mitsubishi Electric Corp.|Japan",
+    "441|207|Mitsui Knowledge Industry Co., Ltd.|Japan",
+    "441|208|Chudenko Corp.|Japan",
+    "441|209|Cable Television Toyama Inc.|Japan",
+    "441|210|Nippon Telegraph and Telephone East Corp.|Japan",
+    "441|211|Starcat Cable Network Co., Ltd.|Japan",
+    "441|212|I-TEC Solutions Co., Ltd.|Japan",
+    "441|91|Tokyo Organising Committee of the Olympic and Paralympic Games|Japan",
+    "450|01|Globalstar Asia Pacific|South Korea",
+    "450|02|KT|South Korea",
+    "450|03|Power 017|South Korea",
+    "450|04|KT|South Korea",
+    "450|05|SKTelecom|South Korea",
+    "450|06|LG U+|South Korea",
+    "450|07|KT|South Korea",
+    "450|08|olleh|South Korea",
+    "450|11|Tplus|South Korea",
+    "450|12|SKTelecom|South Korea",
+    "452|01|MobiFone|Vietnam",
+    "452|02|Vinaphone|Vietnam",
+    "452|03|S-Fone|Vietnam",
+    "452|04|Viettel Mobile|Vietnam",
+    "452|05|Vietnamobile|Vietnam",
+    "452|06|EVNTelecom|Vietnam",
+    "452|07|Gmobile|Vietnam",
+    "452|08|I-Telecom|Vietnam",
+    "452|09|REDDI|Vietnam",
+    "454|00|1O1O / One2Free / New World Mobility / SUNMobile|Hong Kong",
+    "454|01|CITIC Telecom 1616|Hong Kong",
+    "454|02|CSL Limited|Hong Kong",
+    "454|03|3|Hong Kong",
+    "454|04|3 (2G)|Hong Kong",
+    "454|05|3 (CDMA)|Hong Kong",
+    "454|06|SmarTone|Hong Kong",
+    "454|07|China Unicom|Hong Kong",
+    "454|08|Truphone|Hong Kong",
+    "454|09|China Motion Telecom|Hong Kong",
+    "454|10|New World Mobility|Hong Kong",
+    "454|11|China-Hong Kong Telecom|Hong Kong",
+    "454|12|CMCC HK|Hong Kong",
+    "454|13|CMCC HK|Hong Kong",
+    "454|14|Hutchison Telecom|Hong Kong",
+    "454|15|SmarTone Mobile Communications Limited|Hong Kong",
+    "454|16|PCCW Mobile (2G)|Hong Kong",
+    "454|17|SmarTone Mobile Communications Limited|Hong Kong",
+    "454|18|CSL Limited|Hong Kong",
+    "454|19|PCCW Mobile (3G)|Hong Kong",
+    "454|20|PCCW Mobile (4G)|Hong Kong",
+    "454|21|21Vianet Mobile Ltd.|Hong Kong",
+    "454|22|263 Mobile Communications (HongKong) Limited|Hong Kong",
+    "454|23|Lycamobile|Hong Kong",
+    "454|24|Multibyte Info Technology Ltd|Hong Kong",
+    "454|25|Hong Kong Government|Hong Kong",
+    "454|26|Hong Kong Government|Hong Kong",
+    "454|29|PCCW Mobile (CDMA)|Hong Kong",
+    "454|30|CMCC HK|Hong Kong",
+    "454|31|CTExcel|Hong Kong",
+    "454|32|Hong Kong Broadband Network Ltd|Hong Kong",
+    "454|35|Webbing Hong Kong Ltd|Hong Kong",
+    "454|36|Easco Telecommunications Limited|Hong Kong",
+    "455|00|SmarTone|Macau (People's Republic of China)",
+    "455|01|CTM|Macau (People's Republic of China)",
+    "455|02|China Telecom|Macau (People's Republic of China)",
+    "455|03|3|Macau (People's Republic of China)",
+    "455|04|CTM|Macau (People's Republic of China)",
+    "455|05|3|Macau (People's Republic of China)",
+    "455|06|SmarTone|Macau (People's Republic of China)",
+    "455|07|China Telecom|Macau (People's Republic of China)",
+    "456|01|Cellcard|Cambodia",
+    "456|02|Smart|Cambodia",
+    "456|03|qb|Cambodia",
+    "456|04|qb|Cambodia",
+    "456|05|Smart|Cambodia",
+    "456|06|Smart|Cambodia",
+    "456|08|Metfone|Cambodia",
+    "456|09|Metfone|Cambodia",
+    "456|11|SEATEL|Cambodia",
+    "456|18|Cellcard|Cambodia",
+    "457|01|LaoTel|Laos",
+    "457|02|ETL|Laos",
+    "457|03|Unitel|Laos",
+    "457|07|Best|Laos",
+    "457|08|TPLUS|Laos",
+    "460|00|China Mobile|China",
+    "460|01|China Unicom|China",
+    "460|02|China Mobile|China",
+    "460|03|China Telecom|China",
+    "460|04|China Mobile|China",
+    "460|05|China Telecom|China",
+    "460|06|China Unicom|China",
+    "460|07|China Mobile|China",
+    "460|08|China Mobile|China",
+    "460|09|China Unicom|China",
+    "460|11|China Telecom|China",
+    "460|15|China Broadnet|China",
+    "460|20|China Tietong|China",
+    "466|01|FarEasTone|Taiwan",
+    "466|02|FarEasTone|Taiwan",
+    "466|03|FarEasTone|Taiwan",
+    "466|05|Gt|Taiwan",
+    "466|06|FarEasTone|Taiwan",
+    "466|07|FarEasTone|Taiwan",
+    "466|09|VMAX|Taiwan",
+    "466|10|G1|Taiwan",
+    "466|11|Chunghwa LDM|Taiwan",
+    "466|12|Ambit Microsystems|Taiwan",
+    "466|56|FITEL|Taiwan",
+    "466|68|Tatung InfoComm|Taiwan",
+    "466|88|FarEasTone|Taiwan",
+    "466|89|T Star|Taiwan",
+    "466|90|T Star|Taiwan",
+    "466|92|Chunghwa|Taiwan",
+    "466|93|MobiTai|Taiwan",
+    "466|97|Taiwan Mobile|Taiwan",
+    "466|99|TransAsia|Taiwan",
+    "467|05|Koryolink|North Korea",
+    "467|06|Kang Song NET|North Korea",
+    "467|193|SunNet|North Korea",
+    "470|01|Grameenphone|Bangladesh",
+    "470|02|Robi|Bangladesh",
+    "470|03|Banglalink|Bangladesh",
+    "470|04|TeleTalk|Bangladesh",
+    "470|05|Citycell|Bangladesh",
+    "470|07|Airtel|Bangladesh",
+    "470|09|ollo|Bangladesh",
+    "470|10|Banglalion|Bangladesh",
+    "472|01|Dhiraagu|Maldives",
+    "472|02|Ooredoo|Maldives",
+    "502|01|ATUR 450|Malaysia",
+    "502|10|Celcom, DiGi, Maxis, Tune Talk, U Mobile, Unifi, XOX, Yes|Malaysia",
+    "502|11|TM Homeline|Malaysia",
+    "502|12|Maxis|Malaysia",
+    "502|13|Celcom|Malaysia",
+    "502|14|Telekom Malaysia Berhad for PSTN SMS|Malaysia",
+    "502|150|Tune Talk|Malaysia",
+    "502|151|SalamFone|Malaysia",
+    "502|152|Yes|Malaysia",
+    "502|153|unifi|Malaysia",
+    "502|154|Tron|Malaysia",
+    "502|155|Clixster|Malaysia",
+    "502|156|Altel|Malaysia",
+    "502|157|Telin|Malaysia",
+    "502|16|DiGi|Malaysia",
+    "502|17|Maxis|Malaysia",
+    "502|18|U Mobile|Malaysia",
+    "502|19|Celcom|Malaysia",
+    "502|20|Electcoms|Malaysia",
+    "505|01|Telstra|Australia",
+    "505|02|Optus|Australia",
+    "505|03|Vodafone|Australia",
+    "505|04|Department of Defence|Australia",
+    "505|05|Ozitel|Australia",
+    "505|06|3|Australia",
+    "505|07|Vodafone|Australia",
+    "505|08|One.Tel|Australia",
+    "505|09|Airnet|Australia",
+    "505|10|Norfolk Is.|Australia",
+    "505|11|Telstra|Australia",
+    "505|12|3|Australia",
+    "505|13|RailCorp|Australia",
+    "505|14|AAPT|Australia",
+    "505|15|3GIS|Australia",
+    "505|16|VicTrack|Australia",
+    "505|17|Optus|Australia",
+    "505|18|Pactel|Australia",
+    "505|19|Lycamobile|Australia",
+    "505|20|Ausgrid Corporation|Australia",
+    "505|21|Queensland Rail Limited|Australia",
+    "505|22|iiNet Ltd|Australia",
+    "505|23|Challenge Networks Pty Ltd|Australia",
+    "505|24|Advanced Communications Technologies Pty Ltd|Australia",
+    "505|25|Pilbara Iron Company Services Pty Ltd|Australia",
+    "505|26|Dialogue Communications Pty Ltd|Australia",
+    "505|27|Nexium Telecommunications|Australia",
+    "505|28|RCOM International Pty Ltd|Australia",
+    "505|30|Compatel Limited|Australia",
+    "505|31|BHP|Australia",
+    "505|32|Thales Australia|Australia",
+    "505|33|CLX Networks Pty Ltd|Australia",
+    "505|34|Santos Limited|Australia",
+    "505|35|MessageBird Pty Ltd|Australia",
+    "505|36|Optus|Australia",
+    "505|37|Yancoal Australia Ltd|Australia",
+    "505|38|Truphone|Australia",
+    "505|39|Telstra|Australia",
+    "505|40|CITIC Pacific Mining|Australia",
+    "505|41|Aqura Technologies Pty|Australia",
+    "505|42|GEMCO|Australia",
+    "505|43|Arrow Energy Pty Ltd|Australia",
+    "505|44|Roy Hill Iron Ore Pty Ltd|Australia",
+    "505|45|Clermont Coal Operations Pty Ltd|Australia",
+    "505|46|AngloGold Ashanti Australia Ltd|Australia",
+    "505|47|Woodside Energy Limited|Australia",
+    "505|48|Titan ICT Pty Ltd|Australia",
+    "505|49|Field Solutions Group Pty Ltd|Australia",
+    "505|50|Pivotel Group Pty Ltd|Australia",
+    "505|51|Fortescue Metals Group|Australia",
+    "505|52|OptiTel Australia|Australia",
+    "505|53|Shell Australia Pty Ltd|Australia",
+    "505|54|Nokia Solutions and Networks Australia Pty Ltd|Australia",
+    "505|61|CommTel NS|Australia",
+    "505|62|NBN|Australia",
+    "505|68|NBN|Australia",
+    "505|71|Telstra|Australia",
+    "505|72|Telstra|Australia",
+    "505|88|Pivotel Group Pty Ltd|Australia",
+    "505|90|Optus|Australia",
+    "505|99|One.Tel|Australia",
+    "510|00|PSN|Indonesia",
+    "510|01|Indosat Ooredoo Hutchison|Indonesia",
+    "510|03|StarOne|Indonesia",
+    "510|07|TelkomFlexi|Indonesia",
+    "510|08|AXIS|Indonesia",
+    "510|09|Smartfren|Indonesia",
+    "510|10|Telkomsel|Indonesia",
+    "510|11|XL|Indonesia",
+    "510|20|TELKOMMobile|Indonesia",
+    "510|21|Indosat Ooredoo Hutchison|Indonesia",
+    "510|27|Net 1|Indonesia",
+    "510|28|Fren/Hepi|Indonesia",
+    "510|78|Hinet|Indonesia",
+    "510|88|BOLT! 4G LTE|Indonesia",
+    "510|89|3|Indonesia",
+    "510|99|Esia|Indonesia",
+    "514|01|Telkomcel|East Timor",
+    "514|02|TT|East Timor",
+    "514|03|Telemor|East Timor",
+    "515|01|Islacom|Philippines",
+    "515|02|Globe|Philippines",
+    "515|03|SMART|Philippines",
+    "515|05|Sun Cellular|Philippines",
+    "515|11|PLDT via ACeS Philippines|Philippines",
+    "515|18|Cure|Philippines",
+    "515|24|ABS-CBN Mobile|Philippines",
+    "515|66|DITO|Philippines",
+    "515|88|Next Mobile Inc.|Philippines",
+    "520|00|TrueMove H / my by NT|Thailand",
+    "520|01|AIS|Thailand",
+    "520|02|NT Mobile|Thailand",
+    "520|03|AIS|Thailand",
+    "520|04|TrueMove H|Thailand",
+    "520|05|dtac|Thailand",
+    "520|09|Royal Thai Police|Thailand",
+    "520|15|AIS-T / NT Mobile|Thailand",
+    "520|17|NT Mobile|Thailand",
+    "520|18|dtac|Thailand",
+    "520|20|ACeS|Thailand",
+    "520|23|AIS GSM 1800|Thailand",
+    "520|25|WE PCT|Thailand",
+    "520|47|dtac-T|Thailand",
+    "520|99|TrueMove|Thailand",
+    "525|01|SingTel|Singapore",
+    "525|02|SingTel-G18|Singapore",
+    "525|03|M1|Singapore",
+    "525|05|StarHub|Singapore",
+    "525|06|StarHub|Singapore",
+    "525|07|SingTel|Singapore",
+    "525|08|StarHub|Singapore",
+    "525|09|Circles.Life|Singapore",
+    "525|10|SIMBA|Singapore",
+    "525|11|M1|Singapore",
+    "525|12|Grid|Singapore",
+    "528|01|TelBru|Brunei",
+    "528|02|PCSB|Brunei",
+    "528|03|UNN|Brunei",
+    "528|11|DST|Brunei",
+    "530|00|Telecom|New Zealand",
+    "530|01|Vodafone|New Zealand",
+    "530|02|Telecom|New Zealand",
+    "530|03|Woosh|New Zealand",
+    "530|04|TelstraClear|New Zealand",
+    "530|05|Spark|New Zealand",
+    "530|06|FX Networks|New Zealand",
+    "530|07|Dense Air New Zealand|New Zealand",
+    "530|24|2degrees|New Zealand",
+    "536|02|Digicel|Nauru",
+    "537|01|bmobile|Papua New Guinea",
+    "537|02|citifon|Papua New Guinea",
+    "537|03|Digicel|Papua New Guinea",
+    "537|04|Digitec Communication Ltd.|Papua New Guinea",
+    "539|01|U-Call|Tonga",
+    "539|43|Shoreline Communication|Tonga",
+    "539|88|Digicel|Tonga",
+    "540|01|BREEZE|Solomon Islands",
+    "540|02|BeMobile|Solomon Islands",
+    "541|00|AIL|Vanuatu",
+    "541|01|SMILE|Vanuatu",
+    "541|05|Digicel|Vanuatu",
+    "541|07|WanTok|Vanuatu",
+    "542|01|Vodafone|Fiji",
+    "542|02|Digicel|Fiji",
+    "542|03|TFL|Fiji",
+    "543|01|Manuia|Wallis and Futuna",
+    "544|11|Bluesky|American Samoa (United States of America)",
+    "545|01|Kiribati - ATH|Kiribati",
+    "545|02|OceanLink|Kiribati",
+    "545|09|Kiribati - Frigate Net|Kiribati",
+    "546|01|Mobilis|New Caledonia (France)",
+    "547|05|Ora|French Polynesia (France)",
+    "547|10|Mara Telecom|French Polynesia (France)",
+    "547|15|Vodafone|French Polynesia (France)",
+    "547|20|Vini|French Polynesia (France)",
+    "548|01|Vodafone|Cook Islands (Pacific Ocean)",
+    "549|00|Digicel|Samoa",
+    "549|01|Digicel|Samoa",
+    "549|27|Vodafone|Samoa",
+    "550|01|FSMTC|Federated States of Micronesia",
+    "551|01|Marshall Islands National Telecommunications Authority (MINTA)|Marshall Islands",
+    "552|01|PNCC|Palau",
+    "552|02|PT Waves|Palau",
+    "552|80|Palau Mobile|Palau",
+    "552|99|PMCI|Palau",
+    "553|01|TTC|Tuvalu",
+    "554|01|Teletok|Tokelau",
+    "555|01|Telecom Niue|Niue",
+    "602|01|Orange|Egypt",
+    "602|02|Vodafone|Egypt",
+    "602|03|Etisalat|Egypt",
+    "602|04|WE|Egypt",
+    "603|01|Mobilis|Algeria",
+    "603|02|Djezzy|Algeria",
+    "603|03|Ooredoo|Algeria",
+    "603|07|AT|Algeria",
+    "603|09|AT|Algeria",
+    "603|21|ANESRIF|Algeria",
+    "604|00|Orange Morocco|Morocco",
+    "604|01|IAM|Morocco",
+    "604|02|INWI|Morocco",
+    "604|04|Al Houria Telecom|Morocco",
+    "604|05|INWI|Morocco",
+    "604|06|IAM|Morocco",
+    "604|99|Al Houria Telecom|Morocco",
+    "605|01|Orange|Tunisia",
+    "605|02|Tunicell|Tunisia",
+    "605|03|Ooredoo|Tunisia",
+    "606|00|Libyana|Libya",
+    "606|01|Madar|Libya",
+    "606|02|Al-Jeel Phone|Libya",
+    "606|03|Libya Phone|Libya",
+    "606|06|Hatef Libya|Libya",
+    "607|01|Gamcel|Gambia",
+    "607|02|Africell|Gambia",
+    "607|03|Comium|Gambia",
+    "607|04|QCell|Gambia",
+    "607|05|Gamtel-Ecowan|Gambia",
+    "607|06|NETPAGE|Gambia",
+    "608|01|Orange|Senegal",
+    "608|02|Free|Senegal",
+    "608|03|Expresso|Senegal",
+    "608|04|CSU-SA|Senegal",
+    "609|01|Mattel|Mauritania",
+    "609|02|Chinguitel|Mauritania",
+    "609|10|Moov|Mauritania",
+    "610|01|Malitel|Mali",
+    "610|02|Orange|Mali",
+    "610|03|Telecel|Mali",
+    "611|01|Orange|Guinea",
+    "611|02|Sotelgui|Guinea",
+    "611|03|Intercel|Guinea",
+    "611|04|MTN|Guinea",
+    "611|05|Cellcom|Guinea",
+    "612|01|Cora de Comstar|Ivory Coast",
+    "612|02|Moov|Ivory Coast",
+    "612|03|Orange|Ivory Coast",
+    "612|04|KoZ|Ivory Coast",
+    "612|05|MTN|Ivory Coast",
+    "612|06|GreenN|Ivory Coast",
+    "612|07|café|Ivory Coast",
+    "612|18|YooMee|Ivory Coast",
+    "613|01|Telmob|Burkina Faso",
+    "613|02|Orange|Burkina Faso",
+    "613|03|Telecel Faso|Burkina Faso",
+    "614|01|SahelCom|Niger",
+    "614|02|Airtel|Niger",
+    "614|03|Moov|Niger",
+    "614|04|Orange|Niger",
+    "615|01|Togo Cell|Togo",
+    "615|03|Moov|Togo",
+    "616|01|Benin Telecoms Mobile|Benin",
+    "616|02|Moov|Benin",
+    "616|03|MTN|Benin",
+    "616|04|BBCOM|Benin",
+    "616|05|Glo|Benin",
+    "617|01|my.t|Mauritius",
+    "617|02|MOKOZE / AZU|Mauritius",
+    "617|03|CHILI|Mauritius",
+    "617|10|Emtel|Mauritius",
+    "618|01|Lonestar Cell MTN|Liberia",
+    "618|02|Libercell|Liberia",
+    "618|04|Novafone|Liberia",
+    "618|07|Orange LBR|Liberia",
+    "618|20|LIBTELCO|Liberia",
+    "619|01|Orange|Sierra Leone",
+    "619|02|Africell|Sierra Leone",
+    "619|03|Africell|Sierra Leone",
+    "619|04|Comium|Sierra Leone",
+    "619|05|Africell|Sierra Leone",
+    "619|06|SierraTel|Sierra Leone",
+    "619|07|Qcell Sierra Leone|Sierra Leone",
+    "619|09|Smart Mobile|Sierra Leone",
+    "619|25|Mobitel|Sierra Leone",
+    "619|40|Datatel (SL) Ltd.|Sierra Leone",
+    "619|50|Datatel (SL) Ltd.|Sierra Leone",
+    "620|01|MTN|Ghana",
+    "620|02|Vodafone|Ghana",
+    "620|03|AirtelTigo|Ghana",
+    "620|04|Expresso|Ghana",
+    "620|05|National Security|Ghana",
+    "620|06|AirtelTigo|Ghana",
+    "620|07|Globacom|Ghana",
+    "620|08|Surfline|Ghana",
+    "620|09|NITA|Ghana",
+    "620|10|Blu|Ghana",
+    "620|11|Netafrique Dot Com Ltd|Ghana",
+    "620|12|BTL|Ghana",
+    "620|13|Goldkey|Ghana",
+    "620|14|busy|Ghana",
+    "620|15|Lebara|Ghana",
+    "620|16|Telesol|Ghana",
+    "620|17|iBurst Africa|Ghana",
+    "621|00|Capcom|Nigeria",
+    "621|20|Airtel|Nigeria",
+    "621|22|InterC|Nigeria",
+    "621|24|Spectranet|Nigeria",
+    "621|25|Visafone|Nigeria",
+    "621|26|Swift|Nigeria",
+    "621|27|Smile|Nigeria",
+    "621|30|MTN|Nigeria",
+    "621|40|Ntel|Nigeria",
+    "621|50|Glo|Nigeria",
+    "621|60|9mobile|Nigeria",
+    "622|01|Airtel|Chad",
+    "622|02|Tawali|Chad",
+    "622|03|Tigo|Chad",
+    "622|07|Salam|Chad",
+    "623|01|Moov|Central African Republic",
+    "623|02|TC|Central African Republic",
+    "623|03|Orange|Central African Republic",
+    "623|04|Azur|Central African Republic",
+    "624|01|MTN Cameroon|Cameroon",
+    "624|02|Orange|Cameroon",
+    "624|03|Camtel|Cameroon",
+    "624|04|Nexttel|Cameroon",
+    "625|01|CVMOVEL|Cape Verde",
+    "625|02|T+|Cape Verde",
+    "626|01|CSTmovel|São Tomé and Príncipe",
+    "626|02|Unitel STP|São Tomé and Príncipe",
+    "627|01|Orange GQ|Equatorial Guinea",
+    "627|03|Muni|Equatorial Guinea",
+    "628|01|Libertis|Gabon",
+    "628|02|Moov|Gabon",
+    "628|03|Airtel|Gabon",
+    "628|04|Azur|Gabon",
+    "628|05|RAG|Gabon",
+    "629|01|Airtel|Congo",
+    "629|07|Airtel|Congo",
+    "629|10|Libertis Telecom|Congo",
+    "630|01|Vodacom|Democratic Republic of the Congo",
+    "630|02|Airtel|Democratic Republic of the Congo",
+    "630|05|Supercell|Democratic Republic of the Congo",
+    "630|86|Orange RDC|Democratic Republic of the Congo",
+    "630|88|YTT|Democratic Republic of the Congo",
+    "630|89|Orange RDC|Democratic Republic of the Congo",
+    "630|90|Africell|Democratic Republic of the Congo",
+    "631|02|UNITEL|Angola",
+    "631|04|MOVICEL|Angola",
+    "631|05|Africell|Angola",
+    "632|01|Guinetel|Guinea-Bissau",
+    "632|02|MTN Areeba|Guinea-Bissau",
+    "632|03|Orange|Guinea-Bissau",
+    "632|07|Guinetel|Guinea-Bissau",
+    "633|01|Cable & Wireless|Seychelles",
+    "633|02|Mediatech|Seychelles",
+    "633|05|Intelvision Ltd|Seychelles",
+    "633|10|Airtel|Seychelles",
+    "634|01|Zain SD|Sudan",
+    "634|02|MTN|Sudan",
+    "634|03|MTN|Sudan",
+    "634|05|canar|Sudan",
+    "634|07|Sudani One|Sudan",
+    "634|09|khartoum INC|Sudan",
+    "635|10|MTN|Rwanda",
+    "635|11|Rwandatel|Rwanda",
+    "635|12|Rwandatel|Rwanda",
+    "635|13|Airtel|Rwanda",
+    "635|14|Airtel|Rwanda",
+    "635|17|Olleh|Rwanda",
+    "636|01|MTN|Ethiopia",
+    "637|01|Telesom|Somalia",
+    "637|04|Somafone|Somalia",
+    "637|10|Nationlink|Somalia",
+    "637|20|SOMNET|Somalia",
+    "637|30|Golis|Somalia",
+    "637|50|Hormuud|Somalia",
+    "637|57|UNITEL|Somalia",
+    "637|60|Nationlink|Somalia",
+    "637|67|Horntel Group|Somalia",
+    "637|70|Onkod Telecom Ltd.|Somalia",
+    "637|71|Somtel|Somalia",
+    "637|82|Telcom|Somalia",
+    "638|01|Evatis|Djibouti",
+    "639|01|Safaricom|Kenya",
+    "639|02|Safaricom|Kenya",
+    "639|03|Airtel|Kenya",
+    "639|04|Mobile Pay Kenya Limited|Kenya",
+    "639|05|Airtel|Kenya",
+    "639|06|Finserve Africa Limited|Kenya",
+    "639|07|Telkom|Kenya",
+    "639|08|Wetribe Ltd|Kenya",
+    "639|09|Homeland Media Group Limited|Kenya",
+    "639|10|Faiba 4G|Kenya",
+    "639|11|Jambo Telcoms Limited|Kenya",
+    "639|12|Infura Limited|Kenya",
+    "639|13|Hidiga Investments Ltd|Kenya",
+    "639|14|NRG Media Limited|Kenya",
+    "640|01|Shared Network Tanzania Limited|Tanzania",
+    "640|02|tiGO|Tanzania",
+    "640|03|Zantel|Tanzania",
+    "640|04|Vodacom|Tanzania",
+    "640|05|Airtel|Tanzania",
+    "640|06|WIA Company Limited|Tanzania",
+    "640|07|TTCL Mobile|Tanzania",
+    "640|08|Smart|Tanzania",
+    "640|09|Halotel|Tanzania",
+    "640|11|SmileCom|Tanzania",
+    "640|12|MyCell Limited|Tanzania",
+    "640|13|Cootel|Tanzania",
+    "640|14|MO Mobile Holding Limited|Tanzania",
+    "641|01|Airtel|Uganda",
+    "641|04|Tangerine Uganda Limited|Uganda",
+    "641|06|Vodafone|Uganda",
+    "641|10|MTN|Uganda",
+    "641|11|Uganda Telecom|Uganda",
+    "641|14|Africell|Uganda",
+    "641|16|SimbaNET Uganda Limited|Uganda",
+    "641|18|Smart|Uganda",
+    "641|20|Hamilton Telecom Limited|Uganda",
+    "641|22|Airtel|Uganda",
+    "641|26|Lycamobile|Uganda",
+    "641|30|Anupam Global Soft Uganda Limited|Uganda",
+    "641|33|Smile|Uganda",
+    "641|40|Civil Aviation Authority (CAA)|Uganda",
+    "641|44|K2|Uganda",
+    "641|66|i-Tel|Uganda",
+    "642|01|econet Leo|Burundi",
+    "642|02|Tempo|Burundi",
+    "642|03|Onatel|Burundi",
+    "642|07|Smart Mobile|Burundi",
+    "642|08|Lumitel|Burundi",
+    "642|82|econet Leo|Burundi",
+    "643|01|mCel|Mozambique",
+    "643|03|Movitel|Mozambique",
+    "643|04|Vodacom|Mozambique",
+    "645|01|Airtel|Zambia",
+    "645|02|MTN|Zambia",
+    "645|03|ZAMTEL|Zambia",
+    "645|07|Liquid Telecom Zambia Limited|Zambia",
+    "646|01|Airtel|Madagascar",
+    "646|02|Orange|Madagascar",
+    "646|03|Sacel|Madagascar",
+    "646|04|Telma|Madagascar",
+    "646|05|BIP / blueline|Madagascar",
+    "647|00|Orange|French Departments and Territories in the Indian Ocean (France)",
+    "647|01|Maoré Mobile|French Departments and Territories in the Indian Ocean (France)",
+    "647|02|Only|French Departments and Territories in the Indian Ocean (France)",
+    "647|03|Free|French Departments and Territories in the Indian Ocean (France)",
+    "647|04|Zeop|French Departments and Territories in the Indian Ocean (France)",
+    "647|10|SFR Réunion|French Departments and Territories in the Indian Ocean (France)",
+    "648|01|Net*One|Zimbabwe",
+    "648|03|Telecel|Zimbabwe",
+    "648|04|Econet|Zimbabwe",
+    "649|01|MTC|Namibia",
+    "649|02|switch|Namibia",
+    "649|03|TN Mobile|Namibia",
+    "649|04|Paratus Telecommunications (Pty)|Namibia",
+    "649|05|Demshi Investments CC|Namibia",
+    "649|06|MTN Namibia|Namibia",
+    "649|07|Capricorn Connect|Namibia",
+    "650|01|TNM|Malawi",
+    "650|02|Access|Malawi",
+    "650|03|MTL|Malawi",
+    "650|10|Airtel|Malawi",
+    "651|01|Vodacom|Lesotho",
+    "651|02|Econet Telecom|Lesotho",
+    "651|10|Vodacom|Lesotho",
+    "652|01|Mascom|Botswana",
+    "652|02|Orange|Botswana",
+    "652|04|beMobile|Botswana",
+    "653|01|SPTC|Eswatini",
+    "653|02|Eswatini Mobile Limited|Eswatini",
+    "653|10|MTN Eswatini|Eswatini",
+    "654|01|HURI|Comoros",
+    "654|02|TELCO SA|Comoros",
+    "655|01|Vodacom|South Africa",
+    "655|02|Telkom|South Africa",
+    "655|03|Telkom|South Africa",
+    "655|04|Sasol (Pty) Ltd.|South Africa",
+    "655|05|Telkom SA Ltd|South Africa",
+    "655|06|Sentech (Pty) Ltd|South Africa",
+    "655|07|Cell C|South Africa",
+    "655|10|MTN|South Africa",
+    "655|11|South African Police Service Gauteng|South Africa",
+    "655|12|MTN|South Africa",
+    "655|13|Neotel|South Africa",
+    "655|14|Neotel|South Africa",
+    "655|16|Phoenix System Integration (Pty) Ltd|South Africa",
+    "655|17|Sishen Iron Ore Company (Ltd) Pty|South Africa",
+    "655|19|rain|South Africa",
+    "655|21|Cape Town Metropolitan Council|South Africa",
+    "655|24|SMSPortal (Pty) Ltd.|South Africa",
+    "655|25|Wirels Connect|South Africa",
+    "655|27|A to Z Vaal Industrial Supplies Pty Ltd|South Africa",
+    "655|28|Hymax Talking Solutions (Pty) Ltd|South Africa",
+    "655|30|Bokamoso Consortium|South Africa",
+    "655|31|Karabo Telecoms (Pty) Ltd.|South Africa",
+    "655|32|Ilizwi Telecommunications|South Africa",
+    "655|33|Thinta Thinta Telecommunications Pty Ltd|South Africa",
+    "655|34|Bokone Telecoms Pty Ltd|South Africa",
+    "655|35|Kingdom Communications Pty Ltd|South Africa",
+    "655|36|Amatole Telecommunications Pty Ltd|South Africa",
+    "655|38|rain|South Africa",
+    "655|41|South African Police Service|South Africa",
+    "655|46|SMS Cellular Services (Pty) Ltd|South Africa",
+    "655|50|Ericsson South Africa (Pty) Ltd|South Africa",
+    "655|51|Integrat (Pty) Ltd|South Africa",
+    "655|53|Lycamobile|South Africa",
+    "655|65|Vodacom Pty Ltd|South Africa",
+    "655|73|rain|South Africa",
+    "655|74|rain|South Africa",
+    "655|75|ACSA|South Africa",
+    "655|76|Comsol Networks (Pty) Ltd|South Africa",
+    "655|77|Umoja Connect|South Africa",
+    "657|01|Eritel|Eritrea",
+    "658|01|Sure|Saint Helena, Ascension and Tristan da Cunha",
+    "659|02|MTN|South Sudan",
+    "659|03|Gemtel|South Sudan",
+    "659|04|Vivacell|South Sudan",
+    "659|06|Zain|South Sudan",
+    "659|07|Sudani|South Sudan",
+    "702|67|DigiCell|Belize",
+    "702|68|INTELCO|Belize",
+    "702|69|SMART|Belize",
+    "702|99|SMART|Belize",
+    "704|01|Claro|Guatemala",
+    "704|02|Tigo|Guatemala",
+    "704|03|Claro|Guatemala",
+    "706|01|Claro|El Salvador",
+    "706|02|Digicel|El Salvador",
+    "706|03|Tigo|El Salvador",
+    "706|04|Movistar|El Salvador",
+    "706|05|RED|El Salvador",
+    "708|001|Claro|Honduras",
+    "708|002|Tigo|Honduras",
+    "708|030|Hondutel|Honduras",
+    "708|040|Digicel|Honduras",
+    "710|21|Claro|Nicaragua",
+    "710|300|Tigo|Nicaragua",
+    "710|73|Claro|Nicaragua",
+    "712|01|Kölbi ICE|Costa Rica",
+    "712|02|Kölbi ICE|Costa Rica",
+    "712|03|Claro|Costa Rica",
+    "712|04|Liberty|Costa Rica",
+    "712|20|fullmóvil|Costa Rica",
+    "714|01|Cable & Wireless|Panama",
+    "714|020|Tigo|Panama",
+    "714|02|Tigo|Panama",
+    "714|03|Claro|Panama",
+    "714|04|Digicel|Panama",
+    "714|05|Cable & Wireless|Panama",
+    "716|06|Movistar|Peru",
+    "716|07|Entel|Peru",
+    "716|10|Claro|Peru",
+    "716|15|Bitel|Peru",
+    "716|17|Entel|Peru",
+    "722|010|Movistar|Argentina",
+    "722|020|Nextel|Argentina",
+    "722|034|Personal|Argentina",
+    "722|040|Globalstar|Argentina",
+    "722|070|Movistar|Argentina",
+    "722|310|Claro|Argentina",
+    "722|320|Claro|Argentina",
+    "722|330|Claro|Argentina",
+    "722|341|Personal|Argentina",
+    "722|350|PORT-HABLE|Argentina",
+    "724|00|Nextel|Brazil",
+    "724|01|SISTEER DO BRASIL TELECOMUNICAÇÔES|Brazil",
+    "724|02|TIM|Brazil",
+    "724|03|TIM|Brazil",
+    "724|04|TIM|Brazil",
+    "724|05|Claro|Brazil",
+    "724|06|Vivo|Brazil",
+    "724|10|Vivo|Brazil",
+    "724|11|Vivo|Brazil",
+    "724|12|Claro|Brazil",
+    "724|15|Sercomtel|Brazil",
+    "724|16|Brasil Telecom GSM|Brazil",
+    "724|17|Surf Telecom|Brazil",
+    "724|18|datora|Brazil",
+    "724|21|LIGUE|Brazil",
+    "724|23|Vivo|Brazil",
+    "724|24|Amazonia Celular|Brazil",
+    "724|28|No name|Brazil",
+    "724|29|Unifique|Brazil",
+    "724|30|Oi|Brazil",
+    "724|31|Oi|Brazil",
+    "724|32|Algar Telecom|Brazil",
+    "724|33|Algar Telecom|Brazil",
+    "724|34|Algar Telecom|Brazil",
+    "724|35|Telcom Telecomunicações|Brazil",
+    "724|36|Options Telecomunicações|Brazil",
+    "724|37|aeiou|Brazil",
+    "724|38|Claro|Brazil",
+    "724|39|Nextel|Brazil",
+    "724|54|Conecta|Brazil",
+    "724|99|Local|Brazil",
+    "730|01|entel|Chile",
+    "730|02|Movistar|Chile",
+    "730|03|CLARO CL|Chile",
+    "730|04|WOM|Chile",
+    "730|05|Multikom S.A.|Chile",
+    "730|06|Telsur|Chile",
+    "730|07|Movistar|Chile",
+    "730|08|VTR Móvil|Chile",
+    "730|09|WOM|Chile",
+    "730|10|entel|Chile",
+    "730|11|Celupago S.A.|Chile",
+    "730|12|Colo-Colo MóvilWanderers Móvil|Chile",
+    "730|13|Virgin Mobile|Chile",
+    "730|14|Netline Telefónica Móvil Ltda|Chile",
+    "730|15|Cibeles Telecom S.A.|Chile",
+    "730|16|Nomade Telecomunicaciones S.A.|Chile",
+    "730|17|COMPATEL Chile Limitada|Chile",
+    "730|18|Empresas Bunker S.A.|Chile",
+    "730|19|móvil Falabella|Chile",
+    "730|20|Inversiones Santa Fe Limitada|Chile",
+    "730|22|Cellplus SpA|Chile",
+    "730|23|Claro Servicios Empresariales S. A.|Chile",
+    "730|26|WILL S.A.|Chile",
+    "730|27|Cibeles Telecom S.A.|Chile",
+    "730|99|Will|Chile",
+    "732|001|Movistar|Colombia",
+    "732|002|Edatel|Colombia",
+    "732|003|LLEIDA S.A.S.|Colombia",
+    "732|004|COMPATEL COLOMBIA SAS|Colombia",
+    "732|020|Tigo|Colombia",
+    "732|099|EMCALI|Colombia",
+    "732|100|Claro|Colombia",
+    "732|101|Claro|Colombia",
+    "732|102|Bellsouth Colombia|Colombia",
+    "732|103|Tigo|Colombia",
+    "732|111|Tigo|Colombia",
+    "732|123|Movistar|Colombia",
+    "732|124|Movistar|Colombia",
+    "732|130|AVANTEL|Colombia",
+    "732|142|Une EPM Telecomunicaciones S.A. E.S.P.|Colombia",
+    "732|154|Virgin Mobile|Colombia",
+    "732|165|Colombia Móvil S.A. ESP|Colombia",
+    "732|176|DirecTV Colombia Ltda|Colombia",
+    "732|187|eTb|Colombia",
+    "732|199|SUMA Movil SAS|Colombia",
+    "732|208|UFF Movil SAS|Colombia",
+    "732|210|Hablame Colombia SAS ESP|Colombia",
+    "732|220|Libre Tecnologias SAS|Colombia",
+    "732|230|Setroc Mobile Group SAS|Colombia",
+    "732|240|Logistica Flash Colombia SAS|Colombia",
+    "732|250|Plintron Colombia SAS|Colombia",
+    "732|360|WOM|Colombia",
+    "732|666|Claro|Colombia",
+    "734|01|Digitel|Venezuela",
+    "734|02|Digitel GSM|Venezuela",
+    "734|03|DirecTV|Venezuela",
+    "734|04|Movistar|Venezuela",
+    "734|06|Movilnet|Venezuela",
+    "736|01|Viva|Bolivia",
+    "736|02|Entel|Bolivia",
+    "736|03|Tigo|Bolivia",
+    "738|002|GT&T Cellink Plus|Guyana",
+    "738|003|Quark Communications Inc.|Guyana",
+    "738|00|E-Networks|Guyana",
+    "738|01|Digicel|Guyana",
+    "738|040|E-Networks|Guyana",
+    "738|05|eGovernment Unit, Ministry of the Presidency|Guyana",
+    "740|00|Movistar|Ecuador",
+    "740|01|Claro|Ecuador",
+    "740|02|CNT Mobile|Ecuador",
+    "740|03|Tuenti|Ecuador",
+    "742|04|Free|French Guiana (France)",
+    "744|01|VOX|Paraguay",
+    "744|02|Claro|Paraguay",
+    "744|03|Compañia Privada de Comunicaciones S.A.|Paraguay",
+    "744|04|Tigo|Paraguay",
+    "744|05|Personal|Paraguay",
+    "744|06|Copaco|Paraguay",
+    "746|02|Telesur|Suriname",
+    "746|03|Digicel|Suriname",
+    "746|04|Digicel|Suriname",
+    "746|05|Telesur|Suriname",
+    "748|00|Antel|Uruguay",
+    "748|01|Antel|Uruguay",
+    "748|03|Antel|Uruguay",
+    "748|07|Movistar|Uruguay",
+    "748|10|Claro|Uruguay",
+    "748|15|ENALUR S.A.|Uruguay",
+    "750|001|Sure|Falkland Islands (United Kingdom)",
+    "901|01|ICO|",
+    "901|02|Unassigned|",
+    "901|03|Iridium|",
+    "901|04|Unassigned|",
+    "901|05|Thuraya RMSS Network|",
+    "901|06|Thuraya Satellite Telecommunications Company|",
+    "901|07|Unassigned|",
+    "901|08|Unassigned|",
+    "901|09|Unassigned|",
+    "901|10|ACeS|",
+    "901|11|Inmarsat|",
+    "901|12|Telenor|",
+    "901|13|GSM.AQ|",
+    "901|14|AeroMobile|",
+    "901|15|OnAir|",
+    "901|16|Cisco Jasper|",
+    "901|17|Navitas|",
+    "901|18|Cellular at Sea|",
+    "901|19|Epic Maritime|",
+    "901|20|Intermatica|",
+    "901|21|Wins Limited|",
+    "901|22|MediaLincc Ltd|",
+    "901|23|Unassigned|",
+    "901|24|iNum|",
+    "901|25|Unassigned|",
+    "901|26|TIM@sea|",
+    "901|27|OnMarine|",
+    "901|28|Vodafone|",
+    "901|29|Telenor|",
+    "901|30|Unassigned|",
+    "901|31|Orange|",
+    "901|32|Sky High|",
+    "901|33|Smart Communications|",
+    "901|34|tyntec GmbH|",
+    "901|35|Globecomm Network Services|",
+    "901|36|Azerfon|",
+    "901|37|Transatel|",
+    "901|38|Multiregional TransitTelecom (MTT)|",
+    "901|39|MTX Connect Ltd|",
+    "901|40|1NCE|",
+    "901|41|One Network B.V.|",
+    "901|42|IMC Island Ehf|",
+    "901|43|EMnify GmbH|",
+    "901|44|AT&T Inc.|",
+    "901|45|Advanced Wireless Network Company Limited|",
+    "901|46|Telecom26 AG|",
+    "901|47|Ooredoo|",
+    "901|48|Com4|",
+    "901|49|Zain|",
+    "901|50|EchoStar Mobile|",
+    "901|51|VisionNG|",
+    "901|52|Manx Telecom Trading Ltd.|",
+    "901|53|European Aviation Network|",
+    "901|54|Teleena Holding B.V.|",
+    "901|55|Beezz Communication Solutions Ltd.|",
+    "901|56|ETSI|",
+    "901|57|SAP|",
+    "901|58|BICS|",
+    "901|59|MessageBird B.V.|",
+    "901|60|OneWeb|",
+    "901|61|MTN Management Services|",
+    "901|62|Twilio Inc.|",
+    "901|63|GloTel B.V.|",
+    "901|64|Syniverse Technologies, LLC|",
+    "901|65|Plintron Global Technology Solutions Pty Ltd|",
+    "901|66|Limitless Mobile LLC|",
+    "901|67|1NCE GmbH|",
+    "901|68|Maersk Line A/S|",
+    "901|69|Legos|",
+    "901|70|Clementvale Baltic OÜ|",
+    "901|71|Tampnet AS|",
+    "901|72|Tele2 Sverige Aktiebolag|",
+    "901|73|Cubic Telecom Limited|",
+    "901|74|Etisalat|",
+    "901|75|Podsystem Ltd.|",
+    "901|76|A1 Telekom Austria AG|",
+    "901|77|Bouygues Telecom|",
+    "901|78|Telecom Italia Sparkle S.p.A.|",
+    "901|79|Nokia Corporation|",
+    "901|80|Flo Live Limited|",
+    "901|81|Airnity SAS|",
+    "901|82|Eseye Limited|",
+    "901|83|iBasis Netherlands BV|",
+    "901|84|Telefónica Móviles España, S.A. Unipersonal|",
+    "901|85|Telefónica Germany GmbH & Co. OHG|",
+    "901|86|BJT Partners SAS|",
+    "901|87|Cisco Systems, Inc.|",
+    "901|88|UN Office for the Coordination of Humanitarian Affairs (OCHA)|",
+    "901|89|DIDWW Ireland Limited|",
+    "901|90|Truphone Limited|",
+    "901|91|World Mobile Group Limited|",
+    "901|92|Phonegroup SA|",
+    "901|93|SkyFive AG|",
+    "901|94|Intelsat US LLC|",
+    "901|95|HMD Global Oy|",
+    "901|96|KORE Wireless|",
+    "901|97|Satelio IoT Services S.L.|",
+    "902|01|MulteFire Alliance|",
+    "991|01|World's Global Telecom|",
+    "991|02|5G Croco|",
+    "991|03|Halys SAS|",
+    "995|01|FonePlus|",
+    "999|999|Internal use|",
+    "999|99|Internal use|"
+];